@@ -1,5 +1,25 @@
 // Cargar variables de entorno desde el archivo .env
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Variables leídas con readInteger (config.validate() avisa si no son números)
+ */
+const integerVariables = new Set();
+
+/**
+ * Leer un número entero de una variable de entorno
+ * @param {string} name - Nombre de la variable
+ * @param {number} fallback - Valor si no está definida, está vacía o no es un número
+ * @returns {number} Valor de la variable (0 se respeta: en los límites es "sin límite")
+ *
+ * parseInt('') es NaN, y un límite NaN desactivaría la comprobación sin avisar
+ */
+const readInteger = (name, fallback) => {
+    integerVariables.add(name);
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
 
 /**
  * Módulo de Configuración Central
@@ -13,6 +33,8 @@ module.exports = {
     // ========================================
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
+    // URL pública del servidor tal como la ve Twilio (ej: https://mi-dominio.com)
+    publicUrl: process.env.PUBLIC_URL,
 
     // ========================================
     // CONFIGURACIÓN DE TWILIO
@@ -22,6 +44,10 @@ module.exports = {
         authToken: process.env.TWILIO_AUTH_TOKEN,          // Token de autenticación
         whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER, // Número de WhatsApp del bot
         adminNumber: process.env.ADMIN_WHATSAPP_NUMBER,    // Número del administrador
+        // Validar la cabecera X-Twilio-Signature en el webhook (solo se puede desactivar fuera de producción)
+        validateSignature: process.env.TWILIO_VALIDATE_SIGNATURE !== 'false',
+        // Tiempo máximo de descarga de notas de voz y adjuntos en milisegundos
+        mediaTimeout: parseInt(process.env.TWILIO_MEDIA_TIMEOUT) || 30000,
     },
 
     // ========================================
@@ -36,6 +62,33 @@ module.exports = {
         },
     },
 
+    // ========================================
+    // CONFIGURACIÓN DEL MOTOR CONVERSACIONAL
+    // ========================================
+    conversation: {
+        // Motor que genera las respuestas: 'dialogflow', 'rules' (guiones locales) u 'openai'
+        engine: process.env.CONVERSATION_ENGINE || 'dialogflow',
+        // Archivo de reglas del motor local
+        rulesFile: process.env.CONVERSATION_RULES_FILE || path.join(__dirname, '../data/conversationRules.json'),
+        openai: {
+            // URL base de la API compatible con OpenAI (ej: http://localhost:11434/v1 para un servidor local)
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY,            // Opcional en servidores locales
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
+            maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 300,
+            // Tiempo máximo de espera por respuesta en milisegundos
+            timeout: parseInt(process.env.OPENAI_TIMEOUT) || 30000,
+            // Turnos anteriores que se envían como contexto
+            historyTurns: parseInt(process.env.OPENAI_HISTORY_TURNS) || 10,
+            // Instrucciones del tutor (se añade el idioma del estudiante en cada consulta)
+            systemPrompt: process.env.OPENAI_SYSTEM_PROMPT ||
+                'You are Whatstutor, a friendly English tutor chatting on WhatsApp with Spanish-speaking students. ' +
+                'Keep replies short (1-3 sentences), use simple English, and end with a question to keep the conversation going. ' +
+                'If the student writes in Spanish, answer briefly in Spanish and invite them to try in English.',
+        },
+    },
+
     // ========================================
     // CONFIGURACIÓN DE VOZ (SPEECH)
     // ========================================
@@ -46,48 +99,312 @@ module.exports = {
         ttsLanguage: process.env.TEXT_TO_SPEECH_LANGUAGE || 'en-US',
         // Voz específica para TTS (formato: idioma-región-Neural2-género)
         ttsVoice: process.env.TEXT_TO_SPEECH_VOICE || 'en-US-Neural2-F',
+        // Confianza mínima para aceptar el idioma detectado en un mensaje de texto (0-1)
+        languageConfidenceThreshold: parseFloat(process.env.LANGUAGE_CONFIDENCE_THRESHOLD) || 0.8,
+        // Confianza mínima para asignar idioma a una palabra suelta (detección de mezcla)
+        languageWordConfidence: parseFloat(process.env.LANGUAGE_WORD_CONFIDENCE) || 0.9,
+        // Confianza mínima por palabra para considerarla bien pronunciada (0-1)
+        pronunciationThreshold: parseFloat(process.env.PRONUNCIATION_THRESHOLD) || 0.8,
+        // Intentos por ejercicio de lectura en voz alta
+        pronunciationMaxAttempts: parseInt(process.env.PRONUNCIATION_MAX_ATTEMPTS) || 3,
+        // Tiempo tras el que caduca un ejercicio sin terminar (30 minutos por defecto)
+        pronunciationExerciseTtl: parseInt(process.env.PRONUNCIATION_EXERCISE_TTL) || 1800000,
+        // Duración máxima en segundos de una petición síncrona (Google admite hasta 60)
+        maxSyncDuration: parseInt(process.env.SPEECH_MAX_SYNC_DURATION) || 55,
+        // Duración máxima en segundos de cada segmento de una nota larga
+        maxSegmentDuration: parseInt(process.env.SPEECH_MAX_SEGMENT_DURATION) || 50,
+        // Silencio mínimo en segundos para cortar un segmento
+        segmentMinSilence: parseFloat(process.env.SPEECH_SEGMENT_MIN_SILENCE) || 0.3,
+        // Nivel (dBFS) por debajo del cual se considera silencio al segmentar
+        segmentSilenceLevel: parseFloat(process.env.SPEECH_SEGMENT_SILENCE_LEVEL) || -40,
+        // Notas más largas que esto (segundos) reciben un aviso de "sigo escuchando"
+        longNoteNotice: parseInt(process.env.SPEECH_LONG_NOTE_NOTICE) || 30,
         // Idiomas soportados por la aplicación
         supportedLanguages: process.env.SUPPORTED_LANGUAGES?.split(',') || ['en', 'es'],
     },
 
+    // ========================================
+    // CONFIGURACIÓN DE CONVERSIÓN DE AUDIO (FFMPEG)
+    // ========================================
+    audio: {
+        // Convertir las notas de voz al formato canónico antes de transcribirlas
+        transcode: process.env.AUDIO_TRANSCODE !== 'false',
+        // Ruta a ffmpeg (por defecto el binario de ffmpeg-static)
+        ffmpegPath: process.env.FFMPEG_PATH,
+        // Codificación para Speech-to-Text: 'LINEAR16' (WAV) o 'FLAC'
+        encoding: process.env.AUDIO_ENCODING === 'FLAC' ? 'FLAC' : 'LINEAR16',
+        // Frecuencia de muestreo de salida en Hz
+        sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE) || 16000,
+        // Recortar el silencio al principio y al final
+        trimSilence: process.env.AUDIO_TRIM_SILENCE !== 'false',
+        // Nivel por debajo del cual se considera silencio
+        silenceThreshold: process.env.AUDIO_SILENCE_THRESHOLD || '-50dB',
+        // Normalizar el volumen (EBU R128)
+        normalizeLoudness: process.env.AUDIO_NORMALIZE_LOUDNESS !== 'false',
+        // Volumen objetivo en LUFS
+        loudnessTarget: parseFloat(process.env.AUDIO_LOUDNESS_TARGET) || -16,
+        // Tiempo máximo de conversión en milisegundos
+        transcodeTimeout: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT) || 30000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE ADJUNTOS (IMÁGENES Y DOCUMENTOS)
+    // ========================================
+    attachments: {
+        // Comando de OCR compatible con tesseract (<imagen> stdout -l <idiomas>)
+        ocrCommand: process.env.OCR_COMMAND || 'tesseract',
+        // Idiomas del OCR
+        ocrLanguages: process.env.OCR_LANGUAGES || 'eng+spa',
+        // Comando para extraer el texto de un PDF (poppler-utils)
+        pdfCommand: process.env.PDF_TEXT_COMMAND || 'pdftotext',
+        // Tiempo máximo de OCR o extracción en milisegundos
+        toolTimeout: parseInt(process.env.MEDIA_TOOL_TIMEOUT) || 30000,
+        // Tamaño máximo de imágenes y documentos en bytes (16 MB por defecto)
+        maxSize: parseInt(process.env.MAX_MEDIA_SIZE) || 16777216,
+        // Caracteres máximos del texto extraído que se envían al tutor
+        maxTextLength: parseInt(process.env.MAX_EXTRACTED_TEXT_LENGTH) || 1000,
+    },
+
     // ========================================
     // CONFIGURACIÓN DE LA APLICACIÓN
     // ========================================
     app: {
         // Tiempo de espera de sesión en milisegundos (1 hora por defecto)
         sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 3600000,
+        // Intervalo de limpieza de sesiones inactivas en milisegundos (5 minutos por defecto)
+        sessionCleanupInterval: parseInt(process.env.SESSION_CLEANUP_INTERVAL) || 300000,
+        // Tiempo durante el que se recuerdan los MessageSid procesados (24 horas por defecto)
+        dedupeTtl: parseInt(process.env.DEDUPE_TTL) || 86400000,
         // Tamaño máximo de archivo de audio en bytes (16 MB por defecto)
         maxAudioSize: parseInt(process.env.MAX_AUDIO_SIZE) || 16777216,
+        // Límites de uso (0 = sin límite)
+        // Ventana de los límites por minuto en milisegundos
+        rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
+        // Mensajes por ventana de cada remitente
+        maxMessagesPerMinute: readInteger('MAX_MESSAGES_PER_MINUTE', 10),
+        // Mensajes por ventana de todos los remitentes juntos
+        maxGlobalMessagesPerMinute: readInteger('MAX_GLOBAL_MESSAGES_PER_MINUTE', 120),
+        // Segundos de notas de voz por día (UTC) de cada remitente
+        maxAudioSecondsPerDay: readInteger('MAX_AUDIO_SECONDS_PER_DAY', 600),
+        // Segundos de notas de voz por día (UTC) de todos los remitentes juntos
+        maxGlobalAudioSecondsPerDay: readInteger('MAX_GLOBAL_AUDIO_SECONDS_PER_DAY', 36000),
+        // Añadir correcciones gramaticales a las respuestas (cada usuario puede desactivarlas con /correct)
+        grammarCorrections: process.env.GRAMMAR_CORRECTIONS !== 'false',
+        // Máximo de correcciones que se muestran por mensaje
+        maxCorrectionsPerMessage: parseInt(process.env.MAX_CORRECTIONS_PER_MESSAGE) || 2,
+        // Token para los endpoints de administración (cabecera Authorization: Bearer <token>)
+        adminApiToken: process.env.ADMIN_API_TOKEN,
+        // Token opcional para GET /metrics (sin token, las métricas son públicas)
+        metricsToken: process.env.METRICS_TOKEN,
         // Nivel de registro (info, warn, error, debug)
         logLevel: process.env.LOG_LEVEL || 'info',
     },
 
+    // ========================================
+    // CONFIGURACIÓN DE VOCABULARIO (REPETICIÓN ESPACIADA)
+    // ========================================
+    vocabulary: {
+        // Tarjetas por repaso (/quiz)
+        quizSize: parseInt(process.env.VOCABULARY_QUIZ_SIZE) || 5,
+        // Tiempo tras el que caduca un repaso sin terminar (30 minutos por defecto)
+        quizTtl: parseInt(process.env.VOCABULARY_QUIZ_TTL) || 1800000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE LECCIONES Y PRUEBA DE NIVEL
+    // ========================================
+    lessons: {
+        // Directorio con las definiciones de lecciones (.json, .yaml o .yml)
+        dir: process.env.LESSONS_DIR || path.join(__dirname, '../data/lessons'),
+        // Intentos extra en una pregunta con "retry" antes de pasar a la siguiente
+        maxRetries: readInteger('LESSONS_MAX_RETRIES', 1),
+        // Inactividad tras la que se recuerda la pregunta pendiente en vez de corregir (30 minutos por defecto)
+        resumeAfter: parseInt(process.env.LESSONS_RESUME_AFTER) || 1800000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DEL HISTORIAL DE CONVERSACIONES
+    // ========================================
+    transcripts: {
+        // Guardar cada intercambio (texto, transcripción, intención, respuesta) en data/transcripts/
+        enabled: process.env.TRANSCRIPTS_ENABLED !== 'false',
+        // Intercambios que muestra /history sin argumentos
+        historySize: parseInt(process.env.TRANSCRIPTS_HISTORY_SIZE) || 5,
+        // Máximo de intercambios que se pueden pedir con /history N
+        historyMax: parseInt(process.env.TRANSCRIPTS_HISTORY_MAX) || 20,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE RECORDATORIOS PROGRAMADOS
+    // ========================================
+    reminders: {
+        // Activar el programador de recordatorios (los estudiantes se suscriben con /remind on)
+        enabled: process.env.REMINDERS_ENABLED !== 'false',
+        // Cada cuánto se revisa si hay recordatorios pendientes (1 minuto por defecto)
+        checkInterval: parseInt(process.env.REMINDERS_CHECK_INTERVAL) || 60000,
+        // Hora local por defecto para los recordatorios (HH:MM)
+        defaultTime: process.env.REMINDERS_DEFAULT_TIME || '19:00',
+        // Margen tras la hora elegida en el que aún se envía el recordatorio (2 horas por defecto)
+        // Evita enviar recordatorios a deshoras si el servidor estuvo apagado
+        sendWindow: parseInt(process.env.REMINDERS_SEND_WINDOW) || 7200000,
+        // Ventana de sesión de WhatsApp desde el último mensaje del usuario (24 horas)
+        sessionWindow: parseInt(process.env.WHATSAPP_SESSION_WINDOW) || 86400000,
+        // Plantillas aprobadas (Content SID de Twilio) para escribir fuera de la ventana de 24 horas
+        // Sin plantilla, los recordatorios fuera de la ventana no se envían
+        templates: {
+            practice: process.env.TWILIO_TEMPLATE_PRACTICE,  // Variable {{1}}: tema del día
+            streak: process.env.TWILIO_TEMPLATE_STREAK,      // Variable {{1}}: días de racha
+            review: process.env.TWILIO_TEMPLATE_REVIEW,      // Variable {{1}}: palabras pendientes
+        },
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE LA CONSOLA DE ADMINISTRACIÓN (ADMIN_WHATSAPP_NUMBER)
+    // ========================================
+    admin: {
+        // Ventana para calcular la tasa de errores (10 minutos por defecto)
+        alertWindow: parseInt(process.env.ADMIN_ALERT_WINDOW) || 600000,
+        // Tasa de errores (0-1) a partir de la cual se avisa al administrador
+        alertErrorRate: parseFloat(process.env.ADMIN_ALERT_ERROR_RATE) || 0.5,
+        // Mínimo de errores en la ventana para avisar (evita alertas por fallos aislados)
+        alertMinErrors: parseInt(process.env.ADMIN_ALERT_MIN_ERRORS) || 5,
+        // Tiempo mínimo entre dos alertas (30 minutos por defecto)
+        alertCooldown: parseInt(process.env.ADMIN_ALERT_COOLDOWN) || 1800000,
+        // Errores recientes que se guardan en memoria para el resumen
+        recentErrors: parseInt(process.env.ADMIN_RECENT_ERRORS) || 50,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE MEDIOS (RESPUESTAS DE VOZ)
+    // ========================================
+    media: {
+        // Enviar la respuesta también como nota de voz (requiere PUBLIC_URL)
+        voiceReplies: process.env.VOICE_REPLIES !== 'false',
+        // Secreto para firmar las URLs de medios (por defecto el Auth Token de Twilio)
+        signingSecret: process.env.MEDIA_SIGNING_SECRET || process.env.TWILIO_AUTH_TOKEN,
+        // Validez de cada URL firmada en milisegundos (10 minutos por defecto)
+        urlTtl: parseInt(process.env.MEDIA_URL_TTL) || 600000,
+        // Margen tras la primera descarga antes de borrar el archivo (permite reintentos de Twilio)
+        deleteAfterFetchDelay: parseInt(process.env.MEDIA_DELETE_DELAY) || 60000,
+        // Intervalo de limpieza de archivos expirados
+        cleanupInterval: parseInt(process.env.MEDIA_CLEANUP_INTERVAL) || 300000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE LA COLA DE MENSAJES
+    // ========================================
+    queue: {
+        // Número máximo de mensajes procesados en paralelo
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 4,
+        // Intentos máximos antes de mover un mensaje a dead-letter
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+        // Espera base entre reintentos en milisegundos (se duplica en cada intento)
+        retryBaseDelay: parseInt(process.env.QUEUE_RETRY_BASE_DELAY) || 2000,
+        // Frecuencia con la que se revisan los trabajos pendientes de reintento
+        pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000,
+        // Tiempo máximo de espera a trabajos en curso durante el apagado
+        shutdownTimeout: parseInt(process.env.QUEUE_SHUTDOWN_TIMEOUT) || 10000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE LA VERIFICACIÓN DE DISPONIBILIDAD (/ready)
+    // ========================================
+    readiness: {
+        // Tiempo máximo de cada comprobación (Twilio, Google...) en milisegundos
+        probeTimeout: parseInt(process.env.READY_PROBE_TIMEOUT) || 5000,
+        // Tiempo durante el que se reutiliza el último resultado (evita consultar las APIs en cada sondeo)
+        cacheTtl: parseInt(process.env.READY_CACHE_TTL) || 30000,
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE LOS REGISTROS (LOGS)
+    // ========================================
+    logging: {
+        // Datos personales que se ocultan: 'none', 'phones' (números de teléfono) o
+        // 'content' (además, mensajes, transcripciones y respuestas)
+        redaction: process.env.LOG_REDACTION || 'phones',
+        // Tamaño a partir del cual se empieza un archivo nuevo (k, m o g)
+        maxSize: process.env.LOG_MAX_SIZE || '20m',
+        // Antigüedad máxima de los archivos (se borran los más antiguos, ej: '14d')
+        maxAge: process.env.LOG_MAX_AGE || '14d',
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DEL SIMULADOR (DESARROLLO)
+    // ========================================
+    simulator: {
+        // Montar POST /dev/simulate y sustituir Twilio y Google por versiones locales (ignorado en producción)
+        enabled: process.env.SIMULATOR_ENABLED === 'true',
+    },
+
+    // ========================================
+    // CONFIGURACIÓN DE ALMACENAMIENTO
+    // ========================================
+    storage: {
+        // Directorio donde se guardan los datos persistentes (sesiones, etc.)
+        dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+        // Almacén de sesiones del motor conversacional: 'memory', 'file' o 'redis'
+        sessionStore: process.env.SESSION_STORE || 'file',
+        // Repositorio de perfiles de estudiantes: 'file' (JSON) o 'sqlite'
+        profileStore: process.env.PROFILE_STORE || 'file',
+        // URL de Redis (o servidor compatible) cuando se usa el almacén 'redis'
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    },
+
     /**
      * Validar la configuración
      * 
      * Verifica que todas las variables de entorno requeridas estén configuradas
+     * y avisa de las variables numéricas que no son números
      * @returns {boolean} true si la configuración es válida, false en caso contrario
      */
     validate() {
+        const missing = this.getMissingVariables();
+
+        // Si faltan variables, mostrar advertencia
+        if (missing.length > 0) {
+            console.warn(`⚠️  Variables de entorno faltantes: ${missing.join(', ')}`);
+            console.warn('⚠️  Por favor copia .env.example a .env y completa los valores requeridos.');
+        }
+
+        // Las variables numéricas con un valor que no es un número usan su valor por defecto
+        const invalid = this.getInvalidNumbers();
+        if (invalid.length > 0) {
+            console.warn(`⚠️  Variables de entorno que no son números (se usa el valor por defecto): ${invalid.join(', ')}`);
+        }
+
+        return missing.length === 0;
+    },
+
+    /**
+     * Listar las variables numéricas definidas con un valor que no es un número
+     * @returns {Array<string>} Nombres de las variables (vacío si todas son válidas)
+     */
+    getInvalidNumbers() {
+        return [...integerVariables].filter(name =>
+            process.env[name] !== undefined && Number.isNaN(parseInt(process.env[name], 10))
+        );
+    },
+
+    /**
+     * Listar las variables de entorno requeridas que faltan
+     * @returns {Array<string>} Nombres de las variables faltantes (vacío si está completa)
+     */
+    getMissingVariables() {
         // Lista de variables de entorno requeridas
         const required = [
             'TWILIO_ACCOUNT_SID',
             'TWILIO_AUTH_TOKEN',
             'TWILIO_WHATSAPP_NUMBER',
             'GOOGLE_PROJECT_ID',
-            'DIALOGFLOW_AGENT_ID',
         ];
 
-        // Buscar variables faltantes
-        const missing = required.filter(key => !process.env[key]);
-
-        // Si faltan variables, mostrar advertencia
-        if (missing.length > 0) {
-            console.warn(`⚠️  Variables de entorno faltantes: ${missing.join(', ')}`);
-            console.warn('⚠️  Por favor copia .env.example a .env y completa los valores requeridos.');
-            return false;
+        // El agente de Dialogflow solo es necesario si es el motor conversacional
+        if (this.conversation.engine === 'dialogflow') {
+            required.push('DIALOGFLOW_AGENT_ID');
         }
 
-        return true;
+        // Buscar variables faltantes
+        return required.filter(key => !process.env[key]);
     },
 };
@@ -0,0 +1,165 @@
+/**
+ * SIMULADOR DE CONVERSACIONES (CLI)
+ *
+ * Habla con el tutor desde la terminal, sin Twilio, sin Google y sin red
+ * (ver simulator.js para lo que se sustituye)
+ *
+ * Uso:
+ *   npm run simulate                          # Conversación interactiva
+ *   npm run simulate -- guion.yaml            # Ejecuta un guion y comprueba las respuestas
+ *
+ * Opciones:
+ *   --from whatsapp:+15550000001   Número del estudiante simulado
+ *   --data-dir ./data/sim          Directorio de datos (por defecto uno temporal que se borra al salir)
+ *   --verbose                      Mostrar también los logs informativos
+ *
+ * En modo interactivo, cada línea es un mensaje de texto. Comandos del simulador:
+ *   .voice <frase>   Enviar una nota de voz con esa frase ("palabra~" = pronunciación dudosa)
+ *   .from <número>   Cambiar de estudiante
+ *   .help            Mostrar esta ayuda
+ *   .exit            Salir
+ *
+ * Sale con código 1 si alguna comprobación del guion falla
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Interpretar los argumentos de la línea de comandos
+ * @param {Array<string>} argv - Argumentos (sin node ni el script)
+ * @returns {object} { script, from, dataDir, verbose }
+ */
+function parseArgs(argv) {
+    const options = { script: null, from: undefined, dataDir: null, verbose: false };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--from') {
+            options.from = argv[++index];
+        } else if (arg === '--data-dir') {
+            options.dataDir = argv[++index];
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else {
+            options.script = arg;
+        }
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const temporaryDataDir = !options.dataDir;
+const dataDir = options.dataDir
+    ? path.resolve(options.dataDir)
+    : fs.mkdtempSync(path.join(os.tmpdir(), 'whatstutor-sim-'));
+
+// La configuración se lee al cargar los servicios: se fija antes de requerirlos
+// Almacenes en archivos (sin Redis ni SQLite) dentro del directorio de datos del simulador
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_STORE = 'file';
+process.env.PROFILE_STORE = 'file';
+if (!options.verbose) {
+    process.env.LOG_LEVEL = 'warn';
+}
+
+const yaml = require('js-yaml');
+const simulator = require('./simulator');
+
+/**
+ * Imprimir un mensaje enviado por el tutor
+ * @param {object} message - Mensaje del buzón del simulador
+ */
+function printMessage(message) {
+    const icons = { text: '🤖', audio: '🔊', template: '📨' };
+    const content = message.type === 'audio' ? message.mediaUrl : message.body;
+    console.log(`${icons[message.type]} ${String(content).replace(/\n/g, '\n   ')}\n`);
+}
+
+/**
+ * Terminar el proceso borrando el directorio de datos temporal
+ * @param {number} code - Código de salida
+ */
+function exit(code) {
+    if (temporaryDataDir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    process.exit(code);
+}
+
+/**
+ * Ejecutar un guion (YAML o JSON) e informar del resultado
+ * @param {string} file - Ruta del guion
+ */
+async function runScript(file) {
+    const script = yaml.load(fs.readFileSync(file, 'utf8'));
+    if (options.from) {
+        script.from = options.from;
+    }
+
+    const { passed, steps } = await simulator.runScript(script);
+
+    for (const step of steps) {
+        console.log(`🧑 ${step.input}\n`);
+        step.replies.forEach(printMessage);
+        step.failures.forEach(pattern => console.log(`❌ Ninguna respuesta coincide con /${pattern}/\n`));
+    }
+
+    const failed = steps.filter(step => step.failures.length > 0).length;
+    console.log(passed
+        ? `✅ ${steps.length} pasos, todas las comprobaciones pasaron`
+        : `❌ ${failed} de ${steps.length} pasos con comprobaciones fallidas`);
+
+    exit(passed ? 0 : 1);
+}
+
+/**
+ * Conversación interactiva
+ */
+function runInteractive() {
+    let from = options.from;
+    const help = 'Escribe como en WhatsApp. .voice <frase> envía una nota de voz, ' +
+        '.from <número> cambia de estudiante, .exit sale.';
+
+    simulator.onMessage(printMessage);
+    console.log(`🧪 Simulador de Whatstutor AI (datos en ${dataDir})\n${help}\n`);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '🧑 > ' });
+    // Los mensajes se procesan de uno en uno, en orden, como hace la cola con cada estudiante
+    let pending = Promise.resolve();
+
+    rl.on('line', (line) => {
+        const input = line.trim();
+        pending = pending.then(async () => {
+            if (input === '.exit') {
+                rl.close();
+                return;
+            }
+            if (input === '.help') {
+                console.log(`${help}\n`);
+            } else if (input.startsWith('.from ')) {
+                from = input.slice(6).trim();
+                console.log(`📱 Ahora escribes como ${from}\n`);
+            } else if (input.startsWith('.voice ')) {
+                await simulator.send({ from, voice: input.slice(7).trim() });
+            } else if (input) {
+                await simulator.send({ from, text: input });
+            }
+            rl.prompt();
+        });
+    });
+    rl.on('close', () => pending.then(() => exit(0)));
+
+    rl.prompt();
+}
+
+if (options.script) {
+    runScript(options.script).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        exit(1);
+    });
+} else {
+    runInteractive();
+}
@@ -0,0 +1,327 @@
+// Importar dependencias
+const { randomBytes } = require('crypto');
+const whatsappClient = require('../services/whatsappClient');
+const speechToText = require('../services/speechToText');
+const textToSpeech = require('../services/textToSpeech');
+const audioProcessor = require('../services/audioProcessor');
+const languageIdentifier = require('../services/languageIdentifier');
+const ruleEngine = require('../services/ruleEngine');
+const { getConversationEngine } = require('../services/conversationEngine');
+const messageHandler = require('../services/messageHandler');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const { AudioProcessingError, ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Número del estudiante simulado por defecto
+ */
+const DEFAULT_FROM = 'whatsapp:+15550000001';
+
+/**
+ * Segundos de audio simulado por palabra dictada
+ */
+const SECONDS_PER_WORD = 0.4;
+
+/**
+ * Confianza de las palabras reconocidas (las marcadas con "~" salen por debajo
+ * de PRONUNCIATION_THRESHOLD, para simular una pronunciación dudosa)
+ */
+const WORD_CONFIDENCE = { clear: 0.95, unclear: 0.5 };
+
+/**
+ * Simulador de Conversaciones sin Red
+ *
+ * Permite hablar con el tutor sin sandbox de Twilio ni credenciales de Google.
+ * install() sustituye los clientes externos por versiones locales:
+ *
+ * | Servicio        | Sustituto                                                 |
+ * |-----------------|-----------------------------------------------------------|
+ * | whatsappClient  | Guarda los mensajes salientes (texto, audio, plantillas)  |
+ * | audioProcessor  | Genera un WAV de silencio con la duración de la frase     |
+ * | speechToText    | Devuelve la frase de la nota de voz simulada              |
+ * | textToSpeech    | Genera un WAV de silencio                                 |
+ * | dialogflow      | Responde con el motor de reglas local (también openai)    |
+ *
+ * Los mensajes simulados se construyen como los de Twilio y pasan por
+ * messageHandler.handleIncomingMessage, así que comandos, lecciones, repasos,
+ * historial y perfiles funcionan igual que en producción
+ *
+ * Solo para desarrollo: install() reemplaza los clientes para todo el proceso
+ */
+class Simulator {
+    constructor() {
+        // Mensajes enviados por el tutor { at, to, type, body, mediaUrl, sid, correlationId }
+        this.outbox = [];
+        // Funciones avisadas con cada mensaje enviado (la CLI los imprime)
+        this.listeners = [];
+        // Clave: URL de la nota de voz simulada, Valor: frase dictada
+        this.voiceNotes = new Map();
+        // Clave: buffer de audio entregado a speechToText, Valor: frase dictada
+        this.spoken = new WeakMap();
+        this.installed = false;
+    }
+
+    /**
+     * Sustituir los clientes externos por los locales (solo la primera vez)
+     */
+    install() {
+        if (this.installed) {
+            return;
+        }
+        this.installed = true;
+
+        // WhatsApp: los mensajes salientes se guardan en lugar de enviarse
+        whatsappClient.sendTextMessage = async (to, body) => this.deliver({ to, type: 'text', body });
+        whatsappClient.sendAudioMessage = async (to, mediaUrl) => this.deliver({ to, type: 'audio', mediaUrl });
+        whatsappClient.sendTemplateMessage = async (to, contentSid, variables = {}) =>
+            this.deliver({ to, type: 'template', body: `${contentSid} ${JSON.stringify(variables)}` });
+
+        // Notas de voz: la "descarga" genera silencio con la duración de la frase
+        audioProcessor.processVoiceNote = async (mediaUrl) => {
+            const text = this.voiceNotes.get(mediaUrl);
+            if (text === undefined) {
+                throw new AudioProcessingError('Nota de voz simulada desconocida');
+            }
+            const buffer = this.createSpeech(text);
+            this.spoken.set(buffer, text);
+            return buffer;
+        };
+        audioProcessor.cleanupVoiceNote = async (messageSid) => {
+            this.voiceNotes.delete(`sim://voice/${messageSid}`);
+        };
+
+        speechToText.transcribe = async (audioBuffer, languageCode = 'en-US', options = {}) =>
+            this.transcribe(audioBuffer, languageCode, options);
+        textToSpeech.synthesize = async (text) => this.createSpeech(text);
+
+        // Motor conversacional: Dialogflow (u OpenAI) responde con las reglas locales
+        const engine = getConversationEngine();
+        if (engine !== ruleEngine) {
+            engine.detectIntent = (text, userId, languageCode) => ruleEngine.detectIntent(text, userId, languageCode);
+        }
+
+        // /ready: las dependencias externas están "disponibles"
+        for (const service of [whatsappClient, speechToText, textToSpeech, engine]) {
+            service.ping = async () => {};
+        }
+
+        logger.warn('Simulador activo: Twilio, Google y el motor conversacional están sustituidos', {
+            engine: engine.name,
+        });
+    }
+
+    /**
+     * Registrar una función que recibe cada mensaje enviado por el tutor
+     * @param {Function} listener - (message) => void
+     */
+    onMessage(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Simular un mensaje del estudiante y esperar a que el tutor termine de responder
+     * @param {object} message - { from, text, voice }
+     * @param {string} message.from - Número del estudiante (whatsapp:+...)
+     * @param {string} message.text - Texto del mensaje (o pie de la nota de voz)
+     * @param {string} message.voice - Frase dictada en una nota de voz ("palabra~" = poco clara)
+     * @returns {Promise<Array<object>>} Mensajes que envió el tutor como respuesta
+     */
+    async send({ from = DEFAULT_FROM, text = '', voice = null }) {
+        this.install();
+
+        const payload = this.buildPayload(from, { text, voice });
+        const start = this.outbox.length;
+
+        await requestContext.run({ correlationId: payload.MessageSid }, () =>
+            messageHandler.handleIncomingMessage(payload)
+        );
+
+        return this.outbox.slice(start).filter(message => message.correlationId === payload.MessageSid);
+    }
+
+    /**
+     * Ejecutar una conversación guionizada y comprobar las respuestas
+     * @param {object} script - { from, steps: [{ send | voice, expect }] }
+     * @returns {Promise<object>} { passed, steps: [{ input, replies, failures }] }
+     * @throws {ValidationError} Si el guion no tiene el formato esperado
+     *
+     * expect es una expresión regular (o una lista) que debe encontrarse en
+     * las respuestas del paso, sin distinguir mayúsculas
+     */
+    async runScript(script) {
+        const steps = this.validateScript(script);
+        const results = [];
+
+        for (const step of steps) {
+            const replies = await this.send({ from: script.from, text: step.send || '', voice: step.voice || null });
+            const replyText = replies.map(reply => reply.body || reply.mediaUrl).join('\n');
+            const expectations = [].concat(step.expect || []);
+
+            results.push({
+                input: step.voice ? `🎤 ${step.voice}` : step.send,
+                replies,
+                failures: expectations.filter(pattern => !new RegExp(pattern, 'iu').test(replyText)),
+            });
+        }
+
+        return { passed: results.every(result => result.failures.length === 0), steps: results };
+    }
+
+    /**
+     * Validar el formato de un guion
+     * @param {object} script - Guion (YAML o JSON ya interpretado)
+     * @returns {Array<object>} Pasos del guion
+     * @throws {ValidationError} Con el primer problema encontrado
+     */
+    validateScript(script) {
+        if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+            throw new ValidationError('El guion necesita una lista "steps" con al menos un paso');
+        }
+
+        script.steps.forEach((step, index) => {
+            if (!step || (typeof step.send !== 'string' && typeof step.voice !== 'string')) {
+                throw new ValidationError(`Paso ${index + 1}: falta "send" (texto) o "voice" (nota de voz)`);
+            }
+            for (const pattern of [].concat(step.expect || [])) {
+                try {
+                    new RegExp(pattern, 'iu');
+                } catch (error) {
+                    throw new ValidationError(`Paso ${index + 1}: expresión "expect" inválida: ${error.message}`);
+                }
+            }
+        });
+
+        return script.steps;
+    }
+
+    /**
+     * Construir el payload del webhook de Twilio para un mensaje simulado
+     * @param {string} from - Número del estudiante
+     * @param {object} content - { text, voice }
+     * @returns {object} Payload con los mismos campos que envía Twilio
+     */
+    buildPayload(from, { text = '', voice = null }) {
+        const messageSid = `SM${randomBytes(16).toString('hex')}`;
+        const payload = {
+            MessageSid: messageSid,
+            AccountSid: config.twilio.accountSid || 'ACsimulator',
+            From: from.startsWith('whatsapp:') ? from : `whatsapp:${from}`,
+            To: config.twilio.whatsappNumber || 'whatsapp:+14155238886',
+            Body: text,
+            NumMedia: '0',
+        };
+
+        if (voice) {
+            const mediaUrl = `sim://voice/${messageSid}`;
+            this.voiceNotes.set(mediaUrl, voice);
+            Object.assign(payload, {
+                NumMedia: '1',
+                MediaUrl0: mediaUrl,
+                MediaContentType0: 'audio/ogg',
+            });
+        }
+
+        return payload;
+    }
+
+    // ========================================
+    // SUSTITUTOS
+    // ========================================
+
+    /**
+     * Guardar un mensaje saliente y avisar a los interesados
+     * @param {object} message - { to, type, body, mediaUrl }
+     * @returns {object} Respuesta con la forma de la de Twilio ({ sid, status })
+     */
+    deliver(message) {
+        const sid = `SM${randomBytes(16).toString('hex')}`;
+        const entry = {
+            at: new Date().toISOString(),
+            ...message,
+            sid,
+            correlationId: requestContext.getCorrelationId(),
+        };
+
+        this.outbox.push(entry);
+        requestContext.set('outboundSid', sid);
+        this.listeners.forEach(listener => listener(entry));
+
+        return { sid, status: 'queued' };
+    }
+
+    /**
+     * Transcribir una nota de voz simulada
+     * @param {Buffer} audioBuffer - Buffer creado por processVoiceNote
+     * @param {string} languageCode - Idioma pedido
+     * @param {object} options - { wordDetails }
+     * @returns {object} Resultado con la forma del de speechToText
+     *
+     * El idioma se detecta en el texto, para que las notas en español se
+     * traten como tales aunque se pida inglés
+     */
+    transcribe(audioBuffer, languageCode, { wordDetails = false } = {}) {
+        const spoken = this.spoken.get(audioBuffer);
+        if (!spoken) {
+            throw new AudioProcessingError('No se pudo transcribir el audio. Por favor habla claramente e intenta de nuevo.');
+        }
+
+        let time = 0;
+        const words = spoken.split(/\s+/).filter(Boolean).map(token => {
+            const unclear = token.endsWith('~');
+            const word = { word: token.replace(/~$/, ''), startTime: time, endTime: time + SECONDS_PER_WORD };
+            word.confidence = unclear ? WORD_CONFIDENCE.unclear : WORD_CONFIDENCE.clear;
+            time += SECONDS_PER_WORD;
+            return word;
+        });
+
+        const text = words.map(word => word.word).join(' ');
+        const detected = languageIdentifier.identify(text, { fallback: languageCode.split('-')[0] }).language;
+
+        return {
+            text,
+            language: detected === 'es' ? 'es-ES' : 'en-US',
+            confidence: WORD_CONFIDENCE.clear,
+            ...(wordDetails && { words }),
+        };
+    }
+
+    /**
+     * Generar el audio (silencio) de una frase: SECONDS_PER_WORD por palabra, mínimo un segundo
+     * @param {string} text - Frase
+     * @returns {Buffer} Archivo WAV
+     */
+    createSpeech(text) {
+        return this.createWav(Math.max(1, text.split(/\s+/).length * SECONDS_PER_WORD));
+    }
+
+    /**
+     * Generar un WAV de silencio (mono, 16 bits, config.audio.sampleRate)
+     * @param {number} seconds - Duración
+     * @returns {Buffer} Archivo WAV completo (audioProcessor.getDuration lo entiende)
+     */
+    createWav(seconds) {
+        const sampleRate = config.audio.sampleRate;
+        const dataSize = Math.round(seconds * sampleRate) * 2;
+        const buffer = Buffer.alloc(44 + dataSize);
+
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + dataSize, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16);           // Tamaño del bloque fmt
+        buffer.writeUInt16LE(1, 20);            // PCM
+        buffer.writeUInt16LE(1, 22);            // Mono
+        buffer.writeUInt32LE(sampleRate, 24);
+        buffer.writeUInt32LE(sampleRate * 2, 28);  // Bytes por segundo
+        buffer.writeUInt16LE(2, 32);            // Bytes por muestra
+        buffer.writeUInt16LE(16, 34);           // Bits por muestra
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(dataSize, 40);
+
+        return buffer;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new Simulator();
@@ -0,0 +1,107 @@
+// Importar dependencias
+const { timingSafeEqual } = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * AUTENTICACIÓN DE ENDPOINTS DE ADMINISTRACIÓN
+ *
+ * Protege las rutas /admin con un token estático (ADMIN_API_TOKEN)
+ * enviado en la cabecera Authorization: Bearer <token>
+ * Si el token no está configurado, las rutas de administración quedan deshabilitadas
+ *
+ * GET /metrics usa su propio token opcional (METRICS_TOKEN)
+ */
+
+/**
+ * Comparar dos strings en tiempo constante
+ * @param {string} a - Primer valor
+ * @param {string} b - Segundo valor
+ * @returns {boolean} true si son iguales
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Comprobar el token de administración de una petición
+ * @param {object} req - Objeto de petición de Express
+ * @returns {string|null} Motivo del rechazo, o null si el token es válido
+ */
+const checkAdminToken = (req) => {
+    const expected = config.app.adminApiToken;
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (!expected) {
+        return 'ADMIN_API_TOKEN no configurado';
+    }
+    if (scheme !== 'Bearer' || !token) {
+        return 'Token de administración ausente';
+    }
+    if (!safeEqual(token, expected)) {
+        return 'Token de administración inválido';
+    }
+    return null;
+};
+
+/**
+ * Verificar si una petición trae el token de administración válido
+ * (para endpoints públicos que dan más detalle al administrador, como /ready)
+ * @param {object} req - Objeto de petición de Express
+ * @returns {boolean} true si el token es válido
+ */
+const hasAdminToken = (req) => checkAdminToken(req) === null;
+
+/**
+ * Middleware que exige el token de administración
+ *
+ * @param {object} req - Objeto de petición de Express
+ * @param {object} res - Objeto de respuesta de Express
+ * @param {function} next - Función next
+ */
+const requireAdminToken = (req, res, next) => {
+    const reason = checkAdminToken(req);
+
+    if (reason) {
+        logger.warn('Acceso de administración rechazado', {
+            reason,
+            path: req.originalUrl,
+            ip: req.ip,
+        });
+        return next(new ForbiddenError('Acceso no autorizado'));
+    }
+
+    next();
+};
+
+/**
+ * Middleware que exige el token de métricas, solo si METRICS_TOKEN está configurado
+ * (Prometheus lo envía con bearer_token en la configuración del scrape)
+ *
+ * @param {object} req - Objeto de petición de Express
+ * @param {object} res - Objeto de respuesta de Express
+ * @param {function} next - Función next
+ */
+const requireMetricsToken = (req, res, next) => {
+    const expected = config.app.metricsToken;
+    if (!expected) {
+        return next();
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, expected)) {
+        logger.warn('Acceso a métricas rechazado', { ip: req.ip });
+        return next(new ForbiddenError('Acceso no autorizado'));
+    }
+
+    next();
+};
+
+module.exports = {
+    hasAdminToken,
+    requireAdminToken,
+    requireMetricsToken,
+};
@@ -0,0 +1,76 @@
+// Importar biblioteca de Twilio para validar firmas
+const twilio = require('twilio');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * VALIDACIÓN DE FIRMA DE TWILIO
+ *
+ * Twilio firma cada petición al webhook con la cabecera X-Twilio-Signature,
+ * calculada con el Auth Token sobre la URL pública y los parámetros del formulario
+ * Sin esta verificación, cualquiera que conozca la URL podría hacer que el bot
+ * envíe (y facture) mensajes de WhatsApp
+ */
+
+/**
+ * Construir la URL completa que Twilio usó para llamar al webhook
+ * @param {object} req - Objeto de petición de Express
+ * @returns {string} URL pública de la petición
+ *
+ * Si PUBLIC_URL está configurada se usa como base (necesario detrás de proxies
+ * o túneles como ngrok); si no, se reconstruye a partir de la petición
+ */
+const getRequestUrl = (req) => {
+    const baseUrl = config.publicUrl
+        ? config.publicUrl.replace(/\/+$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+
+    return `${baseUrl}${req.originalUrl}`;
+};
+
+/**
+ * Middleware que rechaza con 403 las peticiones sin firma válida de Twilio
+ *
+ * @param {object} req - Objeto de petición de Express
+ * @param {object} res - Objeto de respuesta de Express
+ * @param {function} next - Función next
+ */
+const validateTwilioSignature = (req, res, next) => {
+    // Permitir desactivar la validación en desarrollo local
+    if (!config.twilio.validateSignature) {
+        if (config.nodeEnv !== 'production') {
+            return next();
+        }
+        logger.warn('TWILIO_VALIDATE_SIGNATURE=false ignorado en producción');
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    const url = getRequestUrl(req);
+
+    let reason = null;
+    if (!config.twilio.authToken) {
+        reason = 'TWILIO_AUTH_TOKEN no configurado';
+    } else if (!signature) {
+        reason = 'Cabecera X-Twilio-Signature ausente';
+    } else if (!twilio.validateRequest(config.twilio.authToken, signature, url, req.body || {})) {
+        reason = 'Firma de Twilio inválida';
+    }
+
+    if (reason) {
+        logger.warn('Petición al webhook rechazada', {
+            reason,
+            url,
+            ip: req.ip,
+            from: req.body?.From,
+        });
+        return next(new ForbiddenError('Firma de petición inválida'));
+    }
+
+    next();
+};
+
+module.exports = {
+    validateTwilioSignature,
+    getRequestUrl,
+};
@@ -0,0 +1,134 @@
+// Importar Express Router para definir rutas
+const express = require('express');
+const router = express.Router();
+const messageQueue = require('../services/messageQueue');
+const rateLimiter = require('../services/rateLimiter');
+const transcriptHistory = require('../services/transcriptHistory');
+const blocklist = require('../services/blocklist');
+const userDataEraser = require('../services/userDataEraser');
+const { asyncHandler, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { requireAdminToken } = require('../middleware/adminAuth');
+
+/**
+ * RUTAS DE ADMINISTRACIÓN
+ * 
+ * Endpoints internos para operar el servicio
+ * Todas requieren la cabecera Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+router.use(requireAdminToken);
+
+/**
+ * GET /admin/queue
+ * Estadísticas de la cola de mensajes (pendientes, en curso, fallidos)
+ */
+router.get(
+    '/queue',
+    asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            queue: await messageQueue.getStats(),
+        });
+    })
+);
+
+/**
+ * GET /admin/queue/dead-letters
+ * Lista de mensajes que agotaron sus reintentos
+ */
+router.get(
+    '/queue/dead-letters',
+    asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            deadLetters: await messageQueue.getDeadLetters(),
+        });
+    })
+);
+
+/**
+ * POST /admin/queue/dead-letters/:id/replay
+ * Volver a encolar un mensaje fallido
+ */
+router.post(
+    '/queue/dead-letters/:id/replay',
+    asyncHandler(async (req, res) => {
+        const job = await messageQueue.replayDeadLetter(req.params.id);
+        if (!job) {
+            throw new NotFoundError('Mensaje fallido no encontrado');
+        }
+
+        res.json({ success: true, job });
+    })
+);
+
+/**
+ * DELETE /admin/queue/dead-letters/:id
+ * Descartar un mensaje fallido sin reprocesarlo
+ */
+router.delete(
+    '/queue/dead-letters/:id',
+    asyncHandler(async (req, res) => {
+        if (!(await messageQueue.discardDeadLetter(req.params.id))) {
+            throw new NotFoundError('Mensaje fallido no encontrado');
+        }
+
+        res.json({ success: true });
+    })
+);
+
+/**
+ * GET /admin/rate-limits
+ * Uso actual, límites configurados y mensajes rechazados por límite de uso
+ */
+router.get(
+    '/rate-limits',
+    asyncHandler(async (req, res) => {
+        res.json({
+            success: true,
+            rateLimits: await rateLimiter.getStats(),
+        });
+    })
+);
+
+/**
+ * GET /admin/transcripts/:number?format=json|csv|md
+ * Exportar el historial de conversación de un estudiante
+ * (el número puede ir con o sin el prefijo "whatsapp:")
+ */
+router.get(
+    '/transcripts/:number',
+    asyncHandler(async (req, res) => {
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!transcriptHistory.isExportFormat(format)) {
+            throw new ValidationError('Formato no válido. Opciones: json, csv, md');
+        }
+
+        const userId = blocklist.normalize(req.params.number);
+        const transcript = await transcriptHistory.export(userId, format);
+        if (transcript.count === 0) {
+            throw new NotFoundError('No hay historial para ese número');
+        }
+
+        res.set('Content-Type', transcript.contentType);
+        res.set('Content-Disposition', `attachment; filename="${transcript.filename}"`);
+        res.send(transcript.content);
+    })
+);
+
+/**
+ * DELETE /admin/users/:number
+ * Borrar todos los datos de un estudiante (solicitudes de borrado recibidas
+ * por otro canal; desde WhatsApp basta con /forget)
+ */
+router.delete(
+    '/users/:number',
+    asyncHandler(async (req, res) => {
+        const userId = blocklist.normalize(req.params.number);
+        const deleted = await userDataEraser.forget(userId);
+
+        res.json({ success: true, userId, deleted });
+    })
+);
+
+// Exportar el router para usarlo en el servidor principal
+module.exports = router;
@@ -0,0 +1,57 @@
+// Importar Express Router para definir rutas
+const express = require('express');
+const router = express.Router();
+const simulator = require('../dev/simulator');
+const { asyncHandler, ValidationError } = require('../utils/errorHandler');
+
+/**
+ * RUTAS DE DESARROLLO
+ *
+ * Solo se montan fuera de producción y con SIMULATOR_ENABLED=true: el
+ * simulador sustituye Twilio, Google y el motor conversacional en todo el
+ * proceso (ver src/dev/simulator.js)
+ */
+
+/**
+ * Quitar los datos internos de un mensaje enviado por el tutor
+ * @param {object} message - Mensaje del buzón del simulador
+ * @returns {object} { type, body, mediaUrl, sid }
+ */
+function toResponse({ type, body, mediaUrl, sid }) {
+    return { type, body, mediaUrl, sid };
+}
+
+/**
+ * POST /dev/simulate
+ * Simular un mensaje de WhatsApp y obtener las respuestas del tutor
+ *
+ * Cuerpo (JSON):
+ * - { from, text }                 Mensaje de texto
+ * - { from, voice, text }          Nota de voz con esa frase (text = pie opcional)
+ * - { from, steps: [...] }         Guion completo (mismo formato que la CLI)
+ */
+router.post(
+    '/simulate',
+    asyncHandler(async (req, res) => {
+        const { from, text, voice, steps } = req.body;
+
+        if (steps) {
+            const result = await simulator.runScript({ from, steps });
+            return res.json({
+                success: true,
+                passed: result.passed,
+                steps: result.steps.map(step => ({ ...step, replies: step.replies.map(toResponse) })),
+            });
+        }
+
+        if (typeof text !== 'string' && typeof voice !== 'string') {
+            throw new ValidationError('Indica "text", "voice" o "steps"');
+        }
+
+        const messages = await simulator.send({ from, text: text || '', voice: voice || null });
+        res.json({ success: true, messages: messages.map(toResponse) });
+    })
+);
+
+// Exportar el router para usarlo en el servidor principal
+module.exports = router;
@@ -0,0 +1,57 @@
+// Importar Express Router para definir rutas
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const mediaServer = require('../services/mediaServer');
+const logger = require('../utils/logger');
+const { asyncHandler, ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * RUTAS DE MEDIOS
+ * 
+ * Sirven las respuestas de voz generadas para que Twilio pueda descargarlas
+ * y entregarlas como nota de voz por WhatsApp
+ */
+
+/**
+ * GET /media/:filename?expires=...&signature=...
+ * Descarga de un archivo de audio generado
+ * 
+ * Solo acepta URLs firmadas por mediaServer y no expiradas
+ * Tras una descarga completa, el archivo se programa para eliminarse
+ */
+router.get(
+    '/:filename',
+    asyncHandler(async (req, res) => {
+        const { filename } = req.params;
+        const { expires, signature } = req.query;
+
+        const reason = mediaServer.verify(filename, expires, signature);
+        if (reason) {
+            logger.warn('Descarga de medio rechazada', { reason, filename, ip: req.ip });
+            throw new ForbiddenError('Acceso al medio no autorizado');
+        }
+
+        const filepath = mediaServer.resolve(filename);
+        try {
+            await fs.access(filepath);
+        } catch (error) {
+            throw new NotFoundError('Medio no encontrado');
+        }
+
+        // Eliminar el archivo cuando la descarga se haya completado
+        res.on('finish', () => {
+            if (res.statusCode === 200) {
+                logger.info('Medio descargado', { filename });
+                mediaServer.scheduleDelete(filename);
+            }
+        });
+
+        res.type('audio/ogg');
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(filepath);
+    })
+);
+
+// Exportar el router para usarlo en el servidor principal
+module.exports = router;
@@ -1,9 +1,16 @@
 // Importar Express Router para definir rutas
 const express = require('express');
 const router = express.Router();
-const messageHandler = require('../services/messageHandler');
+const messageQueue = require('../services/messageQueue');
+const messageDeduplicator = require('../services/messageDeduplicator');
+const blocklist = require('../services/blocklist');
+const rateLimiter = require('../services/rateLimiter');
+const adminConsole = require('../services/adminConsole');
+const whatsappClient = require('../services/whatsappClient');
+const metrics = require('../services/metrics');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../utils/errorHandler');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
 
 /**
  * RUTAS DEL WEBHOOK DE WHATSAPP
@@ -18,17 +25,25 @@ const { asyncHandler } = require('../utils/errorHandler');
  * 
  * Flujo:
  * 1. Twilio envía el mensaje a este endpoint
- * 2. Registramos la petición
- * 3. Procesamos el mensaje de forma asíncrona
- * 4. Respondemos inmediatamente con 200 OK a Twilio
+ * 2. Verificamos la firma X-Twilio-Signature (403 si no es válida)
+ * 3. Registramos la petición
+ * 4. Descartamos reintentos/duplicados por MessageSid
+ * 5. Descartamos los mensajes de números bloqueados
+ * 6. Descartamos los mensajes que superan el límite por minuto (avisando una vez)
+ * 7. Guardamos el mensaje en la cola persistente
+ * 8. Respondemos inmediatamente con 200 OK a Twilio
+ * 9. Los workers de la cola lo procesan en segundo plano
  * 
  * ¿Por qué responder inmediatamente?
  * - Twilio tiene un timeout de 10 segundos
  * - El procesamiento puede tardar más (transcripción, IA, etc.)
  * - Procesamos en segundo plano para no bloquear
+ * - El mensaje ya está en disco antes de confirmar, así que no se pierde
+ *   aunque el proceso se reinicie antes de procesarlo
  */
 router.post(
     '/',
+    validateTwilioSignature,
     asyncHandler(async (req, res) => {
         logger.info('Webhook recibido', {
             from: req.body.From,  // Número de WhatsApp del remitente
@@ -36,13 +51,46 @@ router.post(
             hasMedia: req.body.NumMedia > 0,  // ¿Tiene archivos adjuntos?
         });
 
-        // Procesar mensaje de forma asíncrona (no bloqueante)
-        // Si hay error, solo se registra, no afecta la respuesta a Twilio
-        messageHandler.handleIncomingMessage(req.body).catch(error => {
-            logger.error('Manejo de mensaje asíncrono falló', {
-                error: error.message,
-            });
-        });
+        // Si Twilio ya nos entregó este mensaje, confirmar sin volver a procesarlo
+        const { MessageSid } = req.body;
+        if (MessageSid && !(await messageDeduplicator.claim(MessageSid))) {
+            metrics.increment('webhook_requests_total', { result: 'duplicate' });
+            return res.status(200).send('OK');
+        }
+
+        // Si algo falla antes de encolar, liberar el SID: el error llega a
+        // errorHandler y el reintento de Twilio debe aceptarse, no descartarse
+        try {
+            // Los números bloqueados no consumen recursos (se confirma para que Twilio no reintente)
+            if (await blocklist.isBlocked(req.body.From)) {
+                logger.warn('Mensaje de número bloqueado descartado', { from: req.body.From });
+                metrics.increment('webhook_requests_total', { result: 'blocked' });
+                return res.status(200).send('OK');
+            }
+
+            // Límite de mensajes por minuto (el administrador no tiene límite)
+            const { From } = req.body;
+            if (!adminConsole.isAdmin(From)) {
+                const { allowed, notify } = rateLimiter.checkMessage(From);
+                if (!allowed) {
+                    metrics.increment('webhook_requests_total', { result: 'rate_limited' });
+                    if (notify) {
+                        // Sin esperar: la respuesta a Twilio no depende del aviso
+                        whatsappClient.sendTextMessage(From, rateLimiter.formatNotice('messages')).catch(() => {});
+                    }
+                    return res.status(200).send('OK');
+                }
+            }
+
+            // Encolar el mensaje; los workers lo procesan de forma asíncrona
+            await messageQueue.enqueue(req.body);
+            metrics.increment('webhook_requests_total', { result: 'accepted' });
+        } catch (error) {
+            if (MessageSid) {
+                await messageDeduplicator.release(MessageSid).catch(() => {});
+            }
+            throw error;
+        }
 
         // Responder inmediatamente a Twilio con 200 OK
         // Esto confirma que recibimos el mensaje exitosamente
@@ -3,8 +3,19 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const config = require('./config/config');
 const logger = require('./utils/logger');
-const { errorHandler } = require('./utils/errorHandler');
+const { errorHandler, asyncHandler } = require('./utils/errorHandler');
+const { hasAdminToken, requireMetricsToken } = require('./middleware/adminAuth');
+const requestContext = require('./utils/requestContext');
 const webhookRoutes = require('./routes/webhook');
+const adminRoutes = require('./routes/admin');
+const mediaRoutes = require('./routes/media');
+const { getConversationEngine } = require('./services/conversationEngine');
+const messageQueue = require('./services/messageQueue');
+const mediaServer = require('./services/mediaServer');
+const userProfile = require('./services/userProfile');
+const reminderScheduler = require('./services/reminderScheduler');
+const metrics = require('./services/metrics');
+const readiness = require('./services/readiness');
 
 // Inicializar la aplicación Express
 const app = express();
@@ -17,6 +28,10 @@ const app = express();
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
+// Contexto de correlación por petición (MessageSid de Twilio, X-Request-Id o uno generado)
+// Todas las líneas de log de la petición llevan su correlationId
+app.use(requestContext.middleware());
+
 // Middleware para registrar todas las peticiones entrantes
 app.use((req, res, next) => {
     logger.info('Petición entrante', {
@@ -41,9 +56,68 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Endpoint de disponibilidad (dependencias externas, configuración y directorios)
+// GET /ready - 200 si los componentes críticos funcionan, 503 si no
+// Con el token de administración: ?force=true ignora la caché y se incluyen los errores;
+// sin él, solo el estado de cada componente (los errores pueden revelar la configuración)
+app.get('/ready', asyncHandler(async (req, res) => {
+    const admin = hasAdminToken(req);
+    const result = await readiness.check({ force: admin && req.query.force === 'true' });
+
+    const components = {};
+    for (const [name, component] of Object.entries(result.components)) {
+        components[name] = admin ? component : { status: component.status, critical: component.critical };
+    }
+
+    res.status(result.ready ? 200 : 503).json({
+        status: result.ready ? 'ready' : 'not_ready',
+        timestamp: new Date(result.checkedAt).toISOString(),
+        cached: result.cached,
+        components,
+    });
+}));
+
+// Métricas en formato Prometheus
+// GET /metrics - Contadores, latencias por etapa e indicadores actuales
+app.get('/metrics', requireMetricsToken, asyncHandler(async (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+}));
+
+// Indicadores que se calculan en cada consulta de /metrics
+metrics.addCollector(async () => {
+    const queue = await messageQueue.getStats();
+    metrics.set('queue_jobs', { state: 'pending' }, queue.pending);
+    metrics.set('queue_jobs', { state: 'active' }, queue.active);
+    metrics.set('queue_jobs', { state: 'dead_letter' }, queue.deadLetters);
+});
+metrics.addCollector(async () => {
+    metrics.set('active_sessions', {}, await getConversationEngine().getActiveSessionCount());
+});
+metrics.addCollector(async () => {
+    metrics.set('uptime_seconds', {}, Math.round(process.uptime()));
+});
+
 // Rutas del webhook de WhatsApp
 app.use('/webhook', webhookRoutes);
 
+// Respuestas de voz generadas, descargadas por Twilio con URLs firmadas
+app.use('/media', mediaRoutes);
+
+// Rutas de administración (protegidas con ADMIN_API_TOKEN)
+app.use('/admin', adminRoutes);
+
+// Simulador de conversaciones sin red (solo desarrollo)
+// Sustituye Twilio y Google en todo el proceso, así que nunca se activa en producción
+// (se carga solo aquí para que el código de desarrollo no entre en los demás entornos)
+const simulatorEnabled = config.simulator.enabled && config.nodeEnv !== 'production';
+if (simulatorEnabled) {
+    require('./dev/simulator').install();
+    app.use('/dev', require('./routes/dev'));
+} else if (config.simulator.enabled) {
+    logger.warn('SIMULATOR_ENABLED se ignora en producción');
+}
+
 // Endpoint raíz - Información de la API
 app.get('/', (req, res) => {
     res.json({
@@ -52,7 +126,10 @@ app.get('/', (req, res) => {
         description: 'Tutor conversacional de IA bilingüe para WhatsApp',
         endpoints: {
             health: '/health',
+            ready: '/ready',
+            metrics: '/metrics',
             webhook: '/webhook',
+            ...(simulatorEnabled && { simulate: '/dev/simulate' }),
         },
     });
 });
@@ -98,6 +175,20 @@ const startServer = async () => {
 
             logger.info('📱 ¡Listo para recibir mensajes de WhatsApp!');
         });
+
+        // Programar la expiración de sesiones inactivas del motor conversacional
+        getConversationEngine().startSessionCleanup();
+
+        // Eliminar periódicamente las respuestas de voz expiradas
+        mediaServer.startCleanup();
+
+        // Iniciar los workers de la cola (reanuda mensajes pendientes de un reinicio)
+        await messageQueue.start();
+
+        // Enviar los recordatorios diarios a los estudiantes suscritos
+        if (config.reminders.enabled) {
+            reminderScheduler.start();
+        }
     } catch (error) {
         logger.error('Error al iniciar el servidor', { error: error.message });
         process.exit(1);
@@ -120,17 +211,32 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1);
 });
 
-// Apagado gracioso con SIGTERM
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM recibido, apagando graciosamente');
+/**
+ * Apagado gracioso
+ * Libera los recursos de los servicios antes de terminar el proceso
+ * @param {string} signal - Señal recibida
+ */
+const shutdown = async (signal) => {
+    logger.info(`${signal} recibido, apagando graciosamente`);
+
+    try {
+        // Primero dejar de enviar y procesar mensajes, y esperar a los que están en curso
+        reminderScheduler.stop();
+        await messageQueue.stop();
+        await getConversationEngine().close();
+        await userProfile.close();
+    } catch (error) {
+        logger.error('Error durante el apagado', { error: error.message });
+    }
+
     process.exit(0);
-});
+};
+
+// Apagado gracioso con SIGTERM
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Apagado gracioso con SIGINT (Ctrl+C)
-process.on('SIGINT', () => {
-    logger.info('SIGINT recibido, apagando graciosamente');
-    process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Iniciar el servidor
 startServer();
@@ -0,0 +1,241 @@
+// Importar dependencias
+const whatsappClient = require('./whatsappClient');
+const userProfile = require('./userProfile');
+const blocklist = require('./blocklist');
+const errorMonitor = require('./errorMonitor');
+const rateLimiter = require('./rateLimiter');
+const { getConversationEngine } = require('./conversationEngine');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const MessageProgress = require('../utils/messageProgress');
+
+/**
+ * Consola de Administración por WhatsApp
+ *
+ * Los mensajes del número ADMIN_WHATSAPP_NUMBER no llegan al tutor: se
+ * interpretan como comandos de administración (con o sin "/" delante)
+ *
+ * Cada comando recibe { from, args, text } y retorna el texto de respuesta
+ */
+class AdminConsole {
+    constructor() {
+        // Clave: nombre del comando, Valor: { usage, description, handler }
+        this.commands = new Map();
+    }
+
+    /**
+     * Registrar un comando de administración
+     * @param {string} name - Nombre del comando
+     * @param {object} definition - { usage, description, handler }
+     */
+    register(name, definition) {
+        this.commands.set(name, { usage: name, ...definition });
+    }
+
+    /**
+     * Verificar si un número es el del administrador
+     * @param {string} from - Número de WhatsApp del remitente
+     * @returns {boolean} true si es el administrador configurado
+     */
+    isAdmin(from) {
+        const { adminNumber } = config.twilio;
+        return Boolean(adminNumber) && blocklist.normalize(from || '') === blocklist.normalize(adminNumber);
+    }
+
+    /**
+     * Ejecutar un comando de administración
+     * @param {string} from - Número del administrador
+     * @param {string} text - Texto del mensaje
+     * @param {MessageProgress} progress - Progreso del mensaje (un reintento no repite el comando)
+     */
+    async handle(from, text, progress = new MessageProgress()) {
+        const input = (text || '').trim();
+        const [command = '', ...args] = input.split(/\s+/);
+        const name = command.replace(/^\//, '').toLowerCase();
+        const definition = this.commands.get(name) || this.commands.get('help');
+
+        logger.info('Comando de administración recibido', { command: name, args: args.length });
+
+        const reply = await progress.step('admin-command', async () => {
+            try {
+                return await definition.handler({ from, args, text: input.slice(command.length).trim() });
+            } catch (error) {
+                logger.error('Comando de administración falló', { command: name, error: error.message });
+                return `❌ Error en "${name}": ${error.message}`;
+            }
+        });
+
+        await progress.step('admin-reply', async () => {
+            await whatsappClient.sendTextMessage(from, reply);
+        });
+    }
+
+    /**
+     * Formatear un tiempo en segundos como "1d 2h 3m"
+     * @param {number} seconds - Segundos
+     * @returns {string} Duración legible
+     */
+    formatDuration(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return `${days}d ${hours}h ${minutes}m`;
+    }
+
+    /**
+     * Listar los estudiantes que escribieron dentro de la ventana de 24 horas
+     * @returns {Promise<Array<object>>} Perfiles activos (sin el administrador)
+     *
+     * Fuera de esa ventana WhatsApp no permite enviarles texto libre
+     */
+    async getActiveStudents() {
+        const since = Date.now() - config.reminders.sessionWindow;
+        const profiles = await userProfile.listProfiles();
+
+        return profiles.filter(profile =>
+            profile.lastSeen && Date.parse(profile.lastSeen) >= since && !this.isAdmin(profile.userId)
+        );
+    }
+}
+
+const adminConsole = new AdminConsole();
+
+// ========================================
+// COMANDOS DE ADMINISTRACIÓN
+// ========================================
+
+adminConsole.register('help', {
+    description: 'Muestra esta ayuda',
+    handler: async () => {
+        const lines = [...adminConsole.commands.values()].map(command =>
+            `${command.usage} — ${command.description}`
+        );
+        return `🛠️ Consola de administración:\n\n${lines.join('\n')}`;
+    },
+});
+
+adminConsole.register('status', {
+    description: 'Sesiones, cola, estudiantes y errores',
+    handler: async () => {
+        // Requerido aquí: messageQueue depende de messageHandler, que usa esta consola
+        const messageQueue = require('./messageQueue');
+
+        const [sessions, queue, profiles, activeStudents, blocked, limits] = await Promise.all([
+            getConversationEngine().getActiveSessionCount(),
+            messageQueue.getStats(),
+            userProfile.listProfiles(),
+            adminConsole.getActiveStudents(),
+            blocklist.list(),
+            rateLimiter.getStats(),
+        ]);
+        const rejected = limits.rejected.user + limits.rejected.global + limits.rejected.audio;
+        const { errors, rate } = errorMonitor.getErrorRate();
+
+        return '📊 Estado del servidor\n\n' +
+            `💬 Sesiones activas: ${sessions}\n` +
+            `👥 Estudiantes: ${profiles.length} (${activeStudents.length} activos en 24 h)\n` +
+            `📥 Cola: ${queue.pending} pendientes, ${queue.active} en curso, ${queue.deadLetters} fallidos\n` +
+            `⚠️ Errores recientes: ${errors} (tasa ${Math.round(rate * 100)}%)\n` +
+            `🚫 Bloqueados: ${blocked.length}\n` +
+            `🐢 Rechazados por límite de uso: ${rejected} (audio hoy: ${Math.round(limits.audioSecondsToday / 60)} min)\n` +
+            `⏱️ Activo desde hace: ${adminConsole.formatDuration(process.uptime())}`;
+    },
+});
+
+adminConsole.register('errors', {
+    description: 'Resumen de errores de la última hora',
+    handler: async () => {
+        const { total, byType, recent } = errorMonitor.getSummary();
+
+        if (total === 0) {
+            return '✅ Sin errores en la última hora.';
+        }
+
+        const types = Object.entries(byType)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => `• ${type}: ${count}`)
+            .join('\n');
+        const latest = recent
+            .map(entry => `• ${new Date(entry.at).toISOString().slice(11, 19)} ${entry.type}: ${entry.message}`)
+            .join('\n');
+
+        return `⚠️ ${total} errores en la última hora\n\n${types}\n\nÚltimos:\n${latest}`;
+    },
+});
+
+adminConsole.register('broadcast', {
+    usage: 'broadcast <mensaje>',
+    description: 'Envía un mensaje a los estudiantes activos en 24 h',
+    handler: async ({ text }) => {
+        if (!text) {
+            return 'Uso: broadcast <mensaje>';
+        }
+
+        const students = await adminConsole.getActiveStudents();
+        let sent = 0;
+        let failed = 0;
+
+        for (const student of students) {
+            if (await blocklist.isBlocked(student.userId)) {
+                continue;
+            }
+            try {
+                await whatsappClient.sendTextMessage(student.userId, `📣 ${text}`);
+                sent++;
+            } catch (error) {
+                failed++;
+            }
+        }
+
+        logger.info('Difusión enviada', { sent, failed });
+        return `📣 Mensaje enviado a ${sent} estudiantes${failed > 0 ? ` (${failed} fallidos)` : ''}.`;
+    },
+});
+
+adminConsole.register('block', {
+    usage: 'block <número> [motivo]',
+    description: 'Bloquea un número',
+    handler: async ({ args }) => {
+        const [number, ...reason] = args;
+        if (!number) {
+            return 'Uso: block <número> [motivo]';
+        }
+        if (adminConsole.isAdmin(number)) {
+            return '❌ No puedes bloquear el número de administración.';
+        }
+
+        const normalized = await blocklist.block(number, reason.join(' ') || null);
+        return `🚫 ${normalized} bloqueado.`;
+    },
+});
+
+adminConsole.register('unblock', {
+    usage: 'unblock <número>',
+    description: 'Desbloquea un número',
+    handler: async ({ args }) => {
+        if (!args[0]) {
+            return 'Uso: unblock <número>';
+        }
+
+        return (await blocklist.unblock(args[0]))
+            ? `✅ ${blocklist.normalize(args[0])} desbloqueado.`
+            : `${blocklist.normalize(args[0])} no estaba bloqueado.`;
+    },
+});
+
+adminConsole.register('blocked', {
+    description: 'Lista los números bloqueados',
+    handler: async () => {
+        const entries = await blocklist.list();
+        if (entries.length === 0) {
+            return 'No hay números bloqueados.';
+        }
+
+        return '🚫 Números bloqueados:\n\n' + entries
+            .map(entry => `• ${entry.number}${entry.reason ? ` — ${entry.reason}` : ''}`)
+            .join('\n');
+    },
+});
+
+// Exportar una instancia única (singleton)
+module.exports = adminConsole;
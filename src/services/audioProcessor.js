@@ -1,28 +1,100 @@
 // Importar bibliotecas necesarias para manejo de archivos y HTTP
 const axios = require('axios');
+const { spawn } = require('child_process');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { AudioProcessingError } = require('../utils/errorHandler');
+const metrics = require('./metrics');
+const { AudioProcessingError, WhatsAppError, isTransientError } = require('../utils/errorHandler');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Directorio de archivos temporales
+ */
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+/**
+ * Formatos de audio reconocidos
+ * Se identifican por su firma (magic bytes); el Content-Type de Twilio solo
+ * se usa si la firma no es concluyente
+ */
+const FORMATS = [
+    {
+        id: 'ogg',
+        extension: 'ogg',
+        mimeTypes: ['audio/ogg', 'audio/opus', 'application/ogg'],
+        test: (buffer) => buffer.toString('latin1', 0, 4) === 'OggS',
+    },
+    {
+        id: 'wav',
+        extension: 'wav',
+        mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+        test: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE',
+    },
+    {
+        id: 'flac',
+        extension: 'flac',
+        mimeTypes: ['audio/flac', 'audio/x-flac'],
+        test: (buffer) => buffer.toString('latin1', 0, 4) === 'fLaC',
+    },
+    {
+        id: 'amr',
+        extension: 'amr',
+        mimeTypes: ['audio/amr', 'audio/amr-wb'],
+        test: (buffer) => buffer.toString('latin1', 0, 5) === '#!AMR',
+    },
+    {
+        id: 'm4a',
+        extension: 'm4a',
+        mimeTypes: ['audio/mp4', 'audio/m4a', 'audio/x-m4a', 'video/mp4'],
+        test: (buffer) => buffer.toString('latin1', 4, 8) === 'ftyp',
+    },
+    {
+        id: 'webm',
+        extension: 'webm',
+        mimeTypes: ['audio/webm', 'video/webm'],
+        test: (buffer) => buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3,
+    },
+    {
+        id: 'mp3',
+        extension: 'mp3',
+        mimeTypes: ['audio/mpeg', 'audio/mp3'],
+        // Etiqueta ID3 o cabecera de trama MPEG (11 bits de sincronización)
+        test: (buffer) => buffer.toString('latin1', 0, 3) === 'ID3' ||
+            (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0),
+    },
+    {
+        id: 'aac',
+        extension: 'aac',
+        mimeTypes: ['audio/aac', 'audio/aacp'],
+        // Cabecera ADTS (sincronización de 12 bits y capa 0)
+        test: (buffer) => buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0,
+    },
+];
+
 /**
  * Procesador de Audio
- * 
+ *
  * Maneja la descarga, validación y limpieza de archivos de audio de WhatsApp
  * Los archivos de audio vienen como URLs de Twilio que deben descargarse
+ *
+ * Cualquier formato soportado (OGG/Opus, MP3, M4A, AAC, AMR, WAV, WebM, FLAC) se
+ * convierte con ffmpeg a un formato canónico para Speech-to-Text: mono,
+ * LINEAR16 (WAV) o FLAC a una frecuencia fija, sin silencios al principio y
+ * al final y con volumen normalizado
  */
 class AudioProcessor {
     /**
      * Descargar archivo de audio desde URL de Twilio
      * @param {string} mediaUrl - URL de medios de Twilio
      * @param {string} messageSid - SID del mensaje para nombre de archivo único
-     * @returns {Promise<Buffer>} Buffer del audio descargado
-     * 
+     * @returns {Promise<object>} { buffer, format, filepath } del audio descargado
+     *
      * Twilio aloja los archivos de medios temporalmente
      * Requiere autenticación usando credenciales de cuenta
      */
     async downloadAudio(mediaUrl, messageSid) {
+        const end = metrics.startTimer('download');
         try {
             logger.info('Descargando archivo de audio', { mediaUrl, messageSid });
 
@@ -38,38 +110,71 @@ class AudioProcessor {
                 url: mediaUrl,
                 auth,
                 responseType: 'arraybuffer',  // Importante: obtener datos binarios
+                timeout: config.twilio.mediaTimeout,  // Una descarga colgada no bloquea al worker
             });
+            end();
 
             // Convertir respuesta a Buffer
             const audioBuffer = Buffer.from(response.data);
+            const contentType = response.headers['content-type'];
+            const format = this.detectFormat(audioBuffer, contentType);
 
             logger.info('Audio descargado exitosamente', {
                 size: audioBuffer.length,
-                contentType: response.headers['content-type'],
+                contentType,
+                format: format?.id,
             });
 
-            // Guardar en directorio temporal para procesamiento
-            const filename = `${messageSid}.ogg`;
-            const filepath = path.join(__dirname, '../../temp', filename);
+            // Guardar en directorio temporal para procesamiento (ffmpeg lee desde archivo)
+            const filename = `${messageSid}.${format ? format.extension : 'bin'}`;
+            const filepath = path.join(TEMP_DIR, filename);
             await fs.writeFile(filepath, audioBuffer);
 
-            return audioBuffer;
+            return { buffer: audioBuffer, format, filepath };
         } catch (error) {
+            end(error);
             logger.error('Error al descargar audio', {
                 error: error.message,
+                status: error.response?.status,
                 mediaUrl,
             });
-            throw new AudioProcessingError(
-                `Error al descargar audio: ${error.message}`
-            );
+
+            // Twilio caído o red: error 502 para que la cola reintente
+            if (isTransientError(error)) {
+                throw new WhatsAppError('No pude descargar tu nota de voz de WhatsApp. Por favor envíala de nuevo en unos minutos.');
+            }
+
+            // 4xx: la nota ya no existe o no es accesible, reintentar no sirve
+            if (error.response) {
+                throw new AudioProcessingError('No pude descargar tu nota de voz. Por favor envíala de nuevo.');
+            }
+
+            // Cualquier otro fallo (disco, bugs) se relanza tal cual
+            throw error;
         }
     }
 
+    /**
+     * Identificar el formato real del audio
+     * @param {Buffer} audioBuffer - Buffer de audio
+     * @param {string} contentType - Content-Type informado por Twilio (opcional)
+     * @returns {object|null} Formato de FORMATS o null si no se reconoce
+     */
+    detectFormat(audioBuffer, contentType = '') {
+        const byContent = FORMATS.find(format => format.test(audioBuffer));
+        if (byContent) {
+            return byContent;
+        }
+
+        const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+        return FORMATS.find(format => format.mimeTypes.includes(mimeType)) || null;
+    }
+
     /**
      * Validar tamaño del archivo de audio
      * @param {Buffer} audioBuffer - Buffer de audio
      * @returns {boolean} true si es válido
-     * 
+     *
      * Verifica que el archivo no exceda el tamaño máximo permitido
      * Previene problemas de memoria y procesamiento
      */
@@ -92,16 +197,114 @@ class AudioProcessor {
         return true;
     }
 
+    /**
+     * Construir los argumentos de ffmpeg para la conversión al formato canónico
+     * @param {string} inputPath - Archivo de entrada
+     * @param {string} outputPath - Archivo de salida
+     * @returns {Array<string>} Argumentos de la línea de comandos
+     *
+     * El silencio final se recorta invirtiendo el audio, recortando el
+     * silencio inicial y volviendo a invertirlo
+     */
+    buildFfmpegArgs(inputPath, outputPath) {
+        const { encoding, sampleRate, trimSilence, silenceThreshold, normalizeLoudness, loudnessTarget } = config.audio;
+        const filters = [];
+
+        if (trimSilence) {
+            const trim = `silenceremove=start_periods=1:start_threshold=${silenceThreshold}:start_silence=0.2`;
+            filters.push(trim, 'areverse', trim, 'areverse');
+        }
+        if (normalizeLoudness) {
+            filters.push(`loudnorm=I=${loudnessTarget}:TP=-1.5:LRA=11`);
+        }
+
+        return [
+            '-hide_banner',
+            '-nostdin',
+            '-i', inputPath,
+            '-vn',                          // Ignorar pistas de vídeo (M4A/WebM)
+            '-map_metadata', '-1',          // Sin etiquetas en la salida
+            ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+            '-ac', '1',                     // Mono
+            '-ar', String(sampleRate),      // Frecuencia fija
+            ...(encoding === 'FLAC'
+                ? ['-c:a', 'flac', '-f', 'flac']
+                : ['-c:a', 'pcm_s16le', '-f', 'wav']),
+            '-y',
+            outputPath,
+        ];
+    }
+
+    /**
+     * Convertir un archivo de audio al formato canónico con ffmpeg
+     * @param {string} inputPath - Archivo de entrada
+     * @returns {Promise<Buffer>} Audio convertido (WAV LINEAR16 o FLAC)
+     *
+     * La salida se escribe en un archivo (no en una tubería) para que ffmpeg
+     * pueda completar las cabeceras con la duración al terminar
+     *
+     * Un archivo que ffmpeg no puede decodificar es un error del usuario (422);
+     * si falta ffmpeg o se agota el tiempo, el error se reintenta
+     */
+    async transcode(inputPath) {
+        const ffmpegPath = config.audio.ffmpegPath || require('ffmpeg-static');
+        const extension = config.audio.encoding === 'FLAC' ? 'flac' : 'wav';
+        const outputPath = inputPath.replace(/\.[^.]+$/, `.canonical.${extension}`);
+
+        await metrics.measure('transcode', () => new Promise((resolve, reject) => {
+            const ffmpeg = spawn(ffmpegPath, this.buildFfmpegArgs(inputPath, outputPath));
+            let stderr = '';
+            // Tras el timeout o un error al ejecutarlo, ffmpeg también emite 'close': se ignora
+            let settled = false;
+
+            const timer = setTimeout(() => {
+                settled = true;
+                ffmpeg.kill('SIGKILL');
+                reject(new Error(`ffmpeg superó el tiempo máximo de ${config.audio.transcodeTimeout} ms`));
+            }, config.audio.transcodeTimeout);
+
+            // Solo interesa el final del log de ffmpeg para diagnosticar errores
+            ffmpeg.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+
+            ffmpeg.on('error', error => {
+                clearTimeout(timer);
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                reject(new Error(`No se pudo ejecutar ffmpeg: ${error.message}`));
+            });
+
+            ffmpeg.on('close', code => {
+                clearTimeout(timer);
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                if (code !== 0) {
+                    logger.error('ffmpeg falló', { code, stderr: stderr.split('\n').slice(-5).join(' | ') });
+                    reject(new AudioProcessingError('No se pudo leer el archivo de audio. Por favor envía otra nota de voz.'));
+                    return;
+                }
+
+                resolve();
+            });
+        }));
+
+        return fs.readFile(outputPath);
+    }
+
     /**
      * Limpiar archivos de audio temporales
      * @param {string} filename - Nombre del archivo a eliminar
-     * 
+     *
      * Elimina archivos temporales después de procesarlos
      * para liberar espacio en disco
      */
     async cleanupTempFile(filename) {
         try {
-            const filepath = path.join(__dirname, '../../temp', filename);
+            const filepath = path.join(TEMP_DIR, filename);
             await fs.unlink(filepath);  // Eliminar archivo
             logger.info('Archivo temporal limpiado', { filepath });
         } catch (error) {
@@ -113,24 +316,71 @@ class AudioProcessor {
         }
     }
 
+    /**
+     * Limpiar los archivos temporales de una nota de voz
+     * @param {string} messageSid - SID del mensaje
+     *
+     * La extensión depende del formato detectado, así que se buscan por prefijo
+     */
+    async cleanupVoiceNote(messageSid) {
+        let files = [];
+        try {
+            files = await fs.readdir(TEMP_DIR);
+        } catch (error) {
+            logger.warn('Error al listar archivos temporales', { error: error.message });
+        }
+
+        const own = files.filter(filename => filename.startsWith(`${messageSid}.`));
+        await Promise.all(own.map(filename => this.cleanupTempFile(filename)));
+    }
+
     /**
      * Procesar nota de voz: descargar, validar y preparar para transcripción
      * @param {string} mediaUrl - URL de medios de Twilio
      * @param {string} messageSid - SID del mensaje
      * @returns {Promise<Buffer>} Buffer de audio procesado
-     * 
+     *
      * Proceso completo:
      * 1. Descargar audio desde Twilio
-     * 2. Validar tamaño
-     * 3. Retornar buffer listo para transcripción
+     * 2. Validar tamaño y formato
+     * 3. Convertir al formato canónico (mono, frecuencia fija, sin silencios, volumen normalizado)
+     * 4. Retornar buffer listo para transcripción
      */
     async processVoiceNote(mediaUrl, messageSid) {
         try {
             // Paso 1: Descargar audio
-            const audioBuffer = await this.downloadAudio(mediaUrl, messageSid);
+            const { buffer, format, filepath } = await this.downloadAudio(mediaUrl, messageSid);
+
+            // Paso 2: Validar tamaño y formato
+            this.validateAudioSize(buffer);
+            if (!format) {
+                throw new AudioProcessingError(
+                    'Formato de audio no soportado. Envía una nota de voz o un archivo OGG, MP3, M4A, AMR o WAV.'
+                );
+            }
+
+            // Sin conversión, Speech-to-Text solo entiende OGG/Opus, WAV y FLAC
+            if (!config.audio.transcode) {
+                if (!this.getRecognitionConfig(buffer)) {
+                    throw new AudioProcessingError(
+                        'Formato de audio no soportado. Por favor envía una nota de voz de WhatsApp.'
+                    );
+                }
+                return buffer;
+            }
+
+            // Paso 3: Convertir al formato canónico
+            const audioBuffer = await this.transcode(filepath);
+
+            // Si tras recortar los silencios no queda audio, no hay nada que transcribir
+            if (this.getDuration(audioBuffer) < 0.1) {
+                throw new AudioProcessingError('No se escucha nada en la nota de voz. Por favor habla más cerca del micrófono.');
+            }
 
-            // Paso 2: Validar tamaño
-            this.validateAudioSize(audioBuffer);
+            logger.info('Audio convertido', {
+                from: format.id,
+                ...this.getAudioInfo(audioBuffer),
+            });
 
             // Retornar buffer para transcripción
             return audioBuffer;
@@ -143,18 +393,194 @@ class AudioProcessor {
         }
     }
 
+    /**
+     * Leer la configuración de reconocimiento que corresponde a un audio
+     * @param {Buffer} audioBuffer - Buffer de audio
+     * @returns {object|null} { encoding, sampleRateHertz } para Speech-to-Text,
+     *                        o null si Speech-to-Text no lo acepta directamente
+     */
+    getRecognitionConfig(audioBuffer) {
+        const format = this.detectFormat(audioBuffer);
+
+        switch (format?.id) {
+            case 'wav':
+                // fmt: frecuencia en el byte 24 (WAV canónico de 44 bytes de cabecera)
+                return { encoding: 'LINEAR16', sampleRateHertz: audioBuffer.readUInt32LE(24) };
+            case 'flac':
+                // STREAMINFO: frecuencia en los 20 bits que empiezan en el byte 18
+                return { encoding: 'FLAC', sampleRateHertz: audioBuffer.readUInt32BE(18) >>> 12 };
+            case 'ogg': {
+                // OpusHead: frecuencia original en el byte 12 (Opus siempre decodifica a 48 kHz si no se indica)
+                const head = audioBuffer.indexOf('OpusHead');
+                if (head < 0) {
+                    return null;
+                }
+                const inputRate = audioBuffer.readUInt32LE(head + 12);
+                const rates = [8000, 12000, 16000, 24000, 48000];
+                return { encoding: 'OGG_OPUS', sampleRateHertz: rates.includes(inputRate) ? inputRate : 48000 };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Dividir un audio WAV LINEAR16 en segmentos, cortando en los silencios
+     * @param {Buffer} audioBuffer - Audio WAV mono de 16 bits
+     * @param {number} maxDuration - Duración máxima de cada segmento en segundos
+     * @returns {Array<object>} Segmentos { buffer (WAV), start, end } con tiempos en segundos
+     *
+     * Cada corte se hace en el centro del silencio más largo de la segunda
+     * mitad del segmento; si no hay ninguno se corta en la duración máxima
+     */
+    splitOnSilence(audioBuffer, maxDuration) {
+        const sampleRate = audioBuffer.readUInt32LE(24);
+        const dataStart = audioBuffer.indexOf('data', 12) + 8;
+        const pcm = audioBuffer.subarray(dataStart, dataStart + Math.floor((audioBuffer.length - dataStart) / 2) * 2);
+        const totalSamples = pcm.length / 2;
+
+        // Nivel (dBFS) por trama de 20 ms
+        const frameSamples = Math.round(sampleRate * 0.02);
+        const levels = [];
+        for (let offset = 0; offset < totalSamples; offset += frameSamples) {
+            const end = Math.min(offset + frameSamples, totalSamples);
+            let sum = 0;
+            for (let i = offset; i < end; i++) {
+                const sample = pcm.readInt16LE(i * 2);
+                sum += sample * sample;
+            }
+            const rms = Math.sqrt(sum / (end - offset));
+            levels.push(rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity);
+        }
+
+        const maxFrames = Math.floor(maxDuration / 0.02);
+        const minSilenceFrames = Math.ceil(config.speech.segmentMinSilence / 0.02);
+        const isSilent = (frame) => levels[frame] < config.speech.segmentSilenceLevel;
+        const cuts = [0];
+
+        while (levels.length - cuts[cuts.length - 1] > maxFrames) {
+            const start = cuts[cuts.length - 1];
+            const limit = start + maxFrames;
+            let best = null;
+
+            // Buscar el silencio más largo (el último si hay empate) entre la mitad y el final del segmento
+            for (let frame = start + Math.floor(maxFrames / 2); frame < limit; frame++) {
+                if (!isSilent(frame)) {
+                    continue;
+                }
+                let runEnd = frame;
+                while (runEnd < limit && isSilent(runEnd)) {
+                    runEnd++;
+                }
+                if (runEnd - frame >= minSilenceFrames && (!best || runEnd - frame >= best.length)) {
+                    best = { start: frame, length: runEnd - frame };
+                }
+                frame = runEnd;
+            }
+
+            cuts.push(best ? best.start + Math.floor(best.length / 2) : limit);
+        }
+        cuts.push(levels.length);
+
+        const segments = [];
+        for (let i = 0; i < cuts.length - 1; i++) {
+            const fromSample = cuts[i] * frameSamples;
+            const toSample = Math.min(cuts[i + 1] * frameSamples, totalSamples);
+            segments.push({
+                buffer: this.buildWav(pcm.subarray(fromSample * 2, toSample * 2), sampleRate),
+                start: fromSample / sampleRate,
+                end: toSample / sampleRate,
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Crear un archivo WAV (PCM mono de 16 bits) a partir de muestras
+     * @param {Buffer} pcm - Muestras PCM de 16 bits little-endian
+     * @param {number} sampleRate - Frecuencia de muestreo en Hz
+     * @returns {Buffer} Archivo WAV con cabecera de 44 bytes
+     */
+    buildWav(pcm, sampleRate) {
+        const header = Buffer.alloc(44);
+        header.write('RIFF', 0, 'latin1');
+        header.writeUInt32LE(36 + pcm.length, 4);
+        header.write('WAVE', 8, 'latin1');
+        header.write('fmt ', 12, 'latin1');
+        header.writeUInt32LE(16, 16);              // Tamaño del bloque fmt
+        header.writeUInt16LE(1, 20);               // PCM
+        header.writeUInt16LE(1, 22);               // Mono
+        header.writeUInt32LE(sampleRate, 24);
+        header.writeUInt32LE(sampleRate * 2, 28);  // Bytes por segundo
+        header.writeUInt16LE(2, 32);               // Bytes por muestra
+        header.writeUInt16LE(16, 34);              // Bits por muestra
+        header.write('data', 36, 'latin1');
+        header.writeUInt32LE(pcm.length, 40);
+
+        return Buffer.concat([header, pcm]);
+    }
+
+    /**
+     * Calcular la duración de una nota de voz
+     * @param {Buffer} audioBuffer - Buffer de audio
+     * @returns {number} Duración en segundos
+     *
+     * - WAV: tamaño de los datos / bytes por segundo
+     * - FLAC: total de muestras de STREAMINFO / frecuencia
+     * - OGG Opus: la última página guarda la posición final en muestras a
+     *   48 kHz (menos el pre-skip de la cabecera OpusHead)
+     * - Otros: estimación a partir del tamaño (~16 kbps)
+     */
+    getDuration(audioBuffer) {
+        const format = this.detectFormat(audioBuffer);
+
+        if (format?.id === 'wav' && audioBuffer.length >= 44) {
+            const byteRate = audioBuffer.readUInt32LE(28);
+            const data = audioBuffer.indexOf('data', 12);
+            return data >= 0 && byteRate > 0 ? (audioBuffer.length - data - 8) / byteRate : 0;
+        }
+
+        if (format?.id === 'flac' && audioBuffer.length >= 26) {
+            const sampleRate = audioBuffer.readUInt32BE(18) >>> 12;
+            const totalSamples = (audioBuffer[21] & 0x0f) * 2 ** 32 + audioBuffer.readUInt32BE(22);
+            if (sampleRate > 0 && totalSamples > 0) {
+                return totalSamples / sampleRate;
+            }
+        }
+
+        if (format?.id === 'ogg') {
+            const lastPage = audioBuffer.lastIndexOf('OggS');
+            const head = audioBuffer.indexOf('OpusHead');
+
+            if (head >= 0 && lastPage + 14 <= audioBuffer.length) {
+                const granule = Number(audioBuffer.readBigInt64LE(lastPage + 6));
+                const preSkip = audioBuffer.readUInt16LE(head + 10);
+                if (granule > 0) {
+                    return Math.max(0, granule - preSkip) / 48000;
+                }
+            }
+        }
+
+        return audioBuffer.length / 2000;
+    }
+
     /**
      * Obtener información del archivo de audio
      * @param {Buffer} audioBuffer - Buffer de audio
      * @returns {object} Información del audio
-     * 
+     *
      * Retorna metadatos útiles para logging y depuración
      */
     getAudioInfo(audioBuffer) {
+        const recognition = this.getRecognitionConfig(audioBuffer);
+
         return {
             size: audioBuffer.length,  // Tamaño en bytes
             sizeInMB: (audioBuffer.length / 1024 / 1024).toFixed(2),  // Tamaño en MB
-            format: 'OGG_OPUS',  // Formato por defecto de WhatsApp
+            format: recognition?.encoding || this.detectFormat(audioBuffer)?.id || 'desconocido',
+            sampleRate: recognition?.sampleRateHertz || null,  // Frecuencia de muestreo en Hz
+            duration: Math.round(this.getDuration(audioBuffer) * 100) / 100,  // Duración en segundos
         };
     }
 }
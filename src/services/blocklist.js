@@ -0,0 +1,95 @@
+// Importar dependencias
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Lista de Números Bloqueados
+ *
+ * Los mensajes de un número bloqueado se descartan en el webhook, antes de
+ * encolarlos, para que no consuman Speech-to-Text, IA ni Text-to-Speech
+ */
+class Blocklist {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guarda la lista
+     */
+    constructor(filepath = path.join(config.storage.dataDir, 'blocklist.json')) {
+        // Clave: número de WhatsApp, Valor: { blockedAt, reason }
+        this.store = new JsonFileStore(filepath);
+    }
+
+    /**
+     * Normalizar un número al formato de Twilio (whatsapp:+1234567890)
+     * @param {string} number - Número con o sin prefijo, espacios o guiones
+     * @returns {string} Número normalizado
+     */
+    normalize(number) {
+        const digits = number.replace(/^whatsapp:/, '').replace(/[^\d+]/g, '');
+        return `whatsapp:${digits.startsWith('+') ? digits : `+${digits}`}`;
+    }
+
+    /**
+     * Verificar si un número está bloqueado
+     * @param {string} number - Número de WhatsApp
+     * @returns {Promise<boolean>} true si está bloqueado
+     */
+    async isBlocked(number) {
+        if (!number) {
+            return false;
+        }
+
+        const entries = await this.store.read();
+        return Boolean(entries[this.normalize(number)]);
+    }
+
+    /**
+     * Bloquear un número
+     * @param {string} number - Número de WhatsApp
+     * @param {string} reason - Motivo (opcional)
+     * @returns {Promise<string>} Número normalizado
+     */
+    async block(number, reason = null) {
+        const normalized = this.normalize(number);
+
+        await this.store.update(entries => {
+            entries[normalized] = { blockedAt: new Date().toISOString(), reason };
+        });
+
+        logger.warn('Número bloqueado', { number: normalized, reason });
+        return normalized;
+    }
+
+    /**
+     * Desbloquear un número
+     * @param {string} number - Número de WhatsApp
+     * @returns {Promise<boolean>} true si estaba bloqueado
+     */
+    async unblock(number) {
+        const normalized = this.normalize(number);
+
+        const existed = await this.store.update(entries => {
+            const found = Boolean(entries[normalized]);
+            delete entries[normalized];
+            return found;
+        });
+
+        if (existed) {
+            logger.info('Número desbloqueado', { number: normalized });
+        }
+        return existed;
+    }
+
+    /**
+     * Listar los números bloqueados
+     * @returns {Promise<Array<object>>} Entradas { number, blockedAt, reason }
+     */
+    async list() {
+        const entries = await this.store.read();
+        return Object.entries(entries).map(([number, entry]) => ({ number, ...entry }));
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new Blocklist();
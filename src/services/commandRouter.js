@@ -0,0 +1,721 @@
+// Importar servicios necesarios para los comandos
+const whatsappClient = require('./whatsappClient');
+const { getConversationEngine } = require('./conversationEngine');
+const userProfile = require('./userProfile');
+const pronunciation = require('./pronunciation');
+const vocabulary = require('./vocabulary');
+const lessonEngine = require('./lessonEngine');
+const transcriptHistory = require('./transcriptHistory');
+const userDataEraser = require('./userDataEraser');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const MessageProgress = require('../utils/messageProgress');
+
+/**
+ * Niveles CEFR válidos
+ */
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+/**
+ * Formato de hora para los recordatorios (HH:MM, 24 horas)
+ */
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Objetivos de aprendizaje que puede guardar cada estudiante (/goals)
+ */
+const MAX_GOALS = 5;
+
+/**
+ * Días máximos de pausa de los recordatorios
+ */
+const MAX_PAUSE_DAYS = 90;
+
+/**
+ * Palabras que confirman el borrado de datos (/forget confirm)
+ */
+const FORGET_CONFIRMATIONS = ['confirm', 'confirmar'];
+
+/**
+ * Enrutador de Comandos de Chat
+ *
+ * Procesa los mensajes que empiezan con "/" (ej: /reset, /help) de forma
+ * determinista, antes de enviar nada al motor conversacional
+ *
+ * Para añadir un comando nuevo:
+ *   commandRouter.register('nombre', {
+ *       usage: '/nombre <arg>',
+ *       description: { es: '...', en: '...' },
+ *       handler: async ({ from, args, profile, language }) => 'respuesta',
+ *   });
+ *
+ * El handler retorna el texto de respuesta (o null si ya respondió por su cuenta)
+ */
+class CommandRouter {
+    constructor() {
+        // Clave: nombre del comando sin "/", Valor: definición del comando
+        this.commands = new Map();
+    }
+
+    /**
+     * Registrar un comando
+     * @param {string} name - Nombre del comando (sin "/")
+     * @param {object} definition - { usage, description: { es, en }, handler }
+     */
+    register(name, definition) {
+        this.commands.set(name.toLowerCase(), { usage: `/${name}`, ...definition });
+    }
+
+    /**
+     * Verificar si un texto es un comando
+     * @param {string} text - Texto del mensaje
+     * @returns {boolean} true si empieza con "/"
+     */
+    isCommand(text) {
+        return typeof text === 'string' && /^\s*\/\w/.test(text);
+    }
+
+    /**
+     * Separar nombre y argumentos de un comando
+     * @param {string} text - Texto del mensaje (ej: "/lang es")
+     * @returns {object} { name, args }
+     */
+    parse(text) {
+        const [command, ...args] = text.trim().split(/\s+/);
+        return { name: command.slice(1).toLowerCase(), args };
+    }
+
+    /**
+     * Elegir el texto en el idioma del usuario
+     * @param {string} language - Idioma preferido ('es' o 'en')
+     * @param {object} texts - Textos por idioma { es, en }
+     * @returns {string} Texto en el idioma pedido (español por defecto)
+     */
+    translate(language, texts) {
+        return texts[language] || texts.es;
+    }
+
+    /**
+     * Ejecutar un comando si el mensaje lo es
+     * @param {string} from - Número de WhatsApp del usuario
+     * @param {string} text - Texto del mensaje
+     * @param {MessageProgress} progress - Progreso del mensaje (un reintento no repite el comando)
+     * @returns {Promise<boolean>} true si el mensaje era un comando y se respondió
+     */
+    async handle(from, text, progress = new MessageProgress()) {
+        if (!this.isCommand(text)) {
+            return false;
+        }
+
+        const { name, args } = this.parse(text);
+        const profile = await userProfile.getProfile(from);
+        const language = profile.preferredLanguage || profile.nativeLanguage || 'es';
+        const command = this.commands.get(name);
+
+        logger.info('Comando recibido', { from, command: name, args });
+
+        const reply = await progress.step('command', async () => {
+            if (!command) {
+                return this.translate(language, {
+                    es: `🤔 No conozco el comando /${name}. Escribe /help para ver los comandos.`,
+                    en: `🤔 I don't know the command /${name}. Type /help to see the commands.`,
+                });
+            }
+            return command.handler({ from, args, profile, language });
+        });
+
+        if (reply) {
+            await progress.step('command-reply', async () => {
+                await whatsappClient.sendTextMessage(from, reply);
+            });
+        }
+
+        return true;
+    }
+}
+
+const commandRouter = new CommandRouter();
+
+// ========================================
+// COMANDOS INCORPORADOS
+// ========================================
+
+commandRouter.register('help', {
+    description: { es: 'Muestra esta ayuda', en: 'Show this help' },
+    handler: async ({ language }) => {
+        const lines = [...commandRouter.commands.values()].map(command =>
+            `${command.usage} — ${commandRouter.translate(language, command.description)}`
+        );
+
+        const title = commandRouter.translate(language, {
+            es: '📖 Comandos disponibles:',
+            en: '📖 Available commands:',
+        });
+
+        return `${title}\n\n${lines.join('\n')}`;
+    },
+});
+
+commandRouter.register('reset', {
+    description: {
+        es: 'Reinicia la conversación con el tutor',
+        en: 'Restart the conversation with the tutor',
+    },
+    handler: async ({ from, language }) => {
+        await getConversationEngine().clearSession(from);
+        await pronunciation.endExercise(from);
+        await vocabulary.endQuiz(from);
+        await lessonEngine.end(from);
+
+        return commandRouter.translate(language, {
+            es: '🔄 Conversación reiniciada. ¡Empecemos de nuevo! Di hola 👋',
+            en: '🔄 Conversation restarted. Let\'s start over! Say hello 👋',
+        });
+    },
+});
+
+commandRouter.register('lang', {
+    usage: '/lang es|en',
+    description: {
+        es: 'Cambia el idioma de la conversación',
+        en: 'Change the conversation language',
+    },
+    handler: async ({ from, args, language }) => {
+        const requested = (args[0] || '').toLowerCase();
+        const supported = config.speech.supportedLanguages;
+
+        if (!supported.includes(requested)) {
+            return commandRouter.translate(language, {
+                es: `Uso: /lang ${supported.join('|')}`,
+                en: `Usage: /lang ${supported.join('|')}`,
+            });
+        }
+
+        await userProfile.updateProfile(from, { preferredLanguage: requested });
+
+        return commandRouter.translate(requested, {
+            es: '🇪🇸 Listo, ahora hablaremos en español.',
+            en: '🇬🇧 Done, we\'ll talk in English now.',
+        });
+    },
+});
+
+commandRouter.register('voice', {
+    usage: '/voice on|off',
+    description: {
+        es: 'Activa o desactiva las respuestas en nota de voz',
+        en: 'Turn voice note replies on or off',
+    },
+    handler: async ({ from, args, language }) => {
+        const option = (args[0] || '').toLowerCase();
+
+        if (option !== 'on' && option !== 'off') {
+            return commandRouter.translate(language, {
+                es: 'Uso: /voice on|off',
+                en: 'Usage: /voice on|off',
+            });
+        }
+
+        await userProfile.updateProfile(from, { voiceReplies: option === 'on' });
+
+        return option === 'on'
+            ? commandRouter.translate(language, {
+                es: '🔊 Te responderé también con notas de voz.',
+                en: '🔊 I\'ll also reply with voice notes.',
+            })
+            : commandRouter.translate(language, {
+                es: '🔇 Te responderé solo con texto.',
+                en: '🔇 I\'ll reply with text only.',
+            });
+    },
+});
+
+commandRouter.register('correct', {
+    usage: '/correct on|off',
+    description: {
+        es: 'Activa o desactiva las correcciones gramaticales',
+        en: 'Turn grammar corrections on or off',
+    },
+    handler: async ({ from, args, language }) => {
+        const option = (args[0] || '').toLowerCase();
+
+        if (option !== 'on' && option !== 'off') {
+            return commandRouter.translate(language, {
+                es: 'Uso: /correct on|off',
+                en: 'Usage: /correct on|off',
+            });
+        }
+
+        await userProfile.updateProfile(from, { corrections: option === 'on' });
+
+        return option === 'on'
+            ? commandRouter.translate(language, {
+                es: '💡 Te señalaré los errores de tus mensajes en inglés.',
+                en: '💡 I\'ll point out mistakes in your English messages.',
+            })
+            : commandRouter.translate(language, {
+                es: '🙊 Ya no corregiré tus mensajes.',
+                en: '🙊 I won\'t correct your messages anymore.',
+            });
+    },
+});
+
+commandRouter.register('level', {
+    usage: '/level [A1-C2]',
+    description: {
+        es: 'Muestra o cambia tu nivel de inglés',
+        en: 'Show or change your English level',
+    },
+    handler: async ({ from, args, profile, language }) => {
+        const requested = (args[0] || '').toUpperCase();
+
+        if (!requested) {
+            return profile.cefrLevel
+                ? commandRouter.translate(language, {
+                    es: `📊 Tu nivel actual es ${profile.cefrLevel}.`,
+                    en: `📊 Your current level is ${profile.cefrLevel}.`,
+                })
+                : commandRouter.translate(language, {
+                    es: '📊 Aún no tienes nivel asignado. Usa /level B1 para indicarlo.',
+                    en: '📊 You don\'t have a level yet. Use /level B1 to set it.',
+                });
+        }
+
+        if (!CEFR_LEVELS.includes(requested)) {
+            return commandRouter.translate(language, {
+                es: `Nivel no válido. Opciones: ${CEFR_LEVELS.join(', ')}`,
+                en: `Invalid level. Options: ${CEFR_LEVELS.join(', ')}`,
+            });
+        }
+
+        await userProfile.updateProfile(from, { cefrLevel: requested });
+
+        return commandRouter.translate(language, {
+            es: `✅ Nivel actualizado a ${requested}.`,
+            en: `✅ Level updated to ${requested}.`,
+        });
+    },
+});
+
+commandRouter.register('goals', {
+    usage: '/goals [objetivo|clear]',
+    description: {
+        es: 'Muestra o añade tus objetivos de aprendizaje',
+        en: 'Show or add your learning goals',
+    },
+    handler: async ({ from, args, profile, language }) => {
+        const goal = args.join(' ').trim();
+
+        if (!goal) {
+            if (profile.goals.length === 0) {
+                return commandRouter.translate(language, {
+                    es: '🎯 Aún no tienes objetivos. Añade uno con /goals, por ejemplo: /goals job interviews',
+                    en: '🎯 You don\'t have any goals yet. Add one with /goals, for example: /goals job interviews',
+                });
+            }
+
+            const list = profile.goals.map((entry, index) => `${index + 1}. ${entry}`).join('\n');
+            return commandRouter.translate(language, {
+                es: `🎯 Tus objetivos:\n${list}\n\nBórralos con /goals clear.`,
+                en: `🎯 Your goals:\n${list}\n\nClear them with /goals clear.`,
+            });
+        }
+
+        if (['clear', 'borrar'].includes(goal.toLowerCase())) {
+            await userProfile.updateProfile(from, { goals: [] });
+            return commandRouter.translate(language, {
+                es: '🧹 Objetivos borrados.',
+                en: '🧹 Goals cleared.',
+            });
+        }
+
+        if (profile.goals.length >= MAX_GOALS) {
+            return commandRouter.translate(language, {
+                es: `Ya tienes ${MAX_GOALS} objetivos. Bórralos con /goals clear para empezar de nuevo.`,
+                en: `You already have ${MAX_GOALS} goals. Clear them with /goals clear to start over.`,
+            });
+        }
+
+        await userProfile.updateProfile(from, { goals: [...profile.goals, goal.slice(0, 100)] });
+
+        return commandRouter.translate(language, {
+            es: `✅ Objetivo guardado: ${goal.slice(0, 100)}`,
+            en: `✅ Goal saved: ${goal.slice(0, 100)}`,
+        });
+    },
+});
+
+commandRouter.register('stats', {
+    description: {
+        es: 'Muestra tu progreso',
+        en: 'Show your progress',
+    },
+    handler: async ({ profile, language }) => {
+        const { stats, streak } = profile;
+
+        return commandRouter.translate(language, {
+            es: '📈 Tu progreso:\n\n' +
+                `💬 Mensajes: ${stats.totalMessages} (${stats.textMessages} texto, ${stats.voiceMessages} voz)\n` +
+                `🔥 Racha actual: ${streak.current} días (mejor: ${streak.longest})\n` +
+                `📊 Nivel: ${profile.cefrLevel || 'sin asignar'}`,
+            en: '📈 Your progress:\n\n' +
+                `💬 Messages: ${stats.totalMessages} (${stats.textMessages} text, ${stats.voiceMessages} voice)\n` +
+                `🔥 Current streak: ${streak.current} days (best: ${streak.longest})\n` +
+                `📊 Level: ${profile.cefrLevel || 'not set'}`,
+        });
+    },
+});
+
+commandRouter.register('history', {
+    usage: '/history [N]',
+    description: {
+        es: 'Muestra tus últimos intercambios con el tutor',
+        en: 'Show your last exchanges with the tutor',
+    },
+    handler: async ({ from, args, language }) => {
+        const { historySize, historyMax } = config.transcripts;
+        const requested = parseInt(args[0]) || historySize;
+        const turns = await transcriptHistory.getTurns(from, { limit: Math.min(Math.max(requested, 1), historyMax) });
+
+        if (turns.length === 0) {
+            return commandRouter.translate(language, {
+                es: '🗂️ Aún no hay conversaciones guardadas. ¡Escríbeme o envíame una nota de voz!',
+                en: '🗂️ No saved conversations yet. Send me a message or a voice note!',
+            });
+        }
+
+        return transcriptHistory.formatHistory(turns, language);
+    },
+});
+
+commandRouter.register('forget', {
+    usage: '/forget [confirm]',
+    description: {
+        es: 'Borra todos tus datos (perfil, historial, vocabulario, lecciones)',
+        en: 'Delete all your data (profile, history, vocabulary, lessons)',
+    },
+    handler: async ({ from, args, language }) => {
+        // El borrado no se puede deshacer: se pide confirmación explícita
+        if (!FORGET_CONFIRMATIONS.includes((args[0] || '').toLowerCase())) {
+            return commandRouter.translate(language, {
+                es: '⚠️ Esto borrará tu perfil, nivel, racha, historial de conversaciones, vocabulario ' +
+                    'y progreso en las lecciones. No se puede deshacer.\n\nPara continuar, escribe /forget confirmar',
+                en: '⚠️ This will delete your profile, level, streak, conversation history, vocabulary ' +
+                    'and lesson progress. It cannot be undone.\n\nTo continue, type /forget confirm',
+            });
+        }
+
+        await userDataEraser.forget(from);
+
+        return commandRouter.translate(language, {
+            es: '🗑️ Hemos borrado todos tus datos. Si vuelves a escribirme, empezaremos desde cero.',
+            en: '🗑️ All your data has been deleted. If you write to me again, we\'ll start from scratch.',
+        });
+    },
+});
+
+commandRouter.register('read', {
+    usage: '/read [frase]',
+    description: {
+        es: 'Ejercicio de pronunciación en voz alta',
+        en: 'Read-aloud pronunciation exercise',
+    },
+    handler: async ({ from, args }) => {
+        // Solo una actividad a la vez: la lectura reemplaza a un repaso en curso
+        // y deja en pausa la lección (se retoma con /lesson)
+        await vocabulary.endQuiz(from);
+        await lessonEngine.pause(from);
+
+        const exercise = await pronunciation.startExercise(from, args.join(' ') || undefined);
+        return pronunciation.formatPrompt(exercise.sentence);
+    },
+});
+
+commandRouter.register('remind', {
+    usage: '/remind on [HH:MM]|off|pause [días]|resume',
+    description: {
+        es: 'Recordatorios diarios de práctica',
+        en: 'Daily practice reminders',
+    },
+    handler: async ({ from, args, profile, language }) => {
+        const option = (args[0] || '').toLowerCase();
+        const reminders = profile.reminders;
+        const usage = commandRouter.translate(language, {
+            es: 'Uso: /remind on [HH:MM] | off | pause [días] | resume',
+            en: 'Usage: /remind on [HH:MM] | off | pause [days] | resume',
+        });
+
+        if (option === 'on') {
+            const time = args[1] || reminders.time || config.reminders.defaultTime;
+            if (!TIME_PATTERN.test(time)) {
+                return usage;
+            }
+
+            const [hours, minutes] = time.split(':');
+            const normalizedTime = `${hours.padStart(2, '0')}:${minutes}`;
+            await userProfile.updateProfile(from, {
+                reminders: { ...reminders, enabled: true, time: normalizedTime, pausedUntil: null },
+            });
+
+            return commandRouter.translate(language, {
+                es: `⏰ Listo, te escribiré cada día a las ${normalizedTime} (${profile.timezone}).\n` +
+                    'Cambia tu zona horaria con /timezone.',
+                en: `⏰ Done, I'll message you every day at ${normalizedTime} (${profile.timezone}).\n` +
+                    'Change your time zone with /timezone.',
+            });
+        }
+
+        if (option === 'off' || option === 'stop') {
+            await userProfile.updateProfile(from, { reminders: { ...reminders, enabled: false } });
+            return commandRouter.translate(language, {
+                es: '🔕 Recordatorios desactivados. Actívalos con /remind on.',
+                en: '🔕 Reminders turned off. Turn them on with /remind on.',
+            });
+        }
+
+        if (option === 'pause') {
+            const days = Math.min(parseInt(args[1]) || 7, MAX_PAUSE_DAYS);
+            const pausedUntil = userProfile.getLocalDate(
+                new Date(Date.now() + (days - 1) * 86400000),
+                profile.timezone
+            );
+            await userProfile.updateProfile(from, { reminders: { ...reminders, pausedUntil } });
+
+            return commandRouter.translate(language, {
+                es: `⏸️ Recordatorios en pausa hasta el ${pausedUntil}. Usa /remind resume para reanudarlos.`,
+                en: `⏸️ Reminders paused until ${pausedUntil}. Use /remind resume to restart them.`,
+            });
+        }
+
+        if (option === 'resume') {
+            await userProfile.updateProfile(from, { reminders: { ...reminders, pausedUntil: null } });
+            return commandRouter.translate(language, {
+                es: '▶️ Recordatorios reanudados.',
+                en: '▶️ Reminders resumed.',
+            });
+        }
+
+        return usage;
+    },
+});
+
+commandRouter.register('timezone', {
+    usage: '/timezone [Zona/Ciudad]',
+    description: {
+        es: 'Muestra o cambia tu zona horaria',
+        en: 'Show or change your time zone',
+    },
+    handler: async ({ from, args, profile, language }) => {
+        const timezone = args[0];
+
+        if (!timezone) {
+            return commandRouter.translate(language, {
+                es: `🌍 Tu zona horaria es ${profile.timezone}. Ejemplo para cambiarla: /timezone America/Bogota`,
+                en: `🌍 Your time zone is ${profile.timezone}. Example to change it: /timezone America/Bogota`,
+            });
+        }
+
+        try {
+            // Lanza RangeError si la zona no existe
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return commandRouter.translate(language, {
+                es: `Zona horaria no válida: ${timezone}. Ejemplo: America/Mexico_City`,
+                en: `Invalid time zone: ${timezone}. Example: America/Mexico_City`,
+            });
+        }
+
+        await userProfile.updateProfile(from, { timezone });
+
+        return commandRouter.translate(language, {
+            es: `🌍 Zona horaria actualizada a ${timezone}.`,
+            en: `🌍 Time zone updated to ${timezone}.`,
+        });
+    },
+});
+
+commandRouter.register('add', {
+    usage: '/add palabra [= traducción]',
+    description: {
+        es: 'Guarda una palabra en tu vocabulario',
+        en: 'Save a word to your vocabulary',
+    },
+    handler: async ({ from, args, language }) => {
+        const [word, translation] = args.join(' ').split('=').map(part => part.trim());
+
+        if (!word) {
+            return commandRouter.translate(language, {
+                es: 'Uso: /add palabra [= traducción]\nEjemplo: /add apple = manzana',
+                en: 'Usage: /add word [= translation]\nExample: /add apple = manzana',
+            });
+        }
+
+        const { card, created } = await vocabulary.addWord(from, word, translation || null);
+
+        return created
+            ? commandRouter.translate(language, {
+                es: `📚 "${card.word}" guardada. Escribe /quiz para repasar.`,
+                en: `📚 "${card.word}" saved. Type /quiz to review.`,
+            })
+            : commandRouter.translate(language, {
+                es: `📚 "${card.word}" ya estaba en tu vocabulario.`,
+                en: `📚 "${card.word}" was already in your vocabulary.`,
+            });
+    },
+});
+
+commandRouter.register('words', {
+    description: {
+        es: 'Muestra tu vocabulario',
+        en: 'Show your vocabulary',
+    },
+    handler: async ({ from, language }) => {
+        const cards = await vocabulary.getCards(from);
+        const due = await vocabulary.getDueCards(from, Infinity);
+
+        if (cards.length === 0) {
+            return commandRouter.translate(language, {
+                es: '📚 Aún no tienes palabras. Usa /add palabra = traducción.',
+                en: '📚 You don\'t have any words yet. Use /add word = translation.',
+            });
+        }
+
+        const recent = cards
+            .slice(-10)
+            .map(card => (card.translation ? `• ${card.word} — ${card.translation}` : `• ${card.word}`))
+            .join('\n');
+
+        return commandRouter.translate(language, {
+            es: `📚 Tienes ${cards.length} palabras (${due.length} para repasar):\n\n${recent}`,
+            en: `📚 You have ${cards.length} words (${due.length} due for review):\n\n${recent}`,
+        });
+    },
+});
+
+commandRouter.register('quiz', {
+    usage: '/quiz [stop]',
+    description: {
+        es: 'Repasa las palabras pendientes',
+        en: 'Review your due words',
+    },
+    handler: async ({ from, args, language }) => {
+        if ((args[0] || '').toLowerCase() === 'stop') {
+            await vocabulary.endQuiz(from);
+            return commandRouter.translate(language, {
+                es: '⏹️ Repaso detenido.',
+                en: '⏹️ Review stopped.',
+            });
+        }
+
+        const quiz = await vocabulary.startQuiz(from);
+        if (!quiz) {
+            return commandRouter.translate(language, {
+                es: '🎉 No tienes palabras pendientes. Añade más con /add.',
+                en: '🎉 No words due. Add more with /add.',
+            });
+        }
+
+        // Solo una actividad a la vez: el repaso reemplaza a un ejercicio de lectura
+        // y deja en pausa la lección (se retoma con /lesson)
+        await pronunciation.endExercise(from);
+        await lessonEngine.pause(from);
+
+        return vocabulary.formatQuestion(await vocabulary.getCurrentCard(from, quiz), quiz);
+    },
+});
+
+commandRouter.register('lesson', {
+    usage: '/lesson [list|stop|id]',
+    description: {
+        es: 'Lecciones guiadas paso a paso',
+        en: 'Step-by-step guided lessons',
+    },
+    handler: async ({ from, args, profile, language }) => {
+        const option = (args[0] || '').toLowerCase();
+
+        if (option === 'list') {
+            const lessons = lessonEngine.listLessons();
+            const completed = await lessonEngine.getCompleted(from);
+            const lines = lessons.map(lesson =>
+                `${completed[lesson.id] ? '✅' : '▫️'} ${lesson.level ? `[${lesson.level}] ` : ''}` +
+                `${lessonEngine.getTitle(lesson, language)} — /lesson ${lesson.id}`
+            );
+
+            return commandRouter.translate(language, {
+                es: `📘 Lecciones disponibles:\n\n${lines.join('\n')}`,
+                en: `📘 Available lessons:\n\n${lines.join('\n')}`,
+            });
+        }
+
+        if (option === 'stop') {
+            return (await lessonEngine.pause(from))
+                ? commandRouter.translate(language, {
+                    es: '⏸️ Lección en pausa. Escribe /lesson para seguir donde la dejaste.',
+                    en: '⏸️ Lesson paused. Type /lesson to continue where you left off.',
+                })
+                : commandRouter.translate(language, {
+                    es: 'No tienes ninguna lección en curso.',
+                    en: 'You don\'t have a lesson in progress.',
+                });
+        }
+
+        // Solo una actividad a la vez: la lección reemplaza a un repaso o ejercicio de lectura
+        await vocabulary.endQuiz(from);
+        await pronunciation.endExercise(from);
+
+        if (option) {
+            const started = await lessonEngine.start(from, option);
+            return started || commandRouter.translate(language, {
+                es: `🤔 No encuentro la lección "${option}". Escribe /lesson list para verlas.`,
+                en: `🤔 I can't find the lesson "${option}". Type /lesson list to see them.`,
+            });
+        }
+
+        // Sin argumentos: seguir la lección en curso o en pausa
+        const active = await lessonEngine.getActiveLesson(from);
+        if (active) {
+            await lessonEngine.touch(from);
+            return lessonEngine.formatResume(active);
+        }
+
+        const resumed = await lessonEngine.resume(from);
+        if (resumed) {
+            return resumed;
+        }
+
+        // Un estudiante nuevo empieza por la prueba de nivel
+        if (!profile.cefrLevel && !(await lessonEngine.hasCompletedPlacement(from))) {
+            const placement = await lessonEngine.startPlacement(from);
+            if (placement) {
+                return placement;
+            }
+        }
+
+        const next = await lessonEngine.recommend(from, profile.cefrLevel);
+        return next
+            ? lessonEngine.start(from, next.id)
+            : commandRouter.translate(language, {
+                es: '🎉 Completaste todas las lecciones de tu nivel. Escribe /lesson list para repetir alguna.',
+                en: '🎉 You\'ve completed every lesson at your level. Type /lesson list to repeat one.',
+            });
+    },
+});
+
+commandRouter.register('placement', {
+    description: {
+        es: 'Prueba de nivel (asigna tu nivel CEFR)',
+        en: 'Placement test (sets your CEFR level)',
+    },
+    handler: async ({ from, language }) => {
+        await vocabulary.endQuiz(from);
+        await pronunciation.endExercise(from);
+
+        return (await lessonEngine.startPlacement(from)) || commandRouter.translate(language, {
+            es: '🤔 La prueba de nivel no está disponible en este momento.',
+            en: '🤔 The placement test isn\'t available right now.',
+        });
+    },
+});
+
+// Exportar una instancia única (singleton)
+module.exports = commandRouter;
@@ -0,0 +1,203 @@
+// Importar dependencias
+const { randomUUID } = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createSessionStore } = require('./sessionStore');
+
+/**
+ * Motor Conversacional Base
+ *
+ * Interfaz común de todos los motores (Dialogflow CX, reglas locales, chat
+ * compatible con OpenAI). Gestiona las sesiones de usuario; cada motor solo
+ * implementa detectIntent(text, userId, languageCode), que retorna:
+ *   { text, intent, confidence, parameters }
+ *
+ * Los motores pueden guardar su propio estado (contexto, historial...) en el
+ * registro de sesión mediante getSession() / saveSession()
+ */
+class ConversationEngine {
+    /**
+     * Constructor
+     * @param {string} name - Nombre del motor (para los registros)
+     */
+    constructor(name) {
+        this.name = name;
+
+        // Almacén de sesiones (memoria, archivo o Redis según configuración)
+        // Clave: número de WhatsApp del usuario, Valor: { sessionId, createdAt, lastActivity, ... }
+        this.sessions = createSessionStore();
+
+        // Temporizador de limpieza periódica de sesiones inactivas
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Detectar la intención y generar la respuesta del tutor
+     * @param {string} text - Texto de entrada del usuario
+     * @param {string} userId - Identificador del usuario
+     * @param {string} languageCode - Código de idioma ('en' o 'es')
+     * @returns {Promise<object>} { text, intent, confidence, parameters }
+     */
+    async detectIntent(text, userId, languageCode) {
+        throw new Error(`El motor ${this.name} no implementa detectIntent`);
+    }
+
+    /**
+     * Verificar que el motor puede responder (para /ready)
+     * Los motores locales no dependen de servicios externos; los remotos lo sobrescriben
+     */
+    async ping() {}
+
+    /**
+     * Obtener o crear el registro de sesión de un usuario
+     * @param {string} userId - Identificador del usuario (número de WhatsApp)
+     * @returns {Promise<object>} Registro de sesión
+     *
+     * Cada llamada actualiza la marca de última actividad; si la sesión
+     * superó el timeout de inactividad se reemplaza por una nueva
+     */
+    async getSession(userId) {
+        const now = Date.now();
+        let record = await this.sessions.get(userId);
+
+        if (!record || now - record.lastActivity > config.app.sessionTimeout) {
+            // Crear nuevo ID de sesión usando UUID
+            record = { sessionId: randomUUID(), createdAt: now };
+            logger.info('Nueva sesión creada', { userId, sessionId: record.sessionId, engine: this.name });
+        }
+
+        record.lastActivity = now;
+        await this.sessions.set(userId, record);
+
+        return record;
+    }
+
+    /**
+     * Guardar el estado de la sesión de un usuario
+     * @param {string} userId - Identificador del usuario
+     * @param {object} record - Registro obtenido con getSession()
+     */
+    async saveSession(userId, record) {
+        await this.sessions.set(userId, record);
+    }
+
+    /**
+     * Obtener o crear ID de sesión para un usuario
+     * @param {string} userId - Identificador del usuario (número de WhatsApp)
+     * @returns {Promise<string>} ID de sesión
+     */
+    async getSessionId(userId) {
+        return (await this.getSession(userId)).sessionId;
+    }
+
+    /**
+     * Limpiar sesión de usuario
+     * @param {string} userId - Identificador del usuario
+     * @returns {Promise<boolean>} true si había una sesión
+     *
+     * Útil para reiniciar una conversación o limpiar memoria
+     */
+    async clearSession(userId) {
+        const deleted = await this.sessions.delete(userId);
+        if (deleted) {
+            logger.info('Sesión limpiada', { userId });
+        }
+        return deleted;
+    }
+
+    /**
+     * Obtener contador de sesiones activas
+     * @returns {Promise<number>} Número de sesiones activas
+     *
+     * Útil para monitoreo y estadísticas
+     */
+    async getActiveSessionCount() {
+        return this.sessions.count();
+    }
+
+    /**
+     * Limpiar sesiones antiguas (llamado periódicamente)
+     * @param {number} maxAge - Tiempo máximo de inactividad en milisegundos
+     * @returns {Promise<number>} Número de sesiones eliminadas
+     *
+     * Elimina las sesiones cuya última actividad supera maxAge
+     */
+    async cleanupSessions(maxAge = config.app.sessionTimeout) {
+        try {
+            const removed = await this.sessions.deleteIdle(maxAge);
+
+            logger.info('Limpieza de sesiones completada', {
+                removedSessions: removed.length,
+                activeSessions: await this.sessions.count(),
+            });
+
+            return removed.length;
+        } catch (error) {
+            // Un fallo de limpieza no debe detener el servidor
+            logger.error('Limpieza de sesiones falló', { error: error.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Iniciar la limpieza periódica de sesiones inactivas
+     * @param {number} interval - Intervalo entre limpiezas en milisegundos
+     */
+    startSessionCleanup(interval = config.app.sessionCleanupInterval) {
+        this.stopSessionCleanup();
+        this.cleanupTimer = setInterval(() => this.cleanupSessions(), interval);
+        // No mantener vivo el proceso solo por este temporizador
+        this.cleanupTimer.unref();
+
+        logger.info('Limpieza periódica de sesiones programada', {
+            interval,
+            sessionTimeout: config.app.sessionTimeout,
+        });
+    }
+
+    /**
+     * Detener la limpieza periódica de sesiones
+     */
+    stopSessionCleanup() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
+    /**
+     * Detener la limpieza y cerrar el almacén de sesiones
+     * Llamado durante el apagado del servidor
+     */
+    async close() {
+        this.stopSessionCleanup();
+        await this.sessions.close();
+    }
+}
+
+/**
+ * Módulo de cada motor disponible (se cargan solo si se eligen)
+ */
+const ENGINES = {
+    dialogflow: './dialogflow',
+    rules: './ruleEngine',
+    openai: './openaiEngine',
+};
+
+/**
+ * Obtener el motor conversacional configurado
+ * @param {string} type - 'dialogflow', 'rules' u 'openai'
+ * @returns {ConversationEngine} Instancia del motor
+ */
+function getConversationEngine(type = config.conversation.engine) {
+    if (!ENGINES[type]) {
+        throw new Error(`Motor conversacional desconocido: ${type}`);
+    }
+
+    return require(ENGINES[type]);
+}
+
+module.exports = {
+    ConversationEngine,
+    getConversationEngine,
+};
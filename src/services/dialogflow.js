@@ -2,21 +2,25 @@
 const { SessionsClient } = require('@google-cloud/dialogflow-cx');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('./metrics');
 const { DialogflowError } = require('../utils/errorHandler');
-const { v4: uuidv4 } = require('uuid');
+const { ConversationEngine } = require('./conversationEngine');
 
 /**
  * Servicio de Dialogflow CX
  * 
  * Maneja la interacción con Google Dialogflow CX para procesamiento de lenguaje natural
- * Gestiona sesiones de usuario y detecta intenciones conversacionales
+ * Es uno de los motores conversacionales (CONVERSATION_ENGINE=dialogflow); las
+ * sesiones de usuario se gestionan en la clase base ConversationEngine
  */
-class DialogflowService {
+class DialogflowService extends ConversationEngine {
     /**
      * Constructor
      * Inicializa el cliente de Dialogflow con las credenciales de Google Cloud
      */
     constructor() {
+        super('dialogflow');
+
         // Crear cliente de sesiones de Dialogflow
         this.client = new SessionsClient({
             projectId: config.googleCloud.projectId,
@@ -27,27 +31,13 @@ class DialogflowService {
         this.projectId = config.googleCloud.projectId;
         this.location = config.googleCloud.dialogflow.location;
         this.agentId = config.googleCloud.dialogflow.agentId;
-
-        // Almacenar sesiones activas en memoria
-        // Clave: número de WhatsApp del usuario, Valor: ID de sesión
-        this.sessions = new Map();
     }
 
     /**
-     * Obtener o crear ID de sesión para un usuario
-     * @param {string} userId - Identificador del usuario (número de WhatsApp)
-     * @returns {string} ID de sesión
-     * 
-     * Cada usuario tiene una sesión única que mantiene el contexto de la conversación
+     * Verificar que las credenciales de Google son válidas (para /ready)
      */
-    getSessionId(userId) {
-        if (!this.sessions.has(userId)) {
-            // Crear nuevo ID de sesión usando UUID
-            const sessionId = uuidv4();
-            this.sessions.set(userId, sessionId);
-            logger.info('Nueva sesión creada', { userId, sessionId });
-        }
-        return this.sessions.get(userId);
+    async ping() {
+        await this.client.auth.getAccessToken();
     }
 
     /**
@@ -74,7 +64,7 @@ class DialogflowService {
     async detectIntent(text, userId, languageCode = 'en') {
         try {
             // Obtener ID de sesión para mantener el contexto
-            const sessionId = this.getSessionId(userId);
+            const sessionId = await this.getSessionId(userId);
             const sessionPath = this.getSessionPath(sessionId);
 
             logger.info('Enviando consulta a Dialogflow', {
@@ -96,7 +86,7 @@ class DialogflowService {
             };
 
             // Enviar petición y esperar respuesta
-            const [response] = await this.client.detectIntent(request);
+            const [response] = await metrics.measure('dialogflow', () => this.client.detectIntent(request));
             const queryResult = response.queryResult;
 
             logger.info('Respuesta de Dialogflow recibida', {
@@ -145,44 +135,6 @@ class DialogflowService {
 
         return textResponses.join('\n') || "¡Estoy aquí para ayudarte a practicar inglés!";
     }
-
-    /**
-     * Limpiar sesión de usuario
-     * @param {string} userId - Identificador del usuario
-     * 
-     * Útil para reiniciar una conversación o limpiar memoria
-     */
-    clearSession(userId) {
-        if (this.sessions.has(userId)) {
-            this.sessions.delete(userId);
-            logger.info('Sesión limpiada', { userId });
-        }
-    }
-
-    /**
-     * Obtener contador de sesiones activas
-     * @returns {number} Número de sesiones activas
-     * 
-     * Útil para monitoreo y estadísticas
-     */
-    getActiveSessionCount() {
-        return this.sessions.size;
-    }
-
-    /**
-     * Limpiar sesiones antiguas (llamado periódicamente)
-     * @param {number} maxAge - Edad máxima en milisegundos
-     * 
-     * En producción, deberías implementar un seguimiento de timestamps
-     * y eliminar sesiones que hayan estado inactivas por mucho tiempo
-     */
-    cleanupSessions(maxAge = config.app.sessionTimeout) {
-        // Para producción, necesitarías rastrear timestamps de sesión
-        // Por ahora, solo registrar la limpieza
-        logger.info('Limpieza de sesiones activada', {
-            activeSessions: this.sessions.size,
-        });
-    }
 }
 
 // Exportar una instancia única (singleton)
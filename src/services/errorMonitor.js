@@ -0,0 +1,172 @@
+// Importar dependencias
+const whatsappClient = require('./whatsappClient');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+/**
+ * Monitor de Errores
+ *
+ * Lleva en memoria los resultados recientes del procesamiento de mensajes
+ * (éxitos y errores) para:
+ * - Mostrar al administrador un resumen de los errores recientes
+ * - Avisar al administrador por WhatsApp cuando la tasa de errores se dispara
+ *
+ * Los datos no se persisten: tras un reinicio el resumen empieza vacío
+ */
+class ErrorMonitor {
+    constructor() {
+        // Últimos errores { at, type, message, userId, messageSid } (uno por mensaje, para el resumen)
+        this.errors = [];
+        // Errores dentro de la ventana de alerta { at, messageSid } (para la tasa, sin límite de tamaño)
+        this.windowErrors = [];
+        // Marcas de tiempo de los mensajes procesados con éxito (dentro de la ventana de alerta)
+        this.successes = [];
+        // Momento de la última alerta enviada (para no repetirla)
+        this.lastAlertAt = 0;
+    }
+
+    /**
+     * Registrar un mensaje procesado con éxito
+     */
+    recordSuccess() {
+        this.successes.push(Date.now());
+        this.prune();
+    }
+
+    /**
+     * Registrar un error de procesamiento
+     * @param {Error} error - Error producido
+     * @param {object} context - Contexto { userId, messageSid }
+     *
+     * Los reintentos de un mismo mensaje (mismo messageSid) cuentan como un solo
+     * error: solo se actualiza su entrada del resumen con el último fallo
+     */
+    async recordError(error, context = {}) {
+        const entry = {
+            at: Date.now(),
+            type: error.constructor.name,
+            message: error.message,
+            ...context,
+        };
+        metrics.increment('errors_total', { type: error.constructor.name });
+
+        const { messageSid } = context;
+        const repeated = Boolean(messageSid) && this.windowErrors.some(event => event.messageSid === messageSid);
+
+        this.errors = this.errors.filter(previous => !repeated || previous.messageSid !== messageSid);
+        this.errors.push(entry);
+        if (!repeated) {
+            this.windowErrors.push({ at: entry.at, messageSid });
+        }
+        this.prune();
+
+        if (!repeated) {
+            await this.checkSpike();
+        }
+    }
+
+    /**
+     * Descartar datos antiguos
+     * Los éxitos y la cuenta de errores solo interesan dentro de la ventana de
+     * alerta; de los errores se conservan los más recientes para el resumen
+     */
+    prune() {
+        const since = Date.now() - config.admin.alertWindow;
+        this.successes = this.successes.filter(at => at >= since);
+        this.windowErrors = this.windowErrors.filter(event => event.at >= since);
+
+        if (this.errors.length > config.admin.recentErrors) {
+            this.errors = this.errors.slice(-config.admin.recentErrors);
+        }
+    }
+
+    /**
+     * Olvidar los errores recientes de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {boolean} true si había alguno
+     */
+    deleteUser(userId) {
+        const before = this.errors.length;
+        this.errors = this.errors.filter(entry => entry.userId !== userId);
+        return this.errors.length < before;
+    }
+
+    /**
+     * Calcular la tasa de errores reciente
+     * @param {number} window - Ventana de tiempo en milisegundos
+     * @returns {object} { errors, successes, rate }
+     */
+    getErrorRate(window = config.admin.alertWindow) {
+        const since = Date.now() - window;
+        const errors = this.windowErrors.filter(event => event.at >= since).length;
+        const successes = this.successes.filter(at => at >= since).length;
+        const total = errors + successes;
+
+        return { errors, successes, rate: total > 0 ? errors / total : 0 };
+    }
+
+    /**
+     * Obtener un resumen de los errores recientes
+     * @param {number} window - Ventana de tiempo en milisegundos (1 hora por defecto)
+     * @returns {object} { total, byType, recent }
+     */
+    getSummary(window = 3600000) {
+        const since = Date.now() - window;
+        const errors = this.errors.filter(entry => entry.at >= since);
+
+        const byType = {};
+        for (const entry of errors) {
+            byType[entry.type] = (byType[entry.type] || 0) + 1;
+        }
+
+        return {
+            total: errors.length,
+            byType,
+            recent: errors.slice(-5).reverse(),
+        };
+    }
+
+    /**
+     * Avisar al administrador si la tasa de errores supera el umbral
+     * @returns {Promise<boolean>} true si se envió una alerta
+     *
+     * Solo se avisa con un mínimo de errores en la ventana y como mucho
+     * una vez por periodo de enfriamiento
+     */
+    async checkSpike() {
+        const { adminNumber } = config.twilio;
+        const { errors, rate } = this.getErrorRate();
+
+        if (!adminNumber ||
+            errors < config.admin.alertMinErrors ||
+            rate < config.admin.alertErrorRate ||
+            Date.now() - this.lastAlertAt < config.admin.alertCooldown) {
+            return false;
+        }
+
+        this.lastAlertAt = Date.now();
+        const minutes = Math.round(config.admin.alertWindow / 60000);
+        const last = this.errors[this.errors.length - 1];
+
+        logger.warn('Pico de errores detectado, avisando al administrador', { errors, rate });
+
+        try {
+            await whatsappClient.sendTextMessage(
+                adminNumber,
+                `🚨 Alerta: ${errors} errores en los últimos ${minutes} min ` +
+                `(tasa ${Math.round(rate * 100)}%).\n` +
+                `Último: ${last.type}: ${last.message}\n\n` +
+                'Escribe "errors" para ver el resumen.'
+            );
+            return true;
+        } catch (error) {
+            // Si WhatsApp es lo que falla, la alerta tampoco llegará: solo registrar
+            logger.error('No se pudo enviar la alerta al administrador', { error: error.message });
+            return false;
+        }
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new ErrorMonitor();
@@ -0,0 +1,269 @@
+// Importar dependencias
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Pasado simple de verbos frecuentes (para corregir tiempos verbales)
+ */
+const PAST_TENSE = {
+    go: 'went', eat: 'ate', see: 'saw', have: 'had', do: 'did', make: 'made',
+    buy: 'bought', come: 'came', take: 'took', get: 'got', meet: 'met',
+    watch: 'watched', play: 'played', visit: 'visited', work: 'worked', study: 'studied',
+};
+
+/**
+ * Reglas de corrección
+ *
+ * Cada regla detecta un error típico de hispanohablantes que aprenden inglés:
+ * - pattern: expresión regular que encuentra el error
+ * - fix: función que recibe el texto encontrado (y los grupos) y retorna la corrección
+ * - explanation: explicación breve { es, en }
+ *
+ * Para añadir una regla basta con agregar un objeto a esta lista
+ */
+const RULES = [
+    // Edad con "have" (calco de "tengo 20 años")
+    // Solo al final de la frase: "I have 3 years of experience" es correcto
+    {
+        id: 'age-have',
+        pattern: /\b(I|you|we|they|he|she)\s+(have|has)\s+(\d+)\s+years(?!\s+(?:of|in|to)\b)(\s+old)?(?=\s*(?:[.,;:!?]|$))/gim,
+        fix: (match, subject, verb, age) => {
+            const be = { i: 'am', he: 'is', she: 'is' }[subject.toLowerCase()] || 'are';
+            return `${subject} ${be} ${age} years old`;
+        },
+        explanation: {
+            es: 'La edad se dice con "to be", no con "have".',
+            en: 'Age is expressed with "to be", not "have".',
+        },
+    },
+    // Sujeto omitido al inicio ("Is raining", "Is very good")
+    {
+        id: 'missing-subject-it',
+        pattern: /(?:^|[.!]\s+)(is|was)\s+(very|so|too|raining|snowing|cold|hot|important|necessary|possible|difficult|easy|good|bad|nice|late|early)\b(?![^.!?]*\?)/gi,
+        fix: (match, verb, next) => match.replace(new RegExp(`${verb}\\s+${next}`), `It ${verb.toLowerCase()} ${next}`),
+        explanation: {
+            es: 'En inglés el sujeto es obligatorio: usa "It" delante del verbo.',
+            en: 'English always needs a subject: add "It" before the verb.',
+        },
+    },
+    {
+        id: 'missing-subject-i',
+        pattern: /(?:^|[.!]\s+)(am)\s+(?!I\b)(\w+)(?![^.!?]*\?)/gi,
+        fix: (match, verb, next) => match.replace(new RegExp(`${verb}\\s+${next}`), `I am ${next}`),
+        explanation: {
+            es: 'En inglés el sujeto es obligatorio: "I am...", no "Am...".',
+            en: 'English always needs a subject: "I am...", not "Am...".',
+        },
+    },
+    // "I am agree" (calco de "estoy de acuerdo")
+    {
+        id: 'be-agree',
+        pattern: /\b(I|we|they|you)\s+(am|are)\s+(agree|disagree)\b/gi,
+        fix: (match, subject, verb, agree) => `${subject} ${agree}`,
+        explanation: {
+            es: '"Agree" es un verbo: se dice "I agree", sin "am".',
+            en: '"Agree" is a verb: say "I agree", without "am".',
+        },
+    },
+    // Tercera persona con "don't"
+    {
+        id: 'third-person-dont',
+        pattern: /\b(he|she|it)\s+don't\b/gi,
+        fix: (match, subject) => `${subject} doesn't`,
+        explanation: {
+            es: 'Con he/she/it se usa "doesn\'t".',
+            en: 'Use "doesn\'t" with he/she/it.',
+        },
+    },
+    // Profesiones sin artículo ("I am engineer")
+    {
+        id: 'missing-article-profession',
+        pattern: /\b(I am|I'm|he is|he's|she is|she's)\s+(engineer|teacher|doctor|student|nurse|lawyer|architect|programmer|developer|designer|accountant|waiter|artist)\b/gi,
+        fix: (match, subject, noun) => `${subject} ${/^[aeiou]/i.test(noun) ? 'an' : 'a'} ${noun}`,
+        explanation: {
+            es: 'Con profesiones se usa "a/an": "I am a teacher".',
+            en: 'Professions need "a/an": "I am a teacher".',
+        },
+    },
+    // Artículo con sustantivos generales ("The life is...")
+    // "People" es plural, así que la corrección también ajusta el verbo
+    {
+        id: 'general-noun-article',
+        pattern: /(?:^|[.!?]\s+)the\s+(life|people|love|nature|money|music|happiness)\s+(is|are)\b/gi,
+        fix: (match, noun, verb) => match
+            .replace(/the\s+/i, '')
+            .replace(noun, noun.charAt(0).toUpperCase() + noun.slice(1))
+            .replace(new RegExp(`${verb}$`), noun.toLowerCase() === 'people' ? 'are' : verb),
+        explanation: {
+            es: 'Al hablar en general no se usa "the": "Life is...", no "The life is...".',
+            en: 'Don\'t use "the" for general ideas: "Life is...", not "The life is...".',
+        },
+    },
+    // Presente en lugar de pasado con marcadores temporales
+    {
+        id: 'past-tense-marker',
+        pattern: /\b(yesterday|last\s+(?:week|night|year|month|weekend|summer))\s*,?\s+(I|we|they|he|she)\s+(go|eat|see|have|do|make|buy|come|take|get|meet|watch|play|visit|work|study)\b/gi,
+        fix: (match, marker, subject, verb) =>
+            match.replace(new RegExp(`\\b${verb}\\b$`), PAST_TENSE[verb.toLowerCase()]),
+        explanation: {
+            es: 'Con "yesterday" o "last..." se usa el pasado simple.',
+            en: 'Use the simple past with "yesterday" or "last...".',
+        },
+    },
+    // "People is"
+    {
+        id: 'people-plural',
+        pattern: /\bpeople\s+is\b/gi,
+        fix: match => match.replace(/is$/i, 'are'),
+        explanation: {
+            es: '"People" es plural: "people are".',
+            en: '"People" is plural: "people are".',
+        },
+    },
+    // Preposiciones calcadas del español
+    {
+        id: 'depend-on',
+        pattern: /\bdepends?\s+of\b/gi,
+        fix: match => match.replace(/of$/i, 'on'),
+        explanation: {
+            es: 'Se dice "depend on", no "depend of".',
+            en: 'It\'s "depend on", not "depend of".',
+        },
+    },
+    {
+        id: 'explain-to-me',
+        pattern: /\bexplain\s+me\b/gi,
+        fix: () => 'explain to me',
+        explanation: {
+            es: 'Se dice "explain to me" (o "explain it to me").',
+            en: 'Say "explain to me" (or "explain it to me").',
+        },
+    },
+    {
+        id: 'more-better',
+        pattern: /\bmore\s+(better|worse|bigger|smaller|easier|older|younger)\b/gi,
+        fix: (match, comparative) => comparative,
+        explanation: {
+            es: 'Los comparativos con -er no llevan "more".',
+            en: 'Comparatives ending in -er don\'t take "more".',
+        },
+    },
+    // Falsos amigos
+    {
+        id: 'false-friend-assist',
+        pattern: /\bassist(ed)?\s+to\s+(the|a|my|your|his|her)\s+(class|classes|meeting|party|conference|wedding|course)\b/gi,
+        fix: (match, past, determiner, noun) => `attend${past ? 'ed' : ''} ${determiner} ${noun}`,
+        explanation: {
+            es: 'Falso amigo: "asistir a" es "attend"; "assist" significa ayudar.',
+            en: 'False friend: "attend" an event; "assist" means to help.',
+        },
+    },
+    {
+        id: 'false-friend-constipated',
+        pattern: /\b(I am|I'm)\s+constipated\b/gi,
+        fix: () => 'I have a cold',
+        explanation: {
+            es: 'Falso amigo: "constipated" significa estreñido. Para un resfriado: "I have a cold".',
+            en: 'False friend: "constipated" is a digestive problem. For a cold: "I have a cold".',
+        },
+    },
+    {
+        id: 'false-friend-embarrassed',
+        pattern: /\b(I am|I'm|she is|she's)\s+embarrassed\s+(of|with)\s+(\d+|two|three|four|five|six|seven|eight|nine)\s+months\b/gi,
+        fix: (match, subject, preposition, months) => `${subject} ${months} months pregnant`,
+        explanation: {
+            es: 'Falso amigo: "embarrassed" significa avergonzado; embarazada es "pregnant".',
+            en: 'False friend: "embarrassed" means ashamed; use "pregnant".',
+        },
+    },
+    {
+        id: 'false-friend-actually',
+        pattern: /\bactually\s+I\s+(am\s+)?(work|working|live|living|study|studying)\b/gi,
+        fix: match => match.replace(/^actually/i, 'Currently'),
+        explanation: {
+            es: 'Falso amigo: "actualmente" es "currently"; "actually" significa "en realidad".',
+            en: 'False friend: use "currently" for "now"; "actually" means "in fact".',
+        },
+    },
+];
+
+/**
+ * Corrector Gramatical Basado en Reglas
+ *
+ * Revisa los mensajes en inglés del estudiante buscando errores frecuentes de
+ * hispanohablantes y genera una nota breve y bilingüe para añadir a la respuesta
+ */
+class GrammarChecker {
+    /**
+     * Constructor
+     * @param {Array<object>} rules - Reglas de corrección
+     */
+    constructor(rules = RULES) {
+        this.rules = rules;
+    }
+
+    /**
+     * Revisar un texto
+     * @param {string} text - Mensaje del estudiante (en inglés)
+     * @returns {Array<object>} Correcciones { rule, original, suggestion, explanation }
+     *
+     * Las reglas se aplican en orden y cada fragmento del texto se corrige una
+     * sola vez: si dos reglas coinciden en el mismo fragmento ("The people is"),
+     * gana la primera y la segunda se descarta
+     */
+    check(text) {
+        const corrections = [];
+        const corrected = [];  // Fragmentos ya corregidos [inicio, fin)
+
+        for (const rule of this.rules) {
+            for (const match of text.matchAll(rule.pattern)) {
+                const original = match[0].replace(/^[.!?]\s+/, '').trim();
+                const suggestion = rule.fix(...match).replace(/^[.!?]\s+/, '').trim();
+
+                const start = match.index + match[0].indexOf(original);
+                const end = start + original.length;
+                if (corrected.some(([from, to]) => start < to && from < end)) {
+                    continue;
+                }
+
+                if (suggestion.toLowerCase() !== original.toLowerCase()) {
+                    corrected.push([start, end]);
+                    corrections.push({
+                        rule: rule.id,
+                        original,
+                        suggestion,
+                        explanation: rule.explanation,
+                    });
+                }
+            }
+        }
+
+        if (corrections.length > 0) {
+            logger.info('Errores gramaticales detectados', {
+                rules: corrections.map(correction => correction.rule),
+            });
+        }
+
+        return corrections.slice(0, config.app.maxCorrectionsPerMessage);
+    }
+
+    /**
+     * Construir la nota de corrección para WhatsApp
+     * @param {Array<object>} corrections - Correcciones de check()
+     * @returns {string|null} Nota bilingüe o null si no hay correcciones
+     */
+    formatNote(corrections) {
+        if (corrections.length === 0) {
+            return null;
+        }
+
+        const lines = corrections.map(({ original, suggestion, explanation }) =>
+            `~${original}~ → *${suggestion}*\n${explanation.es}\n_${explanation.en}_`
+        );
+
+        return `💡 Corrección / Correction:\n${lines.join('\n\n')}`;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new GrammarChecker();
@@ -0,0 +1,311 @@
+// Importar dependencias
+const config = require('../config/config');
+const languageSamples = require('../data/languageSamples.json');
+
+/**
+ * Tamaños de n-gramas de caracteres usados en los perfiles
+ */
+const NGRAM_SIZES = [1, 2, 3];
+
+/**
+ * Identificador de Idioma sin Conexión
+ *
+ * Clasifica mensajes cortos de chat por n-gramas de caracteres (1 a 3) con un
+ * modelo bayesiano ingenuo entrenado al arrancar con frases de ejemplo y palabras
+ * frecuentes (src/data/languageSamples.json). No usa red ni servicios externos
+ *
+ * Además de clasificar el texto completo, clasifica cada palabra por separado
+ * (primero por la lista de palabras frecuentes, luego por n-gramas) para
+ * detectar mensajes que mezclan español e inglés (code-switching)
+ */
+class LanguageIdentifier {
+    /**
+     * Constructor
+     * @param {object} samples - Datos de entrenamiento
+     * @param {object} samples.sentences - Frases por idioma { en: [...], es: [...] }
+     * @param {object} samples.commonWords - Palabras frecuentes por idioma
+     */
+    constructor({ sentences, commonWords } = languageSamples) {
+        // Las palabras frecuentes también entran al modelo de n-gramas
+        const trainingText = {};
+        for (const language of Object.keys(sentences)) {
+            trainingText[language] = [...sentences[language], ...(commonWords[language] || [])];
+        }
+
+        this.profiles = this.buildProfiles(trainingText);
+        this.languages = Object.keys(this.profiles);
+
+        // Clave: palabra frecuente, Valor: idioma (solo palabras de un único idioma)
+        this.lexicon = new Map();
+        for (const [language, words] of Object.entries(commonWords)) {
+            words.forEach(word => this.lexicon.set(word, language));
+        }
+    }
+
+    /**
+     * Normalizar un texto para extraer n-gramas
+     * @param {string} text - Texto original
+     * @returns {Array<string>} Palabras en minúsculas, sin números ni puntuación
+     *
+     * Se conservan los signos ¿ y ¡ porque son muy característicos del español
+     */
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[¿¡]/g, ' $& ')
+            .replace(/[^\p{L}¿¡']+/gu, ' ')
+            .split(' ')
+            .filter(Boolean);
+    }
+
+    /**
+     * Extraer los n-gramas de una palabra (con espacios como límites)
+     * @param {string} word - Palabra normalizada
+     * @returns {Array<string>} N-gramas de la palabra
+     */
+    extractNgrams(word) {
+        const padded = ` ${word} `;
+        const ngrams = [];
+
+        for (const size of NGRAM_SIZES) {
+            for (let i = 0; i + size <= padded.length; i++) {
+                const ngram = padded.slice(i, i + size);
+                if (ngram.trim()) {
+                    ngrams.push(ngram);
+                }
+            }
+        }
+
+        return ngrams;
+    }
+
+    /**
+     * Construir los perfiles de frecuencia de n-gramas por idioma
+     * @param {object} trainingSamples - Frases por idioma
+     * @returns {object} Perfiles { idioma: { counts, total } }
+     */
+    buildProfiles(trainingSamples) {
+        const profiles = {};
+
+        for (const [language, sentences] of Object.entries(trainingSamples)) {
+            const counts = new Map();
+            let total = 0;
+
+            for (const word of this.tokenize(sentences.join(' '))) {
+                for (const ngram of this.extractNgrams(word)) {
+                    counts.set(ngram, (counts.get(ngram) || 0) + 1);
+                    total++;
+                }
+            }
+
+            profiles[language] = { counts, total };
+        }
+
+        // Vocabulario total de n-gramas (para el suavizado de Laplace)
+        const vocabulary = new Set();
+        Object.values(profiles).forEach(profile => {
+            profile.counts.forEach((_, ngram) => vocabulary.add(ngram));
+        });
+        Object.values(profiles).forEach(profile => {
+            profile.vocabularySize = vocabulary.size;
+        });
+
+        return profiles;
+    }
+
+    /**
+     * Calcular la log-probabilidad de una lista de n-gramas en cada idioma
+     * @param {Array<string>} ngrams - N-gramas del texto
+     * @returns {object} Puntuación por idioma
+     */
+    score(ngrams) {
+        const scores = {};
+
+        for (const language of this.languages) {
+            const { counts, total, vocabularySize } = this.profiles[language];
+            scores[language] = ngrams.reduce(
+                (sum, ngram) => sum + Math.log(((counts.get(ngram) || 0) + 1) / (total + vocabularySize)),
+                0
+            );
+        }
+
+        return scores;
+    }
+
+    /**
+     * Convertir puntuaciones en probabilidades (softmax)
+     * @param {object} scores - Log-probabilidades por idioma
+     * @param {number} ngramCount - Número de n-gramas evaluados
+     * @returns {object} Probabilidad por idioma (suman 1)
+     *
+     * La diferencia se escala por la raíz del número de n-gramas para que los
+     * textos largos no den siempre confianzas de 1.0 ni los muy cortos de 0.5
+     */
+    toProbabilities(scores, ngramCount) {
+        const scale = ngramCount > 0 ? Math.sqrt(ngramCount) : 1;
+        const max = Math.max(...Object.values(scores));
+        const exps = {};
+        let sum = 0;
+
+        for (const [language, value] of Object.entries(scores)) {
+            exps[language] = Math.exp((value - max) / scale);
+            sum += exps[language];
+        }
+
+        const probabilities = {};
+        for (const language of Object.keys(exps)) {
+            probabilities[language] = exps[language] / sum;
+        }
+        return probabilities;
+    }
+
+    /**
+     * Obtener el idioma más probable de un mapa de probabilidades
+     * @param {object} probabilities - Probabilidad por idioma
+     * @returns {Array} [idioma, probabilidad]
+     */
+    best(probabilities) {
+        return Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0];
+    }
+
+    /**
+     * Clasificar una palabra suelta
+     * @param {string} word - Palabra normalizada
+     * @returns {string|null} Idioma de la palabra o null si es ambigua
+     */
+    classifyWord(word) {
+        if (this.lexicon.has(word)) {
+            return this.lexicon.get(word);
+        }
+
+        const ngrams = this.extractNgrams(word);
+        const [language, probability] = this.best(this.toProbabilities(this.score(ngrams), ngrams.length));
+
+        return probability >= config.speech.languageWordConfidence ? language : null;
+    }
+
+    /**
+     * Clasificar cada palabra para medir la mezcla de idiomas
+     * @param {Array<string>} words - Palabras normalizadas
+     * @returns {object} Proporción de caracteres por idioma (solo palabras con clasificación clara)
+     */
+    wordDistribution(words) {
+        const weights = Object.fromEntries(this.languages.map(language => [language, 0]));
+        const wordCounts = Object.fromEntries(this.languages.map(language => [language, 0]));
+        let totalWeight = 0;
+
+        for (const word of words) {
+            // Palabras de una letra (y, a, I) son ambiguas
+            if (word.length < 2) {
+                continue;
+            }
+
+            const language = this.classifyWord(word);
+            if (language) {
+                weights[language] += word.length;
+                wordCounts[language] += 1;
+                totalWeight += word.length;
+            }
+        }
+
+        const distribution = {};
+        for (const language of this.languages) {
+            distribution[language] = totalWeight > 0 ? weights[language] / totalWeight : 0;
+        }
+
+        return { distribution, wordCounts };
+    }
+
+    /**
+     * Clasificar cada frase o cláusula del mensaje por separado
+     * @param {string} text - Texto del mensaje
+     * @returns {object} Palabras por idioma de las cláusulas con clasificación clara
+     *
+     * El cambio de idioma suele coincidir con un cambio de cláusula ("I don't
+     * understand, ¿me lo puedes explicar?"). Una cláusula completa aporta más
+     * n-gramas que una palabra suelta, así que detecta la mezcla aunque las
+     * palabras por separado sean ambiguas
+     */
+    clauseDistribution(text) {
+        const wordCounts = Object.fromEntries(this.languages.map(language => [language, 0]));
+
+        for (const clause of text.split(/[,.;:!?]+|(?=[¿¡])/)) {
+            const words = this.tokenize(clause || '').filter(word => word.length >= 2);
+            if (words.length < 2) {
+                continue;
+            }
+
+            const ngrams = words.flatMap(word => this.extractNgrams(word));
+            const [language, probability] = this.best(this.toProbabilities(this.score(ngrams), ngrams.length));
+            if (probability >= config.speech.languageConfidenceThreshold) {
+                wordCounts[language] += words.length;
+            }
+        }
+
+        return wordCounts;
+    }
+
+    /**
+     * Identificar el idioma de un mensaje
+     * @param {string} text - Texto del mensaje
+     * @param {object} options - Opciones
+     * @param {string} options.fallback - Idioma a usar si la detección no es fiable
+     *                                    (normalmente el último idioma conocido del usuario)
+     * @returns {object} Resultado:
+     *   - language: idioma elegido ('en', 'es', ...)
+     *   - confidence: confianza de la clasificación (0-1)
+     *   - reliable: false si se usó el idioma de respaldo
+     *   - mixed: true si el mensaje mezcla idiomas
+     *   - distribution: proporción de cada idioma por palabras
+     */
+    identify(text, { fallback = null } = {}) {
+        const supported = this.languages.filter(language =>
+            config.speech.supportedLanguages.includes(language)
+        );
+        const defaultLanguage = fallback || supported[0] || 'en';
+        const words = this.tokenize(text || '');
+        const ngrams = words.flatMap(word => this.extractNgrams(word));
+
+        if (ngrams.length === 0) {
+            return { language: defaultLanguage, confidence: 0, reliable: false, mixed: false, distribution: {} };
+        }
+
+        const probabilities = this.toProbabilities(this.score(ngrams), ngrams.length);
+        const [language, confidence] = this.best(probabilities);
+        const { distribution, wordCounts } = this.wordDistribution(words);
+
+        // Hay mezcla si el idioma minoritario tiene un peso y un número de palabras relevantes,
+        // o si hay cláusulas completas en más de un idioma
+        const minorityShare = Math.min(...this.languages.map(lang => distribution[lang]));
+        const clauseCounts = this.clauseDistribution(text);
+        const mixed = (minorityShare >= 0.2 && this.languages.every(lang => wordCounts[lang] >= 2)) ||
+            this.languages.every(lang => clauseCounts[lang] >= 2);
+
+        const [wordLanguage, wordShare] = this.best(distribution);
+        const classifiedWords = Object.values(wordCounts).reduce((sum, count) => sum + count, 0);
+
+        let chosen = language;
+        let finalConfidence = confidence;
+        let reliable = confidence >= config.speech.languageConfidenceThreshold;
+        if (mixed) {
+            // En un mensaje mezclado manda el idioma con más peso por palabras
+            [chosen, finalConfidence, reliable] = [wordLanguage, wordShare, true];
+        } else if (confidence < config.speech.languageConfidenceThreshold &&
+            classifiedWords > 0 && wordShare >= 0.7) {
+            // El texto completo es dudoso, pero las palabras reconocidas apuntan a un idioma
+            [chosen, finalConfidence, reliable] = [wordLanguage, wordShare, true];
+        }
+        reliable = reliable && supported.includes(chosen);
+
+        return {
+            language: reliable ? chosen : defaultLanguage,
+            confidence: finalConfidence,
+            reliable,
+            mixed,
+            distribution,
+        };
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new LanguageIdentifier();
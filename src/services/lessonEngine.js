@@ -0,0 +1,613 @@
+// Importar dependencias
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const userProfile = require('./userProfile');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Niveles CEFR en orden
+ */
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+/**
+ * Respuestas para saltar un paso sin contestarlo
+ */
+const SKIP_ANSWERS = /^\s*(skip|pass|next|saltar|paso|siguiente)\s*[.!]?\s*$/i;
+
+/**
+ * Identificador de la prueba de nivel
+ */
+const PLACEMENT_LESSON = 'placement';
+
+/**
+ * Motor de Lecciones
+ *
+ * Carga las lecciones de config.lessons.dir (archivos .json, .yaml o .yml) y
+ * lleva a cada estudiante por ellas turno a turno. Cada lección es:
+ *
+ *   id: past-simple
+ *   title: { es: '...', en: '...' }
+ *   level: A2
+ *   steps:
+ *     - id: intro                     # Paso informativo (sin answers): se muestra y se avanza
+ *       prompt: "..."
+ *     - id: q1
+ *       prompt: "Yesterday I ___ (go) to the cinema."
+ *       answers:                      # La primera que coincida decide el siguiente paso
+ *         - accept: ['went']          # Coincidencia exacta (sin mayúsculas ni puntuación)
+ *           contains: ['i went']      # Frase contenida en la respuesta
+ *           pattern: '^went\b'        # Expresión regular (sin distinguir mayúsculas, admite \p{L})
+ *           score: 1
+ *           feedback: "✅ Correct!"
+ *           next: q2                  # Por defecto, el paso siguiente; 'end' termina
+ *       otherwise:                    # Si ninguna coincide
+ *         feedback: "❌ It's 'went'."
+ *         retry: true                 # Repetir la pregunta (hasta config.lessons.maxRetries veces)
+ *         next: q2
+ *
+ * La prueba de nivel (id 'placement') además define:
+ *
+ *   placement:
+ *     - { minScore: 0, level: A1 }
+ *     - { minScore: 3, level: A2 }
+ *
+ * y al terminarla se guarda el nivel CEFR en el perfil del estudiante
+ *
+ * El progreso se guarda en disco: si el estudiante vuelve tras una pausa
+ * (config.lessons.resumeAfter), se le recuerda la pregunta pendiente antes de
+ * seguir; con /lesson stop la lección queda en pausa hasta /lesson
+ */
+class LessonEngine {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guarda el progreso de cada estudiante
+     * @param {string} lessonsDir - Directorio de las definiciones de lecciones
+     */
+    constructor(
+        filepath = path.join(config.storage.dataDir, 'lessons.json'),
+        lessonsDir = config.lessons.dir
+    ) {
+        // Clave: número de WhatsApp, Valor: { active, paused, completed: { id: { score, maxScore, completedAt } } }
+        this.store = new JsonFileStore(filepath);
+        this.lessonsDir = lessonsDir;
+        // Clave: id de la lección, Valor: definición (se cargan de forma perezosa)
+        this.lessons = null;
+    }
+
+    // ========================================
+    // DEFINICIONES DE LECCIONES
+    // ========================================
+
+    /**
+     * Cargar y validar las lecciones del directorio
+     * @returns {Map<string, object>} Lecciones por id
+     *
+     * Una lección con errores se omite (y se registra) sin impedir que se
+     * carguen las demás
+     */
+    loadLessons() {
+        const lessons = new Map();
+        let files = [];
+
+        try {
+            files = fs.readdirSync(this.lessonsDir).filter(file => /\.(json|ya?ml)$/i.test(file)).sort();
+        } catch (error) {
+            logger.error('No se pudo leer el directorio de lecciones', { dir: this.lessonsDir, error: error.message });
+        }
+
+        for (const file of files) {
+            try {
+                const content = fs.readFileSync(path.join(this.lessonsDir, file), 'utf8');
+                const lesson = /\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content);
+                this.validateLesson(lesson);
+
+                if (lessons.has(lesson.id)) {
+                    throw new Error(`id duplicado "${lesson.id}"`);
+                }
+                lessons.set(lesson.id, lesson);
+            } catch (error) {
+                logger.error('Lección inválida omitida', { file, error: error.message });
+            }
+        }
+
+        logger.info('Lecciones cargadas', { count: lessons.size });
+        return lessons;
+    }
+
+    /**
+     * Validar la estructura de una lección
+     * @param {object} lesson - Definición de la lección
+     * @throws {Error} Si falta algún campo o un "next" apunta a un paso inexistente
+     */
+    validateLesson(lesson) {
+        if (!lesson?.id || !Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+            throw new Error('la lección necesita "id" y al menos un paso en "steps"');
+        }
+
+        const ids = new Set();
+        for (const step of lesson.steps) {
+            if (!step.id || !step.prompt) {
+                throw new Error('cada paso necesita "id" y "prompt"');
+            }
+            if (ids.has(step.id)) {
+                throw new Error(`paso duplicado "${step.id}"`);
+            }
+            ids.add(step.id);
+        }
+
+        for (const step of lesson.steps) {
+            const targets = [step.next, step.otherwise?.next, ...(step.answers || []).map(answer => answer.next)];
+            for (const target of targets) {
+                if (target && target !== 'end' && !ids.has(target)) {
+                    throw new Error(`el paso "${step.id}" apunta a "${target}", que no existe`);
+                }
+            }
+            for (const answer of step.answers || []) {
+                if (answer.pattern) {
+                    new RegExp(answer.pattern, 'iu');
+                }
+            }
+        }
+
+        if (lesson.id === PLACEMENT_LESSON &&
+            !(lesson.placement || []).every(band => CEFR_LEVELS.includes(band.level))) {
+            throw new Error('la prueba de nivel necesita "placement" con niveles CEFR válidos');
+        }
+    }
+
+    /**
+     * Obtener todas las lecciones
+     * @returns {Map<string, object>} Lecciones por id
+     */
+    getLessons() {
+        if (!this.lessons) {
+            this.lessons = this.loadLessons();
+        }
+        return this.lessons;
+    }
+
+    /**
+     * Obtener una lección por id
+     * @param {string} lessonId - Id de la lección
+     * @returns {object|null} Definición o null si no existe
+     */
+    getLesson(lessonId) {
+        return this.getLessons().get(lessonId) || null;
+    }
+
+    /**
+     * Listar las lecciones normales (sin la prueba de nivel) ordenadas por nivel
+     * @returns {Array<object>} Lecciones
+     */
+    listLessons() {
+        const rank = (lesson) => (lesson.level ? CEFR_LEVELS.indexOf(lesson.level) : -1);
+
+        return [...this.getLessons().values()]
+            .filter(lesson => lesson.id !== PLACEMENT_LESSON)
+            .sort((a, b) => rank(a) - rank(b) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Recomendar la siguiente lección: la primera no completada del nivel del estudiante
+     * (o de un nivel inferior)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} level - Nivel CEFR del estudiante
+     * @returns {Promise<object|null>} Lección recomendada
+     */
+    async recommend(userId, level) {
+        const completed = await this.getCompleted(userId);
+        const maxRank = level ? CEFR_LEVELS.indexOf(level) : 0;
+
+        const pending = this.listLessons().filter(lesson =>
+            !completed[lesson.id] && (!lesson.level || CEFR_LEVELS.indexOf(lesson.level) <= maxRank)
+        );
+
+        // Preferir las del nivel exacto del estudiante
+        return pending.find(lesson => lesson.level === level) || pending[pending.length - 1] || null;
+    }
+
+    // ========================================
+    // PROGRESO DEL ESTUDIANTE
+    // ========================================
+
+    /**
+     * Obtener la lección en curso de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object|null>} Estado { lessonId, stepId, score, maxScore, retries, startedAt, updatedAt }
+     *                                 o null si no hay lección en curso (o está en pausa)
+     */
+    async getActiveLesson(userId) {
+        const state = (await this.store.read())[userId]?.active;
+
+        // Si la definición desapareció (archivo borrado o inválido), la lección no puede seguir
+        if (state && !this.getLesson(state.lessonId)?.steps.some(step => step.id === state.stepId)) {
+            logger.warn('Lección en curso sin definición válida, se descarta', { userId, lessonId: state.lessonId });
+            await this.store.update(data => {
+                data[userId].active = null;
+            });
+            return null;
+        }
+
+        return state || null;
+    }
+
+    /**
+     * Obtener la lección en pausa de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object|null>} Estado de la lección en pausa
+     */
+    async getPausedLesson(userId) {
+        return (await this.store.read())[userId]?.paused || null;
+    }
+
+    /**
+     * Verificar si el estudiante ya hizo la prueba de nivel
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si la completó
+     */
+    async hasCompletedPlacement(userId) {
+        return Boolean((await this.store.read())[userId]?.completed?.[PLACEMENT_LESSON]);
+    }
+
+    /**
+     * Empezar (o reiniciar) una lección
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} lessonId - Id de la lección
+     * @returns {Promise<string|null>} Mensaje con la introducción y la primera pregunta,
+     *                                 o null si la lección no existe
+     */
+    async start(userId, lessonId) {
+        const lesson = this.getLesson(lessonId);
+        if (!lesson) {
+            return null;
+        }
+
+        const now = Date.now();
+        const state = { lessonId, stepId: null, score: 0, maxScore: 0, retries: 0, startedAt: now, updatedAt: now };
+        const messages = [`📘 *${this.getTitle(lesson, 'en')}*`];
+        await this.advance(userId, lesson, state, lesson.steps[0].id, messages);
+
+        logger.info('Lección iniciada', { userId, lessonId });
+        return messages.join('\n\n');
+    }
+
+    /**
+     * Empezar la prueba de nivel
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<string|null>} Primera pregunta, o null si no hay prueba de nivel definida
+     */
+    async startPlacement(userId) {
+        return this.start(userId, PLACEMENT_LESSON);
+    }
+
+    /**
+     * Poner en pausa la lección en curso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si había una lección en curso
+     */
+    async pause(userId) {
+        return this.store.update(data => {
+            const entry = data[userId];
+            if (!entry?.active) {
+                return false;
+            }
+
+            entry.paused = entry.active;
+            entry.active = null;
+            return true;
+        });
+    }
+
+    /**
+     * Terminar la lección en curso o en pausa sin guardar resultado
+     * @param {string} userId - Número de WhatsApp del usuario
+     */
+    async end(userId) {
+        await this.store.update(data => {
+            if (data[userId]) {
+                data[userId].active = null;
+                data[userId].paused = null;
+            }
+        });
+    }
+
+    /**
+     * Eliminar el progreso de un usuario (lección en curso, en pausa y completadas)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si tenía datos
+     */
+    async deleteUser(userId) {
+        return this.store.update(data => {
+            const existed = Boolean(data[userId]);
+            delete data[userId];
+            return existed;
+        });
+    }
+
+    /**
+     * Obtener las lecciones completadas de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object>} Clave: id de la lección, Valor: { score, maxScore, completedAt }
+     */
+    async getCompleted(userId) {
+        return (await this.store.read())[userId]?.completed || {};
+    }
+
+    /**
+     * Retomar la lección en pausa
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<string|null>} Recordatorio de la pregunta pendiente, o null si no había
+     */
+    async resume(userId) {
+        const state = await this.store.update(data => {
+            const entry = data[userId];
+            if (!entry?.paused) {
+                return null;
+            }
+
+            entry.active = { ...entry.paused, updatedAt: Date.now() };
+            entry.paused = null;
+            return entry.active;
+        });
+
+        if (!state) {
+            return null;
+        }
+
+        // Validar que la definición siga existiendo
+        const active = await this.getActiveLesson(userId);
+        return active ? this.formatResume(active) : null;
+    }
+
+    /**
+     * Verificar si el estudiante vuelve tras una pausa larga
+     * @param {object} state - Estado de la lección en curso
+     * @returns {boolean} true si hay que recordarle la pregunta antes de corregir
+     */
+    isReturning(state) {
+        return Date.now() - state.updatedAt > config.lessons.resumeAfter;
+    }
+
+    /**
+     * Mensaje para retomar la lección donde se quedó
+     * @param {object} state - Estado de la lección en curso
+     * @returns {string} Título, progreso y pregunta pendiente
+     */
+    formatResume(state) {
+        const lesson = this.getLesson(state.lessonId);
+        const index = lesson.steps.findIndex(step => step.id === state.stepId);
+
+        return `👋 ¡Hola de nuevo! Seguimos con *${this.getTitle(lesson, 'es')}* (paso ${index + 1}/${lesson.steps.length}).\n` +
+            `👋 Welcome back! Let's continue *${this.getTitle(lesson, 'en')}* (step ${index + 1}/${lesson.steps.length}).\n\n` +
+            this.getStep(lesson, state.stepId).prompt;
+    }
+
+    /**
+     * Marcar la lección en curso como vista ahora (tras recordar la pregunta)
+     * @param {string} userId - Número de WhatsApp del usuario
+     */
+    async touch(userId) {
+        await this.store.update(data => {
+            if (data[userId]?.active) {
+                data[userId].active.updatedAt = Date.now();
+            }
+        });
+    }
+
+    /**
+     * Responder la pregunta actual de la lección en curso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} text - Respuesta del estudiante (escrita o transcrita)
+     * @returns {Promise<object|null>} { reply, finished, level } o null si no hay lección en curso
+     */
+    async answer(userId, text) {
+        const state = await this.getActiveLesson(userId);
+        if (!state) {
+            return null;
+        }
+
+        const lesson = this.getLesson(state.lessonId);
+        const step = this.getStep(lesson, state.stepId);
+        const messages = [];
+        let next;
+
+        const matched = SKIP_ANSWERS.test(text) ? null : this.matchAnswer(step, text);
+        if (matched) {
+            state.score += matched.score || 0;
+            state.retries = 0;
+            if (matched.feedback) {
+                messages.push(matched.feedback);
+            }
+            next = matched.next || this.getFollowingStepId(lesson, step);
+        } else {
+            const otherwise = step.otherwise || {};
+            if (otherwise.feedback && !SKIP_ANSWERS.test(text)) {
+                messages.push(otherwise.feedback);
+            }
+
+            // Repetir la pregunta si la lección lo pide y quedan intentos
+            if (otherwise.retry && !SKIP_ANSWERS.test(text) && state.retries < config.lessons.maxRetries) {
+                state.retries++;
+                state.updatedAt = Date.now();
+                await this.saveState(userId, state);
+                messages.push(`🔁 Try again:\n${step.prompt}`);
+                return { reply: messages.join('\n\n'), finished: false, level: null };
+            }
+
+            state.retries = 0;
+            next = otherwise.next || this.getFollowingStepId(lesson, step);
+        }
+
+        const result = await this.advance(userId, lesson, state, next, messages);
+        return { reply: messages.join('\n\n'), ...result };
+    }
+
+    // ========================================
+    // FUNCIONES INTERNAS
+    // ========================================
+
+    /**
+     * Avanzar hasta el siguiente paso que espera respuesta (o hasta el final)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} lesson - Definición de la lección
+     * @param {object} state - Estado de la lección (se modifica)
+     * @param {string|null} stepId - Paso al que avanzar ('end' o null terminan)
+     * @param {Array<string>} messages - Mensajes acumulados para el estudiante (se modifica)
+     * @returns {Promise<object>} { finished, level }
+     */
+    async advance(userId, lesson, state, stepId, messages) {
+        // Límite de pasos seguidos sin pregunta, por si una lección forma un ciclo
+        for (let hops = 0; stepId && stepId !== 'end' && hops < lesson.steps.length; hops++) {
+            const step = this.getStep(lesson, stepId);
+            messages.push(step.prompt);
+
+            if (step.answers?.length) {
+                // Un paso que se repite (ej: "next" a sí mismo) no suma puntuación máxima otra vez
+                if (state.stepId !== step.id) {
+                    state.maxScore += Math.max(0, ...step.answers.map(answer => answer.score || 0));
+                }
+                state.stepId = step.id;
+                state.updatedAt = Date.now();
+                await this.saveState(userId, state);
+                return { finished: false, level: null };
+            }
+
+            stepId = step.next || this.getFollowingStepId(lesson, step);
+        }
+
+        return this.finish(userId, lesson, state, messages);
+    }
+
+    /**
+     * Terminar una lección: guardar el resultado y, en la prueba de nivel, el nivel CEFR
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} lesson - Definición de la lección
+     * @param {object} state - Estado final
+     * @param {Array<string>} messages - Mensajes acumulados (se modifica)
+     * @returns {Promise<object>} { finished: true, level }
+     */
+    async finish(userId, lesson, state, messages) {
+        const level = lesson.id === PLACEMENT_LESSON ? this.getPlacementLevel(lesson, state.score) : null;
+
+        await this.store.update(data => {
+            const entry = data[userId] || { active: null, paused: null, completed: {} };
+            entry.active = null;
+            entry.completed = entry.completed || {};
+            entry.completed[lesson.id] = {
+                score: state.score,
+                maxScore: state.maxScore,
+                completedAt: new Date().toISOString(),
+            };
+            data[userId] = entry;
+        });
+
+        if (level) {
+            await userProfile.updateProfile(userId, { cefrLevel: level });
+            messages.push(`🎯 Prueba terminada. Tu nivel es *${level}*.\n🎯 Test complete. Your level is *${level}*.\n\n` +
+                'Escribe /lesson para empezar una lección de tu nivel. / Type /lesson to start a lesson at your level.');
+        } else {
+            const score = state.maxScore > 0 ? ` ${state.score}/${state.maxScore}` : '';
+            messages.push(`🎉 ¡Lección completada!${score}\n🎉 Lesson complete!${score}\n\n` +
+                'Escribe /lesson para la siguiente. / Type /lesson for the next one.');
+        }
+
+        logger.info('Lección completada', { userId, lessonId: lesson.id, score: state.score, level });
+        return { finished: true, level };
+    }
+
+    /**
+     * Guardar el estado de la lección en curso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} state - Estado de la lección
+     */
+    async saveState(userId, state) {
+        await this.store.update(data => {
+            const entry = data[userId] || { active: null, paused: null, completed: {} };
+            entry.active = state;
+            // Empezar una lección descarta la que estuviera en pausa
+            entry.paused = null;
+            data[userId] = entry;
+        });
+    }
+
+    /**
+     * Buscar la primera respuesta esperada que coincide
+     * @param {object} step - Paso actual
+     * @param {string} text - Respuesta del estudiante
+     * @returns {object|null} Respuesta coincidente de step.answers
+     */
+    matchAnswer(step, text) {
+        const normalized = this.normalize(text);
+
+        return (step.answers || []).find(answer =>
+            (answer.accept || []).some(option => this.normalize(option) === normalized) ||
+            (answer.contains || []).some(phrase => ` ${normalized} `.includes(` ${this.normalize(phrase)} `)) ||
+            (answer.pattern && new RegExp(answer.pattern, 'iu').test(text.trim()))
+        ) || null;
+    }
+
+    /**
+     * Normalizar una respuesta para compararla
+     * @param {string} text - Texto
+     * @returns {string} Texto en minúsculas, sin puntuación ni espacios extra
+     */
+    normalize(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[’`]/g, "'")
+            .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Obtener un paso por id
+     * @param {object} lesson - Definición de la lección
+     * @param {string} stepId - Id del paso
+     * @returns {object} Paso
+     */
+    getStep(lesson, stepId) {
+        return lesson.steps.find(step => step.id === stepId);
+    }
+
+    /**
+     * Obtener el id del paso que sigue en el orden del archivo
+     * @param {object} lesson - Definición de la lección
+     * @param {object} step - Paso actual
+     * @returns {string|null} Id del siguiente paso o null si es el último
+     */
+    getFollowingStepId(lesson, step) {
+        return lesson.steps[lesson.steps.indexOf(step) + 1]?.id || null;
+    }
+
+    /**
+     * Calcular el nivel CEFR de la prueba de nivel
+     * @param {object} lesson - Definición de la prueba
+     * @param {number} score - Puntuación obtenida
+     * @returns {string} Nivel de la banda más alta alcanzada (A1 si ninguna)
+     */
+    getPlacementLevel(lesson, score) {
+        const bands = [...(lesson.placement || [])].sort((a, b) => a.minScore - b.minScore);
+        const reached = bands.filter(band => score >= band.minScore);
+        return reached.length > 0 ? reached[reached.length - 1].level : CEFR_LEVELS[0];
+    }
+
+    /**
+     * Obtener el título de una lección en un idioma
+     * @param {object} lesson - Definición de la lección
+     * @param {string} language - Idioma ('es' o 'en')
+     * @returns {string} Título
+     */
+    getTitle(lesson, language) {
+        if (typeof lesson.title === 'string') {
+            return lesson.title;
+        }
+        return lesson.title?.[language] || lesson.title?.en || lesson.id;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new LessonEngine();
@@ -0,0 +1,298 @@
+// Importar dependencias
+const axios = require('axios');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { MediaProcessingError, WhatsAppError } = require('../utils/errorHandler');
+
+/**
+ * Directorio de archivos temporales
+ */
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+/**
+ * Extensión de archivo por tipo de imagen (el OCR identifica el formato por la extensión)
+ */
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tif',
+};
+
+/**
+ * Documentos de texto que se leen directamente
+ */
+const TEXT_DOCUMENTS = ['text/plain', 'text/csv', 'text/markdown', 'text/html', 'application/json'];
+
+/**
+ * Extractor de Contenido de Medios
+ *
+ * Un mensaje de WhatsApp puede traer varios archivos (MediaUrl0..N con su
+ * MediaContentType0..N). Este servicio los clasifica y obtiene su texto:
+ * - audio: lo procesa el flujo de notas de voz (no se trata aquí)
+ * - image: texto reconocido con OCR (tesseract)
+ * - document: texto plano, CSV, Markdown, HTML, JSON o PDF (pdftotext)
+ * - unsupported: vídeos, contactos, ubicaciones... se responden con un aviso
+ *
+ * El OCR y la lectura de PDF usan herramientas locales de línea de comandos,
+ * así que ninguna imagen ni documento sale del servidor
+ */
+class MediaExtractor {
+    /**
+     * Listar los archivos adjuntos de un mensaje de Twilio
+     * @param {object} message - Objeto del mensaje de Twilio
+     * @returns {Array<object>} Adjuntos { index, url, contentType, kind }
+     */
+    getMediaItems(message) {
+        const count = parseInt(message.NumMedia) || 0;
+        const items = [];
+
+        for (let index = 0; index < count; index++) {
+            const url = message[`MediaUrl${index}`];
+            if (!url) {
+                continue;
+            }
+
+            const contentType = (message[`MediaContentType${index}`] || '').split(';')[0].trim().toLowerCase();
+            items.push({ index, url, contentType, kind: this.classify(contentType) });
+        }
+
+        return items;
+    }
+
+    /**
+     * Clasificar un adjunto por su tipo de contenido
+     * @param {string} contentType - Tipo MIME
+     * @returns {string} 'audio', 'image', 'document' o 'unsupported'
+     *
+     * Un adjunto sin tipo se trata como nota de voz (comportamiento anterior)
+     */
+    classify(contentType) {
+        if (!contentType || contentType.startsWith('audio/')) {
+            return 'audio';
+        }
+        if (IMAGE_EXTENSIONS[contentType]) {
+            return 'image';
+        }
+        if (TEXT_DOCUMENTS.includes(contentType) || contentType === 'application/pdf') {
+            return 'document';
+        }
+        return 'unsupported';
+    }
+
+    /**
+     * Descargar un adjunto desde Twilio
+     * @param {string} mediaUrl - URL de medios de Twilio
+     * @returns {Promise<Buffer>} Contenido del archivo
+     */
+    async download(mediaUrl) {
+        let response;
+        try {
+            response = await axios({
+                method: 'GET',
+                url: mediaUrl,
+                // Twilio requiere autenticación HTTP Basic
+                auth: {
+                    username: config.twilio.accountSid,
+                    password: config.twilio.authToken,
+                },
+                responseType: 'arraybuffer',
+                maxContentLength: config.attachments.maxSize,
+                // Una descarga colgada no debe bloquear al worker de la cola
+                timeout: config.twilio.mediaTimeout,
+            });
+        } catch (error) {
+            logger.error('Error al descargar adjunto', { error: error.message, status: error.response?.status, mediaUrl });
+
+            // Archivo demasiado grande o no accesible (4xx): reintentar no sirve
+            if (/maxContentLength/.test(error.message)) {
+                throw new MediaProcessingError(
+                    `El archivo es demasiado grande. El tamaño máximo es ${config.attachments.maxSize / 1024 / 1024}MB.`
+                );
+            }
+            if (error.response && error.response.status < 500 && error.response.status !== 429) {
+                throw new MediaProcessingError('No pude descargar el archivo. Por favor envíalo de nuevo.');
+            }
+
+            // Twilio caído, red o timeout: error 502 para que la cola reintente
+            throw new WhatsAppError('No pude descargar el archivo de WhatsApp. Por favor envíalo de nuevo en unos minutos.');
+        }
+
+        return Buffer.from(response.data);
+    }
+
+    /**
+     * Obtener el texto de una imagen o documento
+     * @param {object} item - Adjunto de getMediaItems()
+     * @param {string} messageSid - SID del mensaje (para nombrar los archivos temporales)
+     * @returns {Promise<string>} Texto extraído (vacío si no hay texto)
+     */
+    async extract(item, messageSid) {
+        const buffer = await this.download(item.url);
+
+        logger.info('Extrayendo texto de adjunto', {
+            messageSid,
+            contentType: item.contentType,
+            size: buffer.length,
+        });
+
+        let text;
+        if (item.kind === 'image') {
+            text = await this.withTempFile(buffer, `${messageSid}-${item.index}.${IMAGE_EXTENSIONS[item.contentType]}`,
+                filepath => this.runTool(
+                    config.attachments.ocrCommand,
+                    [filepath, 'stdout', '-l', config.attachments.ocrLanguages],
+                    'leer el texto de la imagen'
+                ));
+        } else if (item.contentType === 'application/pdf') {
+            text = await this.withTempFile(buffer, `${messageSid}-${item.index}.pdf`,
+                filepath => this.runTool(config.attachments.pdfCommand, ['-layout', filepath, '-'], 'leer el PDF'));
+        } else {
+            text = buffer.toString('utf8');
+            if (item.contentType === 'text/html') {
+                text = text.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ');
+            }
+        }
+
+        return this.cleanText(text);
+    }
+
+    /**
+     * Guardar un contenido en un archivo temporal mientras se procesa
+     * @param {Buffer} buffer - Contenido
+     * @param {string} filename - Nombre del archivo temporal
+     * @param {Function} task - async (filepath) => resultado
+     * @returns {Promise<*>} Resultado de la tarea
+     */
+    async withTempFile(buffer, filename, task) {
+        const filepath = path.join(TEMP_DIR, filename);
+        await fs.writeFile(filepath, buffer);
+
+        try {
+            return await task(filepath);
+        } finally {
+            await fs.unlink(filepath).catch(() => {});
+        }
+    }
+
+    /**
+     * Ejecutar una herramienta local y obtener su salida
+     * @param {string} command - Ejecutable
+     * @param {Array<string>} args - Argumentos
+     * @param {string} action - Descripción de la acción para los mensajes de error
+     * @returns {Promise<string>} Salida estándar
+     *
+     * Si la herramienta no está instalada o falla, el estudiante recibe un
+     * aviso (error 422, no se reintenta)
+     */
+    runTool(command, args, action) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args);
+            const output = [];
+            let stderr = '';
+            // Tras el timeout o un error al ejecutarla, la herramienta también emite 'close': se ignora
+            let settled = false;
+
+            const timer = setTimeout(() => {
+                settled = true;
+                child.kill('SIGKILL');
+                reject(new MediaProcessingError(`No pude ${action} a tiempo. Por favor intenta con un archivo más pequeño.`));
+            }, config.attachments.toolTimeout);
+
+            child.stdout.on('data', chunk => output.push(chunk));
+            child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                logger.error('Herramienta de extracción no disponible', { command, error: error.message });
+                reject(new MediaProcessingError(`No puedo ${action} en este momento. Por favor escribe el texto en un mensaje.`));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (settled) {
+                    return;
+                }
+                settled = true;
+
+                if (code !== 0) {
+                    logger.error('Herramienta de extracción falló', { command, code, stderr: stderr.split('\n').slice(-3).join(' | ') });
+                    reject(new MediaProcessingError(`No pude ${action}. Por favor intenta con otro archivo.`));
+                    return;
+                }
+                resolve(Buffer.concat(output).toString('utf8'));
+            });
+        });
+    }
+
+    /**
+     * Normalizar el texto extraído
+     * @param {string} text - Texto en bruto
+     * @returns {string} Texto sin espacios sobrantes y recortado a config.attachments.maxTextLength
+     */
+    cleanText(text) {
+        const cleaned = text
+            .replace(/\r/g, '')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+
+        if (cleaned.length <= config.attachments.maxTextLength) {
+            return cleaned;
+        }
+
+        // Cortar en el último espacio para no partir palabras
+        const cut = cleaned.slice(0, config.attachments.maxTextLength);
+        return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+    }
+
+    /**
+     * Aviso para los adjuntos que no se pueden procesar
+     * @param {Array<object>} items - Adjuntos no soportados
+     * @returns {string} Aviso bilingüe
+     */
+    formatUnsupported(items) {
+        const types = [...new Set(items.map(item => item.contentType))].join(', ');
+
+        return `🙏 Lo siento, todavía no puedo abrir este tipo de archivo (${types}). ` +
+            'Puedes enviarme texto, notas de voz, fotos de textos o documentos (TXT, PDF).\n' +
+            `🙏 Sorry, I can't open this kind of file yet (${types}). ` +
+            'You can send me text, voice notes, photos of text or documents (TXT, PDF).';
+    }
+
+    /**
+     * Construir el aviso de los adjuntos que no se pudieron procesar
+     * @param {Array<object>} failures - Fallos { item, error } (item de getMediaItems())
+     * @returns {string} Aviso bilingüe con el motivo de cada adjunto
+     *
+     * Solo recibe errores del usuario (operacionales), cuyo mensaje se puede mostrar
+     */
+    formatFailures(failures) {
+        const labels = {
+            audio: { es: 'nota de voz', en: 'voice note' },
+            image: { es: 'imagen', en: 'image' },
+            document: { es: 'documento', en: 'document' },
+        };
+
+        const lines = failures.map(({ item, error }) =>
+            `• Adjunto ${item.index + 1} (${labels[item.kind].es}): ${error.message}`
+        );
+        const names = failures.map(({ item }) => `#${item.index + 1} (${labels[item.kind].en})`).join(', ');
+
+        return `⚠️ No pude procesar estos adjuntos:\n${lines.join('\n')}\n` +
+            `⚠️ I couldn't process these attachments: ${names}`;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new MediaExtractor();
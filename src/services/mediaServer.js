@@ -0,0 +1,204 @@
+// Importar dependencias
+const { createHmac, timingSafeEqual } = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Servidor de Medios Generados
+ *
+ * WhatsApp solo acepta audio mediante una URL pública que Twilio descarga.
+ * Este servicio publica los archivos .ogg generados por Text-to-Speech en el
+ * directorio temporal bajo URLs firmadas (HMAC) que caducan, y elimina los
+ * archivos una vez descargados o cuando expiran
+ */
+class MediaServer {
+    /**
+     * Constructor
+     * @param {string} mediaDir - Directorio de los archivos servidos
+     */
+    constructor(mediaDir = path.join(__dirname, '../../temp')) {
+        this.mediaDir = mediaDir;
+        this.cleanupTimer = null;
+        this.pendingDeletes = new Map();  // Clave: nombre de archivo, Valor: temporizador
+    }
+
+    /**
+     * Verificar si se pueden servir medios
+     * @returns {boolean} true si hay URL pública y secreto de firma configurados
+     */
+    isEnabled() {
+        return Boolean(config.publicUrl && config.media.signingSecret);
+    }
+
+    /**
+     * Validar que un nombre de archivo sea servible
+     * @param {string} filename - Nombre del archivo
+     * @returns {boolean} true si es un .ogg sin rutas
+     *
+     * Evita que se pueda pedir cualquier archivo fuera del directorio temporal
+     */
+    isValidFilename(filename) {
+        return /^[\w.-]+\.ogg$/.test(filename) && path.basename(filename) === filename;
+    }
+
+    /**
+     * Calcular la firma de un archivo para una fecha de expiración
+     * @param {string} filename - Nombre del archivo
+     * @param {number} expires - Timestamp de expiración en milisegundos
+     * @returns {string} Firma en hexadecimal
+     */
+    sign(filename, expires) {
+        return createHmac('sha256', config.media.signingSecret)
+            .update(`${filename}:${expires}`)
+            .digest('hex');
+    }
+
+    /**
+     * Crear una URL pública firmada para un archivo
+     * @param {string} filepath - Ruta del archivo dentro del directorio temporal
+     * @returns {string} URL firmada que caduca tras config.media.urlTtl
+     */
+    createSignedUrl(filepath) {
+        const filename = path.basename(filepath);
+        const expires = Date.now() + config.media.urlTtl;
+        const signature = this.sign(filename, expires);
+        const baseUrl = config.publicUrl.replace(/\/+$/, '');
+
+        return `${baseUrl}/media/${encodeURIComponent(filename)}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Verificar la firma y la expiración de una petición de medio
+     * @param {string} filename - Nombre del archivo
+     * @param {string} expires - Timestamp de expiración recibido
+     * @param {string} signature - Firma recibida
+     * @returns {string|null} Motivo del rechazo o null si es válida
+     */
+    verify(filename, expires, signature) {
+        if (!this.isValidFilename(filename)) {
+            return 'Nombre de archivo inválido';
+        }
+
+        const expiresAt = Number(expires);
+        if (!expiresAt || !signature) {
+            return 'Firma ausente';
+        }
+        if (Date.now() > expiresAt) {
+            return 'URL expirada';
+        }
+
+        const expected = Buffer.from(this.sign(filename, expiresAt));
+        const received = Buffer.from(String(signature));
+        if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+            return 'Firma inválida';
+        }
+
+        return null;
+    }
+
+    /**
+     * Obtener la ruta absoluta de un archivo servible
+     * @param {string} filename - Nombre del archivo (ya validado)
+     * @returns {string} Ruta absoluta
+     */
+    resolve(filename) {
+        return path.join(this.mediaDir, filename);
+    }
+
+    /**
+     * Programar la eliminación de un archivo tras ser descargado
+     * @param {string} filename - Nombre del archivo
+     *
+     * Se espera un margen para permitir reintentos de descarga de Twilio
+     */
+    scheduleDelete(filename) {
+        if (this.pendingDeletes.has(filename)) {
+            return;
+        }
+
+        const timer = setTimeout(async () => {
+            this.pendingDeletes.delete(filename);
+            await this.deleteFile(filename);
+        }, config.media.deleteAfterFetchDelay);
+        timer.unref();
+
+        this.pendingDeletes.set(filename, timer);
+    }
+
+    /**
+     * Eliminar un archivo servido
+     * @param {string} filename - Nombre del archivo
+     */
+    async deleteFile(filename) {
+        try {
+            await fs.unlink(this.resolve(filename));
+            logger.info('Archivo de medio eliminado', { filename });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Error al eliminar archivo de medio', {
+                    error: error.message,
+                    filename,
+                });
+            }
+        }
+    }
+
+    /**
+     * Eliminar respuestas de voz cuya URL ya expiró
+     * @returns {Promise<number>} Número de archivos eliminados
+     *
+     * Cubre los archivos que Twilio nunca descargó y los que quedaron
+     * de una ejecución anterior del servidor
+     */
+    async cleanupExpired() {
+        let removed = 0;
+
+        try {
+            const files = await fs.readdir(this.mediaDir);
+            const now = Date.now();
+
+            for (const filename of files) {
+                if (!filename.startsWith('response_') || !this.isValidFilename(filename)) {
+                    continue;
+                }
+
+                const stats = await fs.stat(this.resolve(filename)).catch(() => null);
+                if (stats && now - stats.mtimeMs > config.media.urlTtl) {
+                    await this.deleteFile(filename);
+                    removed++;
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Limpieza de medios falló', { error: error.message });
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Iniciar la limpieza periódica de medios expirados
+     * @param {number} interval - Intervalo en milisegundos
+     */
+    startCleanup(interval = config.media.cleanupInterval) {
+        this.stopCleanup();
+        this.cleanupTimer = setInterval(() => this.cleanupExpired(), interval);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Detener la limpieza periódica
+     */
+    stopCleanup() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new MediaServer();
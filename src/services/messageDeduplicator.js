@@ -0,0 +1,99 @@
+// Importar dependencias
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Deduplicador de Mensajes Entrantes
+ *
+ * Twilio reintenta el webhook si no recibe respuesta a tiempo y en ocasiones
+ * entrega el mismo mensaje dos veces. Este servicio recuerda los MessageSid ya
+ * recibidos durante un tiempo (TTL) para que cada mensaje se procese una sola vez
+ *
+ * Los SIDs se guardan en disco, así que la protección sigue activa tras un reinicio
+ */
+class MessageDeduplicator {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guardan los SIDs procesados
+     * @param {number} ttl - Tiempo en milisegundos durante el que se recuerda cada SID
+     */
+    constructor(
+        filepath = path.join(config.storage.dataDir, 'processed-messages.json'),
+        ttl = config.app.dedupeTtl
+    ) {
+        // Clave: MessageSid, Valor: timestamp de recepción
+        this.file = new JsonFileStore(filepath);
+        this.ttl = ttl;
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Reclamar un mensaje para procesarlo
+     * @param {string} messageSid - SID del mensaje de Twilio
+     * @returns {Promise<boolean>} true si es la primera vez que se ve, false si es un duplicado
+     *
+     * La comprobación y el registro ocurren en el mismo paso, así que dos
+     * entregas simultáneas del mismo mensaje no pueden ser aceptadas ambas
+     */
+    async claim(messageSid) {
+        const now = Date.now();
+
+        const isNew = await this.file.update(entries => {
+            this.pruneExpired(entries, now);
+
+            const seenAt = entries[messageSid];
+            if (seenAt && now - seenAt < this.ttl) {
+                return false;
+            }
+
+            entries[messageSid] = now;
+            return true;
+        });
+
+        if (isNew) {
+            logger.info('Mensaje aceptado para procesamiento', { messageSid });
+        } else {
+            logger.warn('Mensaje duplicado ignorado', { messageSid });
+        }
+
+        return isNew;
+    }
+
+    /**
+     * Liberar un mensaje reclamado que no se pudo aceptar
+     * @param {string} messageSid - SID del mensaje de Twilio
+     *
+     * Se usa cuando el encolado falla después de reclamar el SID: así el
+     * reintento de Twilio vuelve a ser aceptado en lugar de descartarse como duplicado
+     */
+    async release(messageSid) {
+        await this.file.update(entries => {
+            delete entries[messageSid];
+        });
+
+        logger.warn('Reclamo de mensaje liberado', { messageSid });
+    }
+
+    /**
+     * Eliminar los SIDs cuyo TTL expiró (como máximo una vez por minuto)
+     * @param {object} entries - Mapa de SIDs a timestamps
+     * @param {number} now - Timestamp actual
+     */
+    pruneExpired(entries, now) {
+        if (now - this.lastPrune < 60000) {
+            return;
+        }
+        this.lastPrune = now;
+
+        for (const [messageSid, seenAt] of Object.entries(entries)) {
+            if (now - seenAt >= this.ttl) {
+                delete entries[messageSid];
+            }
+        }
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new MessageDeduplicator();
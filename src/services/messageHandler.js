@@ -1,11 +1,28 @@
 // Importar servicios y utilidades necesarias
+const path = require('path');
 const whatsappClient = require('./whatsappClient');
 const speechToText = require('./speechToText');
 const textToSpeech = require('./textToSpeech');
-const dialogflow = require('./dialogflow');
+const { getConversationEngine } = require('./conversationEngine');
 const audioProcessor = require('./audioProcessor');
+const mediaExtractor = require('./mediaExtractor');
+const mediaServer = require('./mediaServer');
+const userProfile = require('./userProfile');
+const pronunciation = require('./pronunciation');
+const vocabulary = require('./vocabulary');
+const lessonEngine = require('./lessonEngine');
+const transcriptHistory = require('./transcriptHistory');
+const commandRouter = require('./commandRouter');
+const adminConsole = require('./adminConsole');
+const errorMonitor = require('./errorMonitor');
+const rateLimiter = require('./rateLimiter');
+const metrics = require('./metrics');
+const languageIdentifier = require('./languageIdentifier');
+const grammarChecker = require('./grammarChecker');
+const config = require('../config/config');
 const logger = require('../utils/logger');
-const { ValidationError } = require('../utils/errorHandler');
+const MessageProgress = require('../utils/messageProgress');
+const { ValidationError, isRetryable } = require('../utils/errorHandler');
 
 /**
  * Clase para manejar mensajes entrantes de WhatsApp
@@ -16,156 +33,809 @@ class MessageHandler {
      * Procesar mensaje entrante desde WhatsApp
      * @param {object} message - Objeto del mensaje de Twilio
      * 
-     * Este es el punto de entrada principal para todos los mensajes
-     * Determina si es texto o voz y lo enruta apropiadamente
+     * Punto de entrada para procesamiento directo (sin cola)
+     * Si el procesamiento falla, envía un mensaje de error al usuario
      */
     async handleIncomingMessage(message) {
         try {
-            const { From, Body, NumMedia, MessageSid } = message;
-
-            logger.info('Procesando mensaje entrante', {
-                from: From,
-                hasMedia: NumMedia > 0,
-                messageSid: MessageSid,
-            });
-
-            // Verificar si es un mensaje de audio (nota de voz)
-            if (NumMedia && parseInt(NumMedia) > 0) {
-                await this.handleVoiceMessage(message);
-            } else if (Body) {
-                // Es un mensaje de texto
-                await this.handleTextMessage(message);
-            } else {
-                // Formato de mensaje inválido
-                throw new ValidationError('Formato de mensaje inválido');
-            }
+            await this.processMessage(message);
+            errorMonitor.recordSuccess();
         } catch (error) {
             logger.error('Manejo de mensaje falló', {
                 error: error.message,
                 from: message.From,
             });
+            await errorMonitor.recordError(error, { userId: message.From, messageSid: message.MessageSid });
 
             // Enviar mensaje de error al usuario
             await this.sendErrorMessage(message.From, error);
         }
     }
 
+    /**
+     * Enrutar un mensaje entrante según su tipo
+     * @param {object} message - Objeto del mensaje de Twilio
+     * @param {MessageProgress} progress - Pasos ya completados en intentos anteriores
+     * 
+     * Determina si es texto o trae adjuntos (voz, imágenes, documentos) y lo enruta apropiadamente
+     * Los mensajes del administrador van a la consola de administración
+     * Los errores se propagan para que la cola de mensajes pueda reintentar; en el
+     * reintento, los pasos ya completados (respuestas enviadas, turnos, lecciones) no se repiten
+     */
+    async processMessage(message, progress = new MessageProgress()) {
+        const { From, Body, NumMedia, MessageSid } = message;
+
+        logger.info('Procesando mensaje entrante', {
+            from: From,
+            hasMedia: NumMedia > 0,
+            messageSid: MessageSid,
+        });
+
+        // El número de administración no habla con el tutor
+        if (adminConsole.isAdmin(From)) {
+            metrics.increment('messages_total', { type: 'admin' });
+            await adminConsole.handle(From, Body, progress);
+            return;
+        }
+
+        const type = NumMedia && parseInt(NumMedia) > 0 ? 'media' : 'text';
+        metrics.increment('messages_total', { type });
+        const started = Date.now();
+
+        try {
+            // Verificar si trae adjuntos (notas de voz, imágenes, documentos...)
+            if (type === 'media') {
+                await this.handleMediaMessage(message, progress);
+            } else if (Body) {
+                // Es un mensaje de texto
+                await this.handleTextMessage(message, progress);
+            } else {
+                // Formato de mensaje inválido
+                throw new ValidationError('Formato de mensaje inválido');
+            }
+        } finally {
+            metrics.observe('message_duration_seconds', { type }, (Date.now() - started) / 1000);
+        }
+    }
+
     /**
      * Manejar mensaje de texto
      * @param {object} message - Objeto del mensaje
+     * @param {MessageProgress} progress - Pasos ya completados en intentos anteriores
      * 
-     * Flujo: Detectar idioma → Enviar a Dialogflow → Responder
+     * Flujo: Comandos (/help, /reset...) → Detectar idioma → Motor conversacional → Corregir → Responder
      */
-    async handleTextMessage(message) {
-        const { From, Body } = message;
+    async handleTextMessage(message, progress = new MessageProgress()) {
+        const { From, Body, MessageSid } = message;
 
         logger.info('Manejando mensaje de texto', { from: From, text: Body });
 
-        try {
-            // Detectar el idioma del texto (heurística simple)
-            const languageCode = this.detectLanguage(Body);
+        // "practice pronunciation", "add word...", "quiz me"... son atajos de comandos
+        const text = this.toCommand(Body);
+
+        // El flujo se decide una sola vez: en un reintento, la respuesta
+        // anterior ya pudo cerrar el repaso o avanzar la lección
+        const mode = await progress.step('mode', () => this.resolveMode(From, text));
+
+        // Los comandos se resuelven sin pasar por el motor conversacional
+        // (también cuentan como práctica para la racha: /lesson, /quiz...)
+        if (mode === 'command') {
+            await this.recordTurn(From, { type: 'text', language: null }, progress);
+            await commandRouter.handle(From, text, progress);
+            return;
+        }
+
+        // Si el estudiante está en un repaso de vocabulario, el mensaje es su respuesta
+        if (mode === 'quiz') {
+            await this.recordTurn(From, { type: 'text', language: 'en' }, progress);
+            const reply = await this.handleQuizAnswer(From, Body, progress);
+            await progress.step('transcript', () => transcriptHistory.record(From, {
+                messageSid: MessageSid, type: 'text', mode: 'quiz', userText: Body, language: 'en', reply,
+            }));
+            return;
+        }
+
+        // Si está en una lección guiada, el mensaje es su respuesta al paso actual
+        if (mode === 'lesson') {
+            await this.recordTurn(From, { type: 'text', language: 'en' }, progress);
+            const reply = await this.handleLessonAnswer(From, Body, progress);
+            await progress.step('transcript', () => transcriptHistory.record(From, {
+                messageSid: MessageSid, type: 'text', mode: 'lesson', userText: Body, language: 'en', reply,
+            }));
+            return;
+        }
+
+        // Usar el idioma elegido con /lang o detectarlo del texto
+        // (si la detección es dudosa, se mantiene el último idioma del estudiante)
+        const languageCode = await progress.step('language', async () => {
+            const profile = await userProfile.getProfile(From);
+            return profile.preferredLanguage || this.detectLanguage(Body, profile.lastLanguage);
+        });
+
+        // Registrar el turno en el perfil del estudiante
+        await this.recordTurn(From, { type: 'text', language: languageCode }, progress);
+
+        // Enviar al motor conversacional (Dialogflow, reglas u OpenAI) para procesamiento de IA
+        const response = await this.detectIntentOnce(Body, From, languageCode, progress);
+
+        // Enviar respuesta de vuelta al usuario (con correcciones y vocabulario nuevo si los hay)
+        const reply = await progress.step('compose', () =>
+            this.composeReply(From, Body, languageCode, response.text)
+        );
+        await this.sendTextOnce(From, reply, progress);
 
-            // Enviar a Dialogflow para procesamiento de IA
-            const response = await dialogflow.detectIntent(Body, From, languageCode);
+        await progress.step('transcript', () => transcriptHistory.record(From, {
+            messageSid: MessageSid,
+            type: 'text',
+            userText: Body,
+            language: languageCode,
+            intent: response.intent,
+            confidence: response.confidence,
+            reply,
+        }));
 
-            // Enviar respuesta de vuelta al usuario
-            await whatsappClient.sendTextMessage(From, response.text);
+        logger.info('Mensaje de texto manejado exitosamente', {
+            from: From,
+            intent: response.intent,
+        });
+    }
+
+    /**
+     * Manejar un mensaje con adjuntos
+     * @param {object} message - Objeto del mensaje
+     * @param {MessageProgress} progress - Pasos ya completados en intentos anteriores
+     *
+     * Cada adjunto se enruta según su MediaContentType:
+     * - Notas de voz: flujo de voz, una por una
+     * - Imágenes y documentos: se extrae su texto y se comenta/corrige como un mensaje escrito
+     * - Otros tipos: aviso amable
+     *
+     * El texto del mensaje (pie de foto) acompaña a las imágenes y documentos,
+     * o a la primera nota de voz si no hay ninguno
+     * Los adjuntos que fallan por un error del usuario (audio inválido, archivo
+     * ilegible...) se informan junto al aviso de los no soportados
+     */
+    async handleMediaMessage(message, progress = new MessageProgress()) {
+        const { From, Body, MessageSid } = message;
+        const items = mediaExtractor.getMediaItems(message);
+        const audio = items.filter(item => item.kind === 'audio');
+        const readable = items.filter(item => item.kind === 'image' || item.kind === 'document');
+        const unsupported = items.filter(item => item.kind === 'unsupported');
+        items.forEach(item => metrics.increment('attachments_total', { kind: item.kind }));
+
+        logger.info('Manejando mensaje con adjuntos', {
+            from: From,
+            audio: audio.length,
+            readable: readable.length,
+            unsupported: unsupported.length,
+        });
+
+        // Cada adjunto se procesa por separado: un fallo no impide procesar los demás
+        const failures = [];
+
+        for (const [position, item] of audio.entries()) {
+            try {
+                await this.handleVoiceMessage({
+                    ...message,
+                    MediaUrl0: item.url,
+                    // Cada nota necesita su propio nombre de archivo temporal
+                    MessageSid: position === 0 ? MessageSid : `${MessageSid}-${item.index}`,
+                    Body: position === 0 && readable.length === 0 ? Body : '',
+                }, progress.scope(`media${item.index}`));
+            } catch (error) {
+                failures.push({ item, error });
+            }
+        }
 
-            logger.info('Mensaje de texto manejado exitosamente', {
+        if (readable.length > 0) {
+            const texts = [];
+            const extracted = [];
+            for (const item of readable) {
+                try {
+                    texts.push(await mediaExtractor.extract(item, MessageSid));
+                    extracted.push(item);
+                } catch (error) {
+                    failures.push({ item, error });
+                }
+            }
+
+            if (extracted.length > 0) {
+                try {
+                    await this.handleExtractedText(From, Body, texts.filter(Boolean), MessageSid, extracted, progress.scope('readable'));
+                } catch (error) {
+                    extracted.forEach(item => failures.push({ item, error }));
+                }
+            }
+        }
+
+        failures.forEach(({ item, error }) => {
+            logger.warn('No se pudo procesar un adjunto', {
                 from: From,
-                intent: response.intent,
+                messageSid: MessageSid,
+                index: item.index,
+                kind: item.kind,
+                error: error.message,
             });
-        } catch (error) {
-            throw error;
+        });
+
+        // Un fallo transitorio (5xx) reintenta el mensaje completo; los adjuntos
+        // ya respondidos no se repiten porque sus pasos quedaron guardados
+        const transient = failures.find(({ error }) => isRetryable(error));
+        if (transient) {
+            throw transient.error;
+        }
+
+        // Un solo aviso con los adjuntos no soportados y los que fallaron
+        const notices = [];
+        if (unsupported.length > 0) {
+            notices.push(mediaExtractor.formatUnsupported(unsupported));
         }
+        if (failures.length > 0) {
+            notices.push(mediaExtractor.formatFailures(failures));
+        }
+        if (notices.length > 0) {
+            await this.sendTextOnce(From, notices.join('\n\n'), progress, 'attachments-notice');
+        }
+    }
+
+    /**
+     * Comentar el texto leído de imágenes y documentos
+     * @param {string} from - Número del estudiante
+     * @param {string} caption - Texto que acompañaba a los adjuntos (puede estar vacío)
+     * @param {Array<string>} texts - Textos extraídos (sin vacíos)
+     * @param {string} messageSid - SID del mensaje
+     * @param {Array<object>} items - Adjuntos leídos (para el historial)
+     * @param {MessageProgress} progress - Pasos ya completados en intentos anteriores
+     *
+     * Flujo: Confirmar lo leído → Detectar idioma → Motor conversacional → Corregir → Responder
+     */
+    async handleExtractedText(from, caption, texts, messageSid, items = [], progress = new MessageProgress()) {
+        if (texts.length === 0) {
+            await this.sendTextOnce(
+                from,
+                '🔍 No encontré texto en lo que enviaste. Prueba con una foto más nítida y bien iluminada.\n' +
+                "🔍 I couldn't find any text in what you sent. Try a sharper, well-lit photo.",
+                progress
+            );
+            return;
+        }
+
+        const extracted = texts.join('\n\n');
+        const studentText = caption ? `${caption}\n\n${extracted}` : extracted;
+
+        const languageCode = await progress.step('language', async () => {
+            const profile = await userProfile.getProfile(from);
+            return profile.preferredLanguage || this.detectLanguage(extracted, profile.lastLanguage);
+        });
+        await this.recordTurn(from, { type: 'text', language: languageCode }, progress);
+
+        // Confirmar lo que se leyó (como con las notas de voz)
+        const preview = extracted.length > 300 ? `${extracted.slice(0, 300)}…` : extracted;
+        await this.sendTextOnce(from, `📄 Leí: "${preview}"\n\nDéjame responderte...`, progress, 'confirmation');
+
+        const response = await this.detectIntentOnce(studentText, from, languageCode, progress);
+
+        // Las correcciones se aplican al texto leído
+        const reply = await progress.step('compose', () =>
+            this.composeReply(from, studentText, languageCode, response.text)
+        );
+        await this.sendTextOnce(from, reply, progress);
+
+        await progress.step('transcript', () => transcriptHistory.record(from, {
+            messageSid,
+            type: 'attachment',
+            userText: studentText,
+            language: languageCode,
+            intent: response.intent,
+            confidence: response.confidence,
+            reply,
+            media: items.map(item => ({ url: item.url, contentType: item.contentType })),
+        }));
+
+        logger.info('Texto de adjuntos manejado exitosamente', {
+            from,
+            messageSid,
+            intent: response.intent,
+        });
     }
 
     /**
      * Manejar mensaje de voz (nota de voz)
      * @param {object} message - Objeto del mensaje
-     * 
-     * Flujo: Descargar audio → Transcribir → Confirmar → Dialogflow → Responder
+     * @param {MessageProgress} progress - Pasos ya completados en intentos anteriores
+     *
+     * Flujo: Descargar audio → Transcribir → Confirmar → Motor conversacional → Responder (texto + voz)
+     * Si la nota trae pie de texto (Body), se une a la transcripción
      */
-    async handleVoiceMessage(message) {
-        const { From, MediaUrl0, MessageSid } = message;
+    async handleVoiceMessage(message, progress = new MessageProgress()) {
+        const { From, Body, MediaUrl0, MessageSid } = message;
 
         logger.info('Manejando mensaje de voz', {
             from: From,
             mediaUrl: MediaUrl0,
         });
 
-        try {
-            // Paso 1: Descargar y procesar el archivo de audio
-            const audioBuffer = await audioProcessor.processVoiceNote(
-                MediaUrl0,
-                MessageSid
-            );
+        // Paso 1: Descargar y procesar el archivo de audio
+        const audioBuffer = await audioProcessor.processVoiceNote(
+            MediaUrl0,
+            MessageSid
+        );
+
+        // Descontar la nota del cupo diario de audio antes de transcribirla
+        // (una sola vez por nota: los reintentos de la cola no vuelven a cobrarla)
+        const duration = audioProcessor.getDuration(audioBuffer);
+        const quota = await progress.step('audio-quota', () => rateLimiter.consumeAudio(From, duration));
+        if (!quota.allowed) {
+            if (quota.notify) {
+                await this.sendTextOnce(From, rateLimiter.formatNotice('audio'), progress, 'quota-notice');
+            }
+            await audioProcessor.cleanupVoiceNote(MessageSid);
+            return;
+        }
 
-            // Paso 2: Transcribir audio a texto usando Google Cloud
-            const transcription = await speechToText.transcribeWithLanguageDetection(
-                audioBuffer
+        // Las notas largas tardan en transcribirse: avisar para que el estudiante no espere a ciegas
+        if (duration > config.speech.longNoteNotice) {
+            await this.sendTextOnce(
+                From,
+                `🎧 Sigo escuchando… es una nota larga (${Math.round(duration)} s), dame un momento.\n` +
+                `🎧 Still listening… it's a long note (${Math.round(duration)} s), give me a moment.`,
+                progress,
+                'long-note'
             );
+        }
+
+        // El flujo se decide una sola vez (ver handleTextMessage)
+        const mode = await progress.step('mode', () => this.resolveMode(From));
+
+        // Si el estudiante está en un ejercicio de lectura, evaluar su pronunciación
+        if (mode === 'read') {
+            const { transcription, language, reply } = await this.handleReadAloudAttempt(From, audioBuffer, progress);
+            await progress.step('transcript', () => transcriptHistory.record(From, {
+                messageSid: MessageSid,
+                type: 'voice',
+                mode: 'read',
+                userText: transcription.text,
+                language,
+                transcriptionConfidence: transcription.confidence,
+                reply,
+                media: [{ url: MediaUrl0 }],
+            }));
+            await audioProcessor.cleanupVoiceNote(MessageSid);
+            return;
+        }
+
+        // Si está en un repaso de vocabulario o en una lección guiada,
+        // la nota de voz es su respuesta (a la pregunta o al paso actual)
+        if (mode === 'quiz' || mode === 'lesson') {
+            const answer = await this.transcribeOnce(progress, () => speechToText.transcribe(audioBuffer, 'en-US'));
+            await this.recordTurn(From, { type: 'voice', language: answer.language }, progress);
+            const reply = mode === 'quiz'
+                ? await this.handleQuizAnswer(From, answer.text, progress)
+                : await this.handleLessonAnswer(From, answer.text, progress, true);
+            await progress.step('transcript', () => transcriptHistory.record(From, {
+                messageSid: MessageSid,
+                type: 'voice',
+                mode,
+                userText: answer.text,
+                language: answer.language,
+                transcriptionConfidence: answer.confidence,
+                reply,
+                media: [{ url: MediaUrl0 }],
+            }));
+            await audioProcessor.cleanupVoiceNote(MessageSid);
+            return;
+        }
+
+        // Paso 2: Transcribir audio a texto usando Google Cloud
+        const transcription = await this.transcribeOnce(progress, () =>
+            speechToText.transcribeWithLanguageDetection(audioBuffer)
+        );
+
+        logger.info('Voz transcrita', {
+            text: transcription.text,
+            language: transcription.language,
+            confidence: transcription.confidence,
+        });
+
+        // Registrar el turno en el perfil del estudiante
+        await this.recordTurn(From, { type: 'voice', language: transcription.language }, progress);
+
+        // Paso 3: Enviar confirmación de transcripción al usuario
+        const confirmationMessage = `🎤 Escuché: "${transcription.text}"\n\nDéjame responderte...`;
+        await this.sendTextOnce(From, confirmationMessage, progress, 'confirmation');
+
+        // Paso 4: Obtener respuesta de IA del motor conversacional
+        const studentText = Body ? `${Body}\n\n${transcription.text}` : transcription.text;
+        const response = await this.detectIntentOnce(
+            studentText,
+            From,
+            transcription.language,
+            progress
+        );
+
+        // Paso 5: Enviar respuesta de texto (con correcciones y vocabulario nuevo si los hay)
+        const reply = await progress.step('compose', () => this.composeReply(
+            From,
+            studentText,
+            transcription.language,
+            response.text
+        ));
+        await this.sendTextOnce(From, reply, progress);
+
+        // Paso 6: Enviar la respuesta como nota de voz (sin la nota de corrección)
+        const replyAudio = await progress.step('voice-reply', () =>
+            this.sendVoiceReply(From, response.text, transcription.language, MessageSid)
+        );
+
+        await progress.step('transcript', () => transcriptHistory.record(From, {
+            messageSid: MessageSid,
+            type: 'voice',
+            userText: studentText,
+            language: transcription.language,
+            transcriptionConfidence: transcription.confidence,
+            intent: response.intent,
+            confidence: response.confidence,
+            reply,
+            media: [{ url: MediaUrl0 }],
+            replyAudio,
+        }));
+
+        logger.info('Mensaje de voz manejado exitosamente', {
+            from: From,
+            intent: response.intent,
+        });
+
+        // Paso 7: Limpiar archivos temporales
+        await audioProcessor.cleanupVoiceNote(MessageSid);
+    }
 
-            logger.info('Voz transcrita', {
-                text: transcription.text,
-                language: transcription.language,
-                confidence: transcription.confidence,
+    /**
+     * Decidir qué flujo atiende el mensaje del estudiante
+     * @param {string} from - Número del estudiante
+     * @param {string} text - Texto del mensaje (sin texto para las notas de voz)
+     * @returns {Promise<string>} 'command', 'read', 'quiz', 'lesson' o 'chat'
+     *
+     * Los ejercicios de lectura solo se responden con notas de voz
+     */
+    async resolveMode(from, text = null) {
+        if (text !== null && commandRouter.isCommand(text)) {
+            return 'command';
+        }
+        if (text === null && await pronunciation.getActiveExercise(from)) {
+            return 'read';
+        }
+        if (await vocabulary.getActiveQuiz(from)) {
+            return 'quiz';
+        }
+        if (await lessonEngine.getActiveLesson(from)) {
+            return 'lesson';
+        }
+        return 'chat';
+    }
+
+    /**
+     * Registrar el turno del estudiante una sola vez por mensaje
+     * @param {string} from - Número del estudiante
+     * @param {object} turn - Datos del turno { type, language }
+     * @param {MessageProgress} progress - Progreso del mensaje
+     */
+    async recordTurn(from, turn, progress) {
+        await progress.step('turn', async () => {
+            await userProfile.recordTurn(from, turn);
+        });
+    }
+
+    /**
+     * Enviar un texto una sola vez por mensaje
+     * @param {string} to - Número del destinatario
+     * @param {string} text - Texto a enviar
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * @param {string} step - Nombre del paso (por defecto, la respuesta principal)
+     * @returns {Promise<string|null>} SID del mensaje enviado
+     */
+    async sendTextOnce(to, text, progress, step = 'reply') {
+        return progress.step(step, async () => {
+            const response = await whatsappClient.sendTextMessage(to, text);
+            return response?.sid || null;
+        });
+    }
+
+    /**
+     * Transcribir una nota de voz una sola vez por mensaje
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * @param {function} transcribe - Función que transcribe la nota
+     * @returns {Promise<object>} { text, language, confidence }
+     */
+    async transcribeOnce(progress, transcribe) {
+        return progress.step('transcription', async () => {
+            const { text, language, confidence } = await transcribe();
+            return { text, language, confidence };
+        });
+    }
+
+    /**
+     * Consultar el motor conversacional una sola vez por mensaje
+     * @param {string} text - Texto del estudiante
+     * @param {string} from - Número del estudiante
+     * @param {string} languageCode - Idioma del mensaje
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * @returns {Promise<object>} { text, intent, confidence }
+     *
+     * Los motores guardan el historial de la conversación: repetir la consulta
+     * en un reintento duplicaría el turno del estudiante
+     */
+    async detectIntentOnce(text, from, languageCode, progress) {
+        return progress.step('intent', async () => {
+            const response = await getConversationEngine().detectIntent(text, from, languageCode);
+            return { text: response.text, intent: response.intent, confidence: response.confidence };
+        });
+    }
+
+    /**
+     * Verificar si el texto pide un ejercicio de pronunciación
+     * @param {string} text - Texto del mensaje
+     * @returns {boolean} true si es una solicitud de ejercicio
+     */
+    isPronunciationRequest(text) {
+        return /^\s*(practice pronunciation|practicar pronunciaci[oó]n|read aloud|leer en voz alta)\s*[.!]?\s*$/i.test(text);
+    }
+
+    /**
+     * Convertir los atajos en lenguaje natural a comandos
+     * @param {string} text - Texto del mensaje
+     * @returns {string} Comando equivalente, o el texto original si no es un atajo
+     * 
+     * Ejemplos: "practice pronunciation" → /read, "add word apple = manzana" → /add apple = manzana
+     */
+    toCommand(text) {
+        if (this.isPronunciationRequest(text)) {
+            return '/read';
+        }
+
+        const addWord = text.match(/^\s*(?:add word|agregar palabra|añadir palabra)\s+(.+)$/i);
+        if (addWord) {
+            return `/add ${addWord[1]}`;
+        }
+
+        if (/^\s*(quiz me|review words|repasar vocabulario)\s*[.!]?\s*$/i.test(text)) {
+            return '/quiz';
+        }
+
+        if (/^\s*(start lesson|next lesson|empezar lecci[oó]n|siguiente lecci[oó]n)\s*[.!]?\s*$/i.test(text)) {
+            return '/lesson';
+        }
+
+        return text;
+    }
+
+    /**
+     * Calificar la respuesta de un repaso de vocabulario
+     * @param {string} from - Número del estudiante
+     * @param {string} answer - Respuesta escrita o transcrita
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * 
+     * Envía la corrección y, en el mismo mensaje, la siguiente pregunta o el resumen
+     * La calificación se guarda como paso: un reintento solo reenvía la respuesta
+     * @returns {Promise<string|null>} Texto enviado
+     */
+    async handleQuizAnswer(from, answer, progress = new MessageProgress()) {
+        const reply = await progress.step('quiz-answer', async () => {
+            const result = await vocabulary.answerQuiz(from, answer);
+            if (!result) {
+                return null;
+            }
+
+            const parts = result.card ? [vocabulary.formatResult(result)] : [];
+            if (result.finished) {
+                parts.push(vocabulary.formatSummary(result.quiz));
+            } else {
+                const nextCard = await vocabulary.getCurrentCard(from, result.quiz);
+                parts.push(vocabulary.formatQuestion(nextCard, result.quiz));
+            }
+
+            return parts.join('\n\n');
+        });
+
+        if (reply) {
+            await this.sendTextOnce(from, reply, progress);
+        }
+        return reply;
+    }
+
+    /**
+     * Corregir la respuesta al paso actual de una lección guiada
+     * @param {string} from - Número del estudiante
+     * @param {string} answer - Respuesta escrita o transcrita
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * @param {boolean} spoken - true si la respuesta llegó como nota de voz
+     *
+     * Si el estudiante vuelve tras una pausa larga, primero se le recuerda
+     * en qué pregunta estaba en vez de corregir un mensaje que quizá no era la respuesta
+     * La corrección se guarda como paso: un reintento no vuelve a calificar la
+     * misma respuesta contra el paso siguiente, solo reenvía la respuesta
+     * @returns {Promise<string|null>} Texto enviado
+     */
+    async handleLessonAnswer(from, answer, progress = new MessageProgress(), spoken = false) {
+        const result = await progress.step('lesson-answer', async () => {
+            const lesson = await lessonEngine.getActiveLesson(from);
+            if (!lesson) {
+                return null;
+            }
+
+            if (lessonEngine.isReturning(lesson)) {
+                await lessonEngine.touch(from);
+                const reminder = lessonEngine.formatResume(lesson);
+                return { reply: reminder, message: reminder };
+            }
+
+            const graded = await lessonEngine.answer(from, answer);
+            if (!graded) {
+                return null;
+            }
+
+            const heard = spoken ? `🎤 "${answer}"\n\n` : '';
+            return { reply: graded.reply, message: `${heard}${graded.reply}` };
+        });
+
+        if (!result) {
+            return null;
+        }
+
+        await this.sendTextOnce(from, result.message, progress);
+        return result.reply;
+    }
+
+    /**
+     * Evaluar una nota de voz de un ejercicio de lectura en voz alta
+     * @param {string} from - Número del estudiante
+     * @param {Buffer} audioBuffer - Audio de la nota de voz
+     * @param {MessageProgress} progress - Progreso del mensaje
+     * 
+     * Transcribe con confianza por palabra, compara con la frase esperada
+     * y responde señalando las palabras débiles
+     * @returns {Promise<object>} { transcription, language, reply } para el historial
+     */
+    async handleReadAloudAttempt(from, audioBuffer, progress = new MessageProgress()) {
+        const attempt = await progress.step('read-assessment', async () => {
+            const exercise = await pronunciation.getActiveExercise(from);
+            const transcription = await speechToText.transcribe(audioBuffer, exercise.language, {
+                wordDetails: true,
             });
 
-            // Paso 3: Enviar confirmación de transcripción al usuario
-            const confirmationMessage = `🎤 Escuché: "${transcription.text}"\n\nDéjame responderte...`;
-            await whatsappClient.sendTextMessage(From, confirmationMessage);
+            const assessment = pronunciation.assess(exercise.sentence, transcription.words);
+            const canRetry = await pronunciation.recordAttempt(from, assessment);
 
-            // Paso 4: Obtener respuesta de IA de Dialogflow
-            const response = await dialogflow.detectIntent(
-                transcription.text,
-                From,
-                transcription.language
-            );
+            logger.info('Pronunciación evaluada', {
+                from,
+                score: assessment.score,
+                weakWords: assessment.words.filter(word => word.status !== 'good').length,
+            });
+
+            return {
+                transcription: { text: transcription.text, confidence: transcription.confidence },
+                language: exercise.language,
+                reply: pronunciation.formatFeedback(assessment, canRetry),
+            };
+        });
+
+        await this.recordTurn(from, { type: 'voice', language: attempt.language }, progress);
+        await this.sendTextOnce(from, attempt.reply, progress);
+        return attempt;
+    }
+
+    /**
+     * Completar la respuesta del tutor con las notas de aprendizaje
+     * @param {string} from - Número del estudiante
+     * @param {string} studentText - Mensaje (o transcripción) del estudiante
+     * @param {string} languageCode - Idioma del mensaje
+     * @param {string} replyText - Respuesta del motor conversacional
+     * @returns {Promise<string>} Respuesta con correcciones y palabras guardadas
+     */
+    async composeReply(from, studentText, languageCode, replyText) {
+        const reply = await this.appendCorrections(from, studentText, languageCode, replyText);
+
+        // Las preguntas sobre palabras ("what does X mean?") se guardan como vocabulario
+        const captured = await vocabulary.captureFromText(from, studentText);
+        if (captured.length === 0) {
+            return reply;
+        }
 
-            // Paso 5: Generar respuesta de voz (opcional)
-            // Nota: Para enviar audio real por WhatsApp, necesitas alojar el archivo públicamente
-            const voiceLanguage = this.mapLanguageCode(transcription.language);
-            const audioFilePath = await textToSpeech.synthesizeToFile(
-                response.text,
+        const words = captured.map(word => `"${word}"`).join(', ');
+        return `${reply}\n\n📚 Guardé ${words} en tu vocabulario / Saved to your vocabulary (/quiz)`;
+    }
+
+    /**
+     * Añadir a la respuesta las correcciones gramaticales del mensaje del estudiante
+     * @param {string} from - Número del estudiante
+     * @param {string} studentText - Mensaje (o transcripción) del estudiante
+     * @param {string} languageCode - Idioma del mensaje
+     * @param {string} replyText - Respuesta del tutor
+     * @returns {Promise<string>} Respuesta, seguida de la nota "💡 Corrección" si hay errores
+     * 
+     * Solo se revisan mensajes en inglés. El estudiante puede desactivarlo con /correct off
+     */
+    async appendCorrections(from, studentText, languageCode, replyText) {
+        if (!languageCode || !languageCode.startsWith('en')) {
+            return replyText;
+        }
+
+        const { corrections } = await userProfile.getProfile(from);
+        if (!(corrections ?? config.app.grammarCorrections)) {
+            return replyText;
+        }
+
+        const note = grammarChecker.formatNote(grammarChecker.check(studentText));
+        return note ? `${replyText}\n\n${note}` : replyText;
+    }
+
+    /**
+     * Enviar una respuesta como nota de voz
+     * @param {string} to - Número del destinatario
+     * @param {string} text - Texto de la respuesta
+     * @param {string} languageCode - Idioma de la conversación
+     * @param {string} messageSid - SID del mensaje original (para nombrar el archivo)
+     * 
+     * El audio se publica con una URL firmada y temporal para que Twilio lo descargue
+     * Es un complemento de la respuesta de texto: si falla, solo se registra
+     * @returns {Promise<string|null>} Nombre del archivo de audio enviado (para el historial)
+     */
+    async sendVoiceReply(to, text, languageCode, messageSid) {
+        if (!mediaServer.isEnabled()) {
+            logger.debug('Respuestas de voz deshabilitadas (requieren PUBLIC_URL)');
+            return null;
+        }
+
+        // La preferencia del estudiante (/voice on|off) tiene prioridad sobre la configuración
+        const { voiceReplies } = await userProfile.getProfile(to);
+        if (!(voiceReplies ?? config.media.voiceReplies)) {
+            return null;
+        }
+
+        let audioFilePath = null;
+        try {
+            const voiceLanguage = this.mapLanguageCode(languageCode);
+            audioFilePath = await textToSpeech.synthesizeToFile(
+                text,
                 voiceLanguage,
-                `response_${MessageSid}`
+                `response_${messageSid}`
             );
 
-            // Por ahora, enviar respuesta de texto
-            // En producción, podrías subir el audio a un servidor y enviar la URL
-            await whatsappClient.sendTextMessage(From, response.text);
-
-            logger.info('Mensaje de voz manejado exitosamente', {
-                from: From,
-                intent: response.intent,
+            await whatsappClient.sendAudioMessage(to, mediaServer.createSignedUrl(audioFilePath));
+            return path.basename(audioFilePath);
+        } catch (error) {
+            logger.warn('No se pudo enviar la respuesta de voz', {
+                error: error.message,
+                to,
             });
 
-            // Paso 6: Limpiar archivos temporales
-            await audioProcessor.cleanupTempFile(`${MessageSid}.ogg`);
-        } catch (error) {
-            throw error;
+            // Si Twilio no va a descargar el archivo, eliminarlo ya
+            if (audioFilePath) {
+                await mediaServer.deleteFile(path.basename(audioFilePath));
+            }
+            return null;
         }
     }
 
     /**
-     * Detectar idioma del texto (heurística simple)
+     * Detectar idioma del texto
      * @param {string} text - Texto de entrada
+     * @param {string} fallback - Idioma a usar si la detección no es fiable
      * @returns {string} Código de idioma ('en' o 'es')
      * 
-     * Busca palabras comunes en español para determinar el idioma
-     * Método mejorable: podría usar una biblioteca de detección de idioma
+     * Usa el identificador de idioma local (n-gramas de caracteres, sin red),
+     * que también reconoce mensajes que mezclan español e inglés
      */
-    detectLanguage(text) {
-        // Patrones comunes de palabras en español
-        const spanishPatterns = /\b(hola|gracias|por favor|buenos|días|cómo|está|qué|sí|no)\b/i;
+    detectLanguage(text, fallback = null) {
+        const result = languageIdentifier.identify(text, { fallback });
 
-        if (spanishPatterns.test(text)) {
-            return 'es';
-        }
+        logger.debug('Idioma detectado', {
+            language: result.language,
+            confidence: Number(result.confidence.toFixed(2)),
+            reliable: result.reliable,
+            mixed: result.mixed,
+        });
 
-        // Por defecto, asumir inglés
-        return 'en';
+        return result.language;
     }
 
     /**
@@ -221,7 +891,8 @@ class MessageHandler {
             "Soy tu tutor personal de inglés. Puedes:\n" +
             '✅ Enviarme mensajes de texto\n' +
             '✅ Enviarme notas de voz\n' +
-            '✅ Practicar conversación en inglés\n\n' +
+            '✅ Practicar conversación en inglés\n' +
+            '✅ Seguir lecciones guiadas (/lesson), empezando por una prueba de nivel\n\n' +
             "¡Comencemos a practicar! Di hola o cuéntame sobre tu día.";
 
         await whatsappClient.sendTextMessage(to, welcomeMessage);
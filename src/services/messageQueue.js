@@ -0,0 +1,399 @@
+// Importar dependencias
+const path = require('path');
+const { randomUUID } = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const JsonFileStore = require('../utils/jsonFileStore');
+const MessageProgress = require('../utils/messageProgress');
+const { isRetryable } = require('../utils/errorHandler');
+const messageHandler = require('./messageHandler');
+const errorMonitor = require('./errorMonitor');
+
+/**
+ * Cola Persistente de Mensajes
+ *
+ * Se sitúa entre el webhook y MessageHandler:
+ * - Cada mensaje entrante se guarda en disco antes de confirmar a Twilio,
+ *   así que un SIGTERM o un fallo no pierde los mensajes en curso
+ * - Un número limitado de workers procesa los trabajos (limita las llamadas
+ *   simultáneas a Speech-to-Text y Dialogflow)
+ * - Los mensajes de un mismo usuario se procesan estrictamente en orden
+ * - Los fallos transitorios se reintentan con espera exponencial y, agotados
+ *   los intentos, el trabajo pasa a la lista de mensajes fallidos (dead-letter)
+ */
+class MessageQueue {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se persiste la cola
+     * @param {object} options - Opciones de la cola (por defecto config.queue)
+     */
+    constructor(
+        filepath = path.join(config.storage.dataDir, 'message-queue.json'),
+        options = config.queue
+    ) {
+        // jobs: trabajos pendientes en orden de llegada
+        // deadLetters: trabajos que agotaron sus reintentos
+        this.file = new JsonFileStore(filepath, { jobs: [], deadLetters: [] });
+        this.options = options;
+
+        // Estado en memoria de los trabajos en ejecución
+        this.activeJobs = new Map();  // Clave: ID del trabajo, Valor: promesa del trabajo
+        this.pollTimer = null;
+        this.running = false;
+    }
+
+    /**
+     * Iniciar los workers
+     *
+     * Los trabajos que quedaron en el archivo tras un reinicio
+     * se vuelven a procesar automáticamente
+     */
+    async start() {
+        const { jobs } = await this.file.read();
+        this.running = true;
+
+        // Revisar periódicamente los trabajos cuyo tiempo de reintento ya llegó
+        this.pollTimer = setInterval(() => this.dispatch(), this.options.pollInterval);
+        this.pollTimer.unref();
+
+        logger.info('Cola de mensajes iniciada', {
+            pendingJobs: jobs.length,
+            concurrency: this.options.concurrency,
+        });
+
+        await this.dispatch();
+    }
+
+    /**
+     * Detener los workers esperando a que terminen los trabajos en curso
+     * @param {number} timeout - Tiempo máximo de espera en milisegundos
+     *
+     * Los trabajos no terminados siguen en el archivo y se reanudan al reiniciar
+     */
+    async stop(timeout = this.options.shutdownTimeout) {
+        this.running = false;
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+
+        if (this.activeJobs.size > 0) {
+            logger.info('Esperando trabajos en curso antes de apagar', {
+                activeJobs: this.activeJobs.size,
+            });
+
+            await Promise.race([
+                Promise.allSettled(this.activeJobs.values()),
+                new Promise(resolve => setTimeout(resolve, timeout).unref()),
+            ]);
+        }
+
+        logger.info('Cola de mensajes detenida', { activeJobs: this.activeJobs.size });
+    }
+
+    /**
+     * Añadir un mensaje entrante a la cola
+     * @param {object} message - Objeto del mensaje de Twilio
+     * @returns {Promise<object>} Trabajo creado
+     *
+     * Retorna solo cuando el trabajo ya está persistido en disco
+     */
+    async enqueue(message) {
+        const id = randomUUID();
+        const job = {
+            id,
+            userId: message.From,
+            messageSid: message.MessageSid,
+            // Mismo ID que las líneas de log del webhook, para seguir el mensaje de punta a punta
+            correlationId: requestContext.getCorrelationId() || message.MessageSid || id,
+            payload: message,
+            attempts: 0,
+            enqueuedAt: Date.now(),
+            availableAt: Date.now(),
+        };
+
+        await this.file.update(data => {
+            data.jobs.push(job);
+        });
+
+        logger.info('Mensaje encolado', {
+            jobId: job.id,
+            messageSid: job.messageSid,
+            from: job.userId,
+        });
+
+        // Lanzar el procesamiento sin esperar a que termine
+        this.dispatch();
+
+        return job;
+    }
+
+    /**
+     * Asignar trabajos listos a los workers libres
+     *
+     * Solo se inicia el trabajo más antiguo de cada usuario, y solo si no hay
+     * otro trabajo de ese usuario en ejecución o esperando reintento
+     */
+    async dispatch() {
+        if (!this.running) {
+            return;
+        }
+
+        const { jobs } = await this.file.read();
+        const now = Date.now();
+        const blockedUsers = new Set();
+
+        for (const job of jobs) {
+            if (this.activeJobs.size >= this.options.concurrency) {
+                break;
+            }
+
+            // Un trabajo anterior del mismo usuario bloquea a los siguientes
+            if (blockedUsers.has(job.userId)) {
+                continue;
+            }
+            blockedUsers.add(job.userId);
+
+            if (this.activeJobs.has(job.id) || job.availableAt > now) {
+                continue;
+            }
+
+            const execution = this.runJob(job)
+                .catch(error => this.handleUnexpectedError(job, error))
+                .finally(() => {
+                    this.activeJobs.delete(job.id);
+                    this.dispatch();
+                });
+            this.activeJobs.set(job.id, execution);
+        }
+    }
+
+    /**
+     * Ejecutar un trabajo y registrar su resultado
+     * @param {object} job - Trabajo a ejecutar
+     */
+    async runJob(job) {
+        // Los trabajos se ejecutan desde el temporizador de la cola: restaurar el
+        // contexto de correlación del mensaje (los trabajos antiguos no lo guardaban)
+        return requestContext.run(
+            { correlationId: job.correlationId || job.messageSid || job.id },
+            () => this.executeJob(job)
+        );
+    }
+
+    /**
+     * Procesar el mensaje de un trabajo (dentro de su contexto de correlación)
+     * @param {object} job - Trabajo a ejecutar
+     */
+    async executeJob(job) {
+        try {
+            // Contar el intento antes de ejecutarlo, por si el proceso cae a mitad
+            await this.file.update(() => {
+                job.attempts += 1;
+            });
+
+            // Los pasos completados en intentos anteriores se guardan con el trabajo
+            // y no se repiten (respuestas ya enviadas, lecciones ya corregidas...)
+            job.progress = job.progress || {};
+            const progress = new MessageProgress(job.progress, () => this.file.update(() => {}));
+
+            await messageHandler.processMessage(job.payload, progress);
+            await this.removeJob(job.id);
+            errorMonitor.recordSuccess();
+
+            logger.info('Trabajo de cola completado', {
+                jobId: job.id,
+                messageSid: job.messageSid,
+                attempts: job.attempts,
+            });
+        } catch (error) {
+            await errorMonitor.recordError(error, { userId: job.userId, messageSid: job.messageSid });
+            await this.handleFailure(job, error);
+        }
+    }
+
+    /**
+     * Registrar un fallo de la propia cola (disco, monitor de errores...)
+     * @param {object} job - Trabajo afectado
+     * @param {Error} error - Error producido
+     *
+     * El trabajo sigue en el archivo: se pospone un intervalo de reintento para
+     * que el siguiente dispatch no lo relance en bucle mientras dure el fallo
+     */
+    handleUnexpectedError(job, error) {
+        job.availableAt = Date.now() + this.options.retryBaseDelay;
+
+        logger.error('Error inesperado al ejecutar trabajo de cola', {
+            jobId: job.id,
+            messageSid: job.messageSid,
+            error: error.message,
+        });
+    }
+
+    /**
+     * Decidir si un trabajo fallido se reintenta o pasa a dead-letter
+     * @param {object} job - Trabajo fallido
+     * @param {Error} error - Error producido
+     *
+     * Los errores del usuario (4xx: audio inválido, formato incorrecto...) no se
+     * reintentan porque volverían a fallar; se notifican al usuario inmediatamente
+     */
+    async handleFailure(job, error) {
+        const retryable = isRetryable(error);
+
+        if (retryable && job.attempts < this.options.maxAttempts) {
+            const delay = this.options.retryBaseDelay * 2 ** (job.attempts - 1);
+
+            await this.file.update(() => {
+                job.availableAt = Date.now() + delay;
+                job.lastError = error.message;
+            });
+
+            logger.warn('Trabajo de cola falló, se reintentará', {
+                jobId: job.id,
+                messageSid: job.messageSid,
+                attempt: job.attempts,
+                retryInMs: delay,
+                error: error.message,
+            });
+            return;
+        }
+
+        if (retryable) {
+            await this.file.update(data => {
+                data.jobs = data.jobs.filter(queued => queued.id !== job.id);
+                data.deadLetters.push({
+                    ...job,
+                    lastError: error.message,
+                    failedAt: Date.now(),
+                });
+            });
+
+            logger.error('Trabajo de cola movido a dead-letter', {
+                jobId: job.id,
+                messageSid: job.messageSid,
+                attempts: job.attempts,
+                error: error.message,
+            });
+        } else {
+            await this.removeJob(job.id);
+
+            logger.warn('Trabajo de cola descartado por error no recuperable', {
+                jobId: job.id,
+                messageSid: job.messageSid,
+                error: error.message,
+            });
+        }
+
+        // Informar al usuario una sola vez, cuando ya no habrá más intentos
+        await messageHandler.sendErrorMessage(job.userId, error);
+    }
+
+    /**
+     * Eliminar un trabajo de la cola
+     * @param {string} jobId - ID del trabajo
+     */
+    async removeJob(jobId) {
+        await this.file.update(data => {
+            data.jobs = data.jobs.filter(job => job.id !== jobId);
+        });
+    }
+
+    /**
+     * Obtener la lista de mensajes fallidos
+     * @returns {Promise<Array<object>>} Trabajos en dead-letter
+     */
+    async getDeadLetters() {
+        const { deadLetters } = await this.file.read();
+        return deadLetters;
+    }
+
+    /**
+     * Eliminar los mensajes pendientes de un usuario (en espera o esperando reintento)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<number>} Mensajes eliminados
+     *
+     * Los trabajos en ejecución se conservan: uno de ellos puede ser el propio
+     * /forget que pidió el borrado, y se eliminan de la cola al terminar
+     */
+    async deleteUserPendingJobs(userId) {
+        return this.file.update(data => {
+            const before = data.jobs.length;
+            data.jobs = data.jobs.filter(job => job.userId !== userId || this.activeJobs.has(job.id));
+            return before - data.jobs.length;
+        });
+    }
+
+    /**
+     * Eliminar los mensajes fallidos de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<number>} Mensajes eliminados
+     */
+    async deleteUserDeadLetters(userId) {
+        return this.file.update(data => {
+            const before = data.deadLetters.length;
+            data.deadLetters = data.deadLetters.filter(entry => entry.userId !== userId);
+            return before - data.deadLetters.length;
+        });
+    }
+
+    /**
+     * Volver a encolar un mensaje fallido
+     * @param {string} jobId - ID del trabajo en dead-letter
+     * @returns {Promise<object|null>} Trabajo reencolado o null si no existe
+     */
+    async replayDeadLetter(jobId) {
+        const job = await this.file.update(data => {
+            const index = data.deadLetters.findIndex(entry => entry.id === jobId);
+            if (index === -1) {
+                return null;
+            }
+
+            const [entry] = data.deadLetters.splice(index, 1);
+            const replayed = {
+                ...entry,
+                attempts: 0,
+                availableAt: Date.now(),
+                replayedAt: Date.now(),
+            };
+            delete replayed.failedAt;
+            data.jobs.push(replayed);
+            return replayed;
+        });
+
+        if (job) {
+            logger.info('Mensaje fallido reencolado', { jobId, messageSid: job.messageSid });
+            this.dispatch();
+        }
+
+        return job;
+    }
+
+    /**
+     * Eliminar un mensaje fallido sin reprocesarlo
+     * @param {string} jobId - ID del trabajo en dead-letter
+     * @returns {Promise<boolean>} true si se eliminó
+     */
+    async discardDeadLetter(jobId) {
+        return this.file.update(data => {
+            const before = data.deadLetters.length;
+            data.deadLetters = data.deadLetters.filter(entry => entry.id !== jobId);
+            return data.deadLetters.length < before;
+        });
+    }
+
+    /**
+     * Obtener estadísticas de la cola
+     * @returns {Promise<object>} Trabajos pendientes, activos y fallidos
+     */
+    async getStats() {
+        const { jobs, deadLetters } = await this.file.read();
+        return {
+            pending: jobs.length,
+            active: this.activeJobs.size,
+            deadLetters: deadLetters.length,
+        };
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new MessageQueue();
@@ -0,0 +1,248 @@
+// Importar dependencias
+const logger = require('../utils/logger');
+
+/**
+ * Límites (en segundos) de los histogramas de latencia
+ * Cubren desde un envío rápido a Twilio hasta una nota de voz larga
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Prefijo de todas las métricas
+ */
+const PREFIX = 'whatstutor_';
+
+/**
+ * Métricas en Formato Prometheus
+ *
+ * Registro mínimo de métricas en memoria, sin dependencias, que se expone en
+ * GET /metrics con el formato de texto de Prometheus (versión 0.0.4):
+ * - Contadores: solo crecen (peticiones, mensajes, errores)
+ * - Histogramas: distribución de latencias por etapa del flujo
+ * - Indicadores (gauges): se calculan al pedir las métricas (sesiones, cola...)
+ *
+ * Uso típico para medir una etapa:
+ *
+ *   const end = metrics.startTimer('stt');
+ *   try { ...; end(); } catch (error) { end(error); throw error; }
+ *
+ * o, para una tarea suelta: await metrics.measure('transcode', () => tarea())
+ *
+ * Los valores viven en memoria: un reinicio los pone a cero (Prometheus lo
+ * detecta y lo tiene en cuenta en rate() e increase())
+ */
+class Metrics {
+    constructor() {
+        // Clave: nombre, Valor: { type, help, buckets, values: Map<labels serializadas, valor> }
+        this.metrics = new Map();
+        // Funciones que calculan indicadores al pedir las métricas
+        this.collectors = [];
+    }
+
+    /**
+     * Declarar una métrica
+     * @param {string} name - Nombre sin prefijo
+     * @param {string} type - 'counter', 'histogram' o 'gauge'
+     * @param {string} help - Descripción
+     * @param {Array<number>} buckets - Límites del histograma
+     */
+    define(name, type, help, buckets = DEFAULT_BUCKETS) {
+        this.metrics.set(name, { type, help, buckets, values: new Map() });
+    }
+
+    /**
+     * Incrementar un contador
+     * @param {string} name - Nombre del contador
+     * @param {object} labels - Etiquetas ({ type: 'voice' })
+     * @param {number} value - Incremento
+     */
+    increment(name, labels = {}, value = 1) {
+        const metric = this.getMetric(name, 'counter');
+        const key = this.serializeLabels(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+    }
+
+    /**
+     * Registrar una observación en un histograma
+     * @param {string} name - Nombre del histograma
+     * @param {object} labels - Etiquetas
+     * @param {number} value - Valor observado (segundos)
+     */
+    observe(name, labels, value) {
+        const metric = this.getMetric(name, 'histogram');
+        const key = this.serializeLabels(labels);
+        const entry = metric.values.get(key) || { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+        metric.values.set(key, entry);
+    }
+
+    /**
+     * Fijar el valor de un indicador
+     * @param {string} name - Nombre del indicador
+     * @param {object} labels - Etiquetas
+     * @param {number} value - Valor actual
+     */
+    set(name, labels, value) {
+        this.getMetric(name, 'gauge').values.set(this.serializeLabels(labels), value);
+    }
+
+    /**
+     * Empezar a medir la latencia de una etapa del flujo
+     * @param {string} stage - Etapa: download, transcode, stt, dialogflow, openai, tts, send
+     * @returns {Function} end(error) - Registra la duración (y el fallo si se pasa un error);
+     *                      solo cuenta la primera llamada
+     */
+    startTimer(stage) {
+        const start = process.hrtime.bigint();
+        let ended = false;
+
+        return (error = null) => {
+            if (ended) {
+                return 0;
+            }
+            ended = true;
+
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe('stage_duration_seconds', { stage }, seconds);
+            if (error) {
+                this.increment('stage_failures_total', { stage });
+            }
+            return seconds;
+        };
+    }
+
+    /**
+     * Medir la latencia de una tarea asíncrona
+     * @param {string} stage - Etapa del flujo
+     * @param {Function} task - async () => resultado
+     * @returns {Promise<*>} Resultado de la tarea (los errores se propagan)
+     */
+    async measure(stage, task) {
+        const end = this.startTimer(stage);
+        try {
+            const result = await task();
+            end();
+            return result;
+        } catch (error) {
+            end(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registrar una función que actualiza indicadores antes de exponer las métricas
+     * @param {Function} collector - async () => void (usa metrics.set)
+     */
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Generar el texto de todas las métricas en formato Prometheus
+     * @returns {Promise<string>} Texto para GET /metrics
+     *
+     * Un indicador que falla al calcularse se omite sin afectar al resto
+     */
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                logger.warn('No se pudo calcular un indicador de métricas', { error: error.message });
+            }
+        }
+
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            const fullName = `${PREFIX}${name}`;
+            lines.push(`# HELP ${fullName} ${metric.help}`, `# TYPE ${fullName} ${metric.type}`);
+
+            for (const [key, value] of metric.values) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${fullName}${this.formatLabels(key)} ${value}`);
+                    continue;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${fullName}_bucket${this.formatLabels(key, `le="${bound}"`)} ${value.counts[index]}`);
+                });
+                lines.push(`${fullName}_bucket${this.formatLabels(key, 'le="+Inf"')} ${value.count}`);
+                lines.push(`${fullName}_sum${this.formatLabels(key)} ${value.sum}`);
+                lines.push(`${fullName}_count${this.formatLabels(key)} ${value.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    // ========================================
+    // FUNCIONES INTERNAS
+    // ========================================
+
+    /**
+     * Obtener una métrica declarada
+     * @param {string} name - Nombre
+     * @param {string} type - Tipo esperado
+     * @returns {object} Métrica
+     * @throws {Error} Si no está declarada o es de otro tipo (error de programación)
+     */
+    getMetric(name, type) {
+        const metric = this.metrics.get(name);
+        if (!metric || metric.type !== type) {
+            throw new Error(`Métrica ${type} no declarada: ${name}`);
+        }
+        return metric;
+    }
+
+    /**
+     * Serializar etiquetas como clave estable
+     * @param {object} labels - Etiquetas
+     * @returns {string} 'clave="valor",...' ordenado por clave
+     */
+    serializeLabels(labels = {}) {
+        return Object.keys(labels)
+            .sort()
+            .map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+            .join(',');
+    }
+
+    /**
+     * Formatear las etiquetas de una línea
+     * @param {string} key - Etiquetas serializadas
+     * @param {string} extra - Etiqueta adicional (le="..." de los histogramas)
+     * @returns {string} '{...}' o vacío si no hay etiquetas
+     */
+    formatLabels(key, extra = '') {
+        const all = [key, extra].filter(Boolean).join(',');
+        return all ? `{${all}}` : '';
+    }
+}
+
+const metrics = new Metrics();
+
+// ========================================
+// MÉTRICAS DEL SERVICIO
+// ========================================
+
+metrics.define('webhook_requests_total', 'counter',
+    'Peticiones al webhook de WhatsApp por resultado (accepted, duplicate, blocked, rate_limited)');
+metrics.define('messages_total', 'counter', 'Mensajes procesados por tipo (text, media, admin), incluidos los reintentos');
+metrics.define('attachments_total', 'counter', 'Adjuntos recibidos por tipo (audio, image, document, unsupported)');
+metrics.define('message_duration_seconds', 'histogram', 'Tiempo total de procesamiento de un mensaje por tipo');
+metrics.define('stage_duration_seconds', 'histogram',
+    'Latencia por etapa del flujo (download, transcode, stt, dialogflow, openai, tts, send)');
+metrics.define('stage_failures_total', 'counter', 'Fallos por etapa del flujo');
+metrics.define('errors_total', 'counter', 'Errores de procesamiento de mensajes por clase (AppError y subclases)');
+metrics.define('active_sessions', 'gauge', 'Sesiones activas del motor conversacional');
+metrics.define('queue_jobs', 'gauge', 'Trabajos en la cola de mensajes por estado (pending, active, dead_letter)');
+metrics.define('uptime_seconds', 'gauge', 'Tiempo que lleva el proceso en ejecución');
+
+// Exportar una instancia única (singleton)
+module.exports = metrics;
@@ -0,0 +1,145 @@
+// Importar dependencias
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+const { ConversationEngineError } = require('../utils/errorHandler');
+const { ConversationEngine } = require('./conversationEngine');
+
+/**
+ * Nombres de idioma para las instrucciones del modelo
+ */
+const LANGUAGE_NAMES = {
+    en: 'English',
+    es: 'Spanish',
+};
+
+/**
+ * Motor Conversacional de Chat Compatible con OpenAI
+ *
+ * Usa el endpoint /chat/completions de cualquier API compatible con OpenAI
+ * (OpenAI, o un servidor local como Ollama, llama.cpp o vLLM configurando
+ * OPENAI_BASE_URL). El historial reciente de cada estudiante se guarda en su
+ * registro de sesión para dar contexto al modelo
+ */
+class OpenAIChatEngine extends ConversationEngine {
+    /**
+     * Constructor
+     * @param {object} options - Configuración de la API (config.conversation.openai)
+     */
+    constructor(options = config.conversation.openai) {
+        super('openai');
+        this.options = options;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (options.apiKey) {
+            headers.Authorization = `Bearer ${options.apiKey}`;
+        }
+
+        this.http = axios.create({
+            baseURL: options.baseUrl.replace(/\/+$/, ''),
+            timeout: options.timeout,
+            headers,
+        });
+    }
+
+    /**
+     * Verificar que la API responde y acepta la clave (para /ready)
+     * Lista los modelos, una petición sin coste de tokens
+     */
+    async ping() {
+        await this.http.get('/models');
+    }
+
+    /**
+     * Construir los mensajes de la consulta
+     * @param {Array<object>} history - Turnos anteriores { role, content }
+     * @param {string} text - Mensaje actual del estudiante
+     * @param {string} languageCode - Idioma del mensaje
+     * @returns {Array<object>} Mensajes para la API
+     */
+    buildMessages(history, text, languageCode) {
+        const language = LANGUAGE_NAMES[languageCode.split('-')[0]] || languageCode;
+
+        return [
+            {
+                role: 'system',
+                content: `${this.options.systemPrompt}\nThe student's current message is in ${language}.`,
+            },
+            ...history,
+            { role: 'user', content: text },
+        ];
+    }
+
+    /**
+     * Enviar el mensaje al modelo de chat
+     * @param {string} text - Texto de entrada del usuario
+     * @param {string} userId - Identificador del usuario
+     * @param {string} languageCode - Código de idioma ('en' o 'es')
+     * @returns {Promise<object>} { text, intent, confidence, parameters }
+     */
+    async detectIntent(text, userId, languageCode = 'en') {
+        try {
+            const session = await this.getSession(userId);
+            const history = session.history || [];
+
+            logger.info('Enviando consulta al modelo de chat', {
+                text,
+                userId,
+                sessionId: session.sessionId,
+                languageCode,
+                model: this.options.model,
+            });
+
+            const { data } = await metrics.measure('openai', () => this.http.post('/chat/completions', {
+                model: this.options.model,
+                messages: this.buildMessages(history, text, languageCode),
+                temperature: this.options.temperature,
+                max_tokens: this.options.maxTokens,
+            }));
+
+            const choice = data.choices?.[0];
+            const reply = choice?.message?.content?.trim();
+            if (!reply) {
+                throw new Error('Respuesta vacía del modelo');
+            }
+
+            // Guardar el turno y recortar el historial a los últimos N turnos
+            session.history = [
+                ...history,
+                { role: 'user', content: text },
+                { role: 'assistant', content: reply },
+            ].slice(-this.options.historyTurns * 2);
+            await this.saveSession(userId, session);
+
+            logger.info('Respuesta del modelo de chat recibida', {
+                model: data.model || this.options.model,
+                finishReason: choice.finish_reason,
+                totalTokens: data.usage?.total_tokens,
+            });
+
+            // Un modelo de chat no clasifica intenciones: se informa una intención genérica
+            return {
+                text: reply,
+                intent: 'chat.completion',
+                confidence: 1,
+                parameters: {
+                    model: data.model || this.options.model,
+                    finishReason: choice.finish_reason,
+                },
+            };
+        } catch (error) {
+            const detail = error.response?.data?.error?.message || error.message;
+
+            logger.error('Consulta al modelo de chat falló', {
+                error: detail,
+                status: error.response?.status,
+                userId,
+            });
+            throw new ConversationEngineError(`Error al procesar con IA: ${detail}`);
+        }
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new OpenAIChatEngine();
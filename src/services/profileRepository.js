@@ -0,0 +1,147 @@
+// Importar dependencias
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * REPOSITORIOS DE PERFILES DE ESTUDIANTES
+ *
+ * Persisten los perfiles de aprendizaje, indexados por el número de WhatsApp (From)
+ *
+ * Todas las implementaciones exponen la misma interfaz asíncrona:
+ * - get(userId)       → perfil o null
+ * - save(profile)     → guarda o reemplaza el perfil (profile.userId es la clave)
+ * - delete(userId)    → elimina el perfil, retorna true si existía
+ * - list()            → todos los perfiles
+ * - close()           → libera recursos
+ */
+
+// ========================================
+// REPOSITORIO EN ARCHIVO JSON
+// ========================================
+
+/**
+ * Repositorio en archivo JSON
+ * Sin dependencias externas; adecuado para una sola instancia y pocos miles de usuarios
+ */
+class JsonProfileRepository {
+    /**
+     * @param {string} filepath - Ruta del archivo de perfiles
+     */
+    constructor(filepath) {
+        this.file = new JsonFileStore(filepath);
+    }
+
+    async get(userId) {
+        const profiles = await this.file.read();
+        return profiles[userId] || null;
+    }
+
+    async save(profile) {
+        await this.file.update(profiles => {
+            profiles[profile.userId] = profile;
+        });
+    }
+
+    async delete(userId) {
+        return this.file.update(profiles => {
+            const existed = Boolean(profiles[userId]);
+            delete profiles[userId];
+            return existed;
+        });
+    }
+
+    async list() {
+        const profiles = await this.file.read();
+        return Object.values(profiles);
+    }
+
+    async close() {}
+}
+
+// ========================================
+// REPOSITORIO SQLITE
+// ========================================
+
+/**
+ * Repositorio SQLite (better-sqlite3)
+ * Cada perfil se guarda como documento JSON en una fila, indexado por usuario
+ */
+class SqliteProfileRepository {
+    /**
+     * @param {string} filepath - Ruta de la base de datos SQLite
+     */
+    constructor(filepath) {
+        // Se carga solo cuando se usa, para no exigir el módulo nativo en instalaciones simples
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        this.db = new Database(filepath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS profiles (
+                user_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM profiles WHERE user_id = ?'),
+            save: this.db.prepare(`
+                INSERT INTO profiles (user_id, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM profiles WHERE user_id = ?'),
+            list: this.db.prepare('SELECT data FROM profiles'),
+        };
+    }
+
+    async get(userId) {
+        const row = this.statements.get.get(userId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async save(profile) {
+        this.statements.save.run(profile.userId, JSON.stringify(profile), Date.now());
+    }
+
+    async delete(userId) {
+        return this.statements.delete.run(userId).changes > 0;
+    }
+
+    async list() {
+        return this.statements.list.all().map(row => JSON.parse(row.data));
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+// ========================================
+// FÁBRICA
+// ========================================
+
+/**
+ * Crear el repositorio de perfiles según la configuración
+ * @param {string} type - Tipo de repositorio ('file' o 'sqlite')
+ * @returns {object} Instancia del repositorio
+ */
+const createProfileRepository = (type = config.storage.profileStore) => {
+    switch (type) {
+        case 'file':
+            return new JsonProfileRepository(path.join(config.storage.dataDir, 'profiles.json'));
+        case 'sqlite':
+            return new SqliteProfileRepository(path.join(config.storage.dataDir, 'whatstutor.db'));
+        default:
+            throw new Error(`Tipo de repositorio de perfiles desconocido: ${type}`);
+    }
+};
+
+module.exports = {
+    JsonProfileRepository,
+    SqliteProfileRepository,
+    createProfileRepository,
+};
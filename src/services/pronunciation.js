@@ -0,0 +1,291 @@
+// Importar dependencias
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Frases de práctica para ejercicios de lectura en voz alta
+ * Incluyen sonidos difíciles para hispanohablantes (th, v/b, sh/ch, vocales cortas)
+ */
+const PRACTICE_SENTENCES = [
+    'I think this is the third Thursday of the month.',
+    'She sells seashells by the seashore.',
+    'The weather is very nice this evening.',
+    'I would like a cup of coffee, please.',
+    'My brother lives in a big village near the river.',
+    'Can you show me the way to the beach?',
+    'We usually watch a movie on Saturday night.',
+    'I have been learning English for three years.',
+];
+
+/**
+ * Servicio de Evaluación de Pronunciación
+ *
+ * Gestiona los ejercicios de lectura en voz alta: el estudiante recibe una frase,
+ * la lee en una nota de voz y se compara lo reconocido (con la confianza de cada
+ * palabra) contra la frase esperada para señalar las palabras débiles
+ */
+class PronunciationService {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guardan los ejercicios activos
+     */
+    constructor(filepath = path.join(config.storage.dataDir, 'read-aloud.json')) {
+        // Clave: número de WhatsApp, Valor: { sentence, language, attempts, startedAt }
+        this.exercises = new JsonFileStore(filepath);
+    }
+
+    /**
+     * Elegir una frase de práctica al azar
+     * @returns {string} Frase de práctica
+     */
+    getRandomSentence() {
+        return PRACTICE_SENTENCES[Math.floor(Math.random() * PRACTICE_SENTENCES.length)];
+    }
+
+    /**
+     * Iniciar un ejercicio de lectura en voz alta
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} sentence - Frase que el estudiante debe leer
+     * @param {string} language - Idioma de la frase (para el reconocimiento)
+     * @returns {Promise<object>} Ejercicio creado
+     */
+    async startExercise(userId, sentence = this.getRandomSentence(), language = 'en-US') {
+        const exercise = { sentence, language, attempts: 0, startedAt: Date.now() };
+
+        await this.exercises.update(exercises => {
+            exercises[userId] = exercise;
+        });
+
+        logger.info('Ejercicio de pronunciación iniciado', { userId, sentence });
+        return exercise;
+    }
+
+    /**
+     * Obtener el ejercicio activo de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object|null>} Ejercicio activo o null
+     *
+     * Un ejercicio abandonado caduca para que no capture notas de voz posteriores
+     */
+    async getActiveExercise(userId) {
+        const exercises = await this.exercises.read();
+        const exercise = exercises[userId];
+
+        if (exercise && Date.now() - exercise.startedAt > config.speech.pronunciationExerciseTtl) {
+            await this.endExercise(userId);
+            return null;
+        }
+
+        return exercise || null;
+    }
+
+    /**
+     * Registrar un intento de lectura
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} assessment - Resultado de assess()
+     * @returns {Promise<boolean>} true si el ejercicio sigue activo (se permite otro intento)
+     *
+     * El ejercicio termina cuando todas las palabras salen bien
+     * o cuando se agotan los intentos
+     */
+    async recordAttempt(userId, assessment) {
+        const perfect = assessment.words.every(word => word.status === 'good');
+
+        return this.exercises.update(exercises => {
+            const exercise = exercises[userId];
+            if (!exercise) {
+                return false;
+            }
+
+            exercise.attempts += 1;
+            if (perfect || exercise.attempts >= config.speech.pronunciationMaxAttempts) {
+                delete exercises[userId];
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Terminar el ejercicio activo de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     */
+    async endExercise(userId) {
+        await this.deleteUser(userId);
+    }
+
+    /**
+     * Eliminar los datos de pronunciación de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si tenía un ejercicio guardado
+     */
+    async deleteUser(userId) {
+        return this.exercises.update(exercises => {
+            const existed = Boolean(exercises[userId]);
+            delete exercises[userId];
+            return existed;
+        });
+    }
+
+    /**
+     * Construir el mensaje que presenta la frase a leer
+     * @param {string} sentence - Frase del ejercicio
+     * @returns {string} Instrucciones bilingües con la frase
+     */
+    formatPrompt(sentence) {
+        return '🗣️ Lee esta frase en voz alta y envíala como nota de voz:\n' +
+            '🗣️ Read this sentence aloud and send it as a voice note:\n\n' +
+            `"${sentence}"`;
+    }
+
+    /**
+     * Normalizar una palabra para compararla
+     * @param {string} word - Palabra
+     * @returns {string} Palabra en minúsculas sin puntuación
+     */
+    normalizeWord(word) {
+        return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    }
+
+    /**
+     * Alinear las palabras esperadas con las reconocidas (distancia de edición)
+     * @param {Array<string>} expected - Palabras esperadas (normalizadas)
+     * @param {Array<string>} heard - Palabras reconocidas (normalizadas)
+     * @returns {Array<object>} Pares { expectedIndex, heardIndex } (índice null si falta)
+     */
+    align(expected, heard) {
+        const rows = expected.length + 1;
+        const cols = heard.length + 1;
+        const cost = Array.from({ length: rows }, (_, i) =>
+            Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+        );
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const substitution = expected[i - 1] === heard[j - 1] ? 0 : 1;
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + substitution,  // Coincidencia o sustitución
+                    cost[i - 1][j] + 1,                 // Palabra esperada omitida
+                    cost[i][j - 1] + 1                  // Palabra extra
+                );
+            }
+        }
+
+        // Recorrer la matriz hacia atrás para recuperar los pares
+        const pairs = [];
+        let i = expected.length;
+        let j = heard.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 &&
+                cost[i][j] === cost[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1)) {
+                pairs.unshift({ expectedIndex: i - 1, heardIndex: j - 1 });
+                i--;
+                j--;
+            } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+                pairs.unshift({ expectedIndex: i - 1, heardIndex: null });
+                i--;
+            } else {
+                // Las palabras extra no afectan a la evaluación
+                j--;
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Evaluar la lectura del estudiante
+     * @param {string} sentence - Frase esperada
+     * @param {Array<object>} words - Palabras reconocidas con confianza (de speechToText)
+     * @returns {object} Puntuación (0-100) y evaluación por palabra
+     *
+     * Estado de cada palabra esperada:
+     * - good: reconocida con confianza suficiente
+     * - weak: reconocida pero con confianza baja
+     * - mispronounced: se reconoció otra palabra en su lugar
+     * - missing: no se reconoció
+     */
+    assess(sentence, words) {
+        const threshold = config.speech.pronunciationThreshold;
+        const expectedWords = sentence.split(/\s+/).filter(word => this.normalizeWord(word));
+        const heardWords = words.filter(info => this.normalizeWord(info.word));
+
+        const pairs = this.align(
+            expectedWords.map(word => this.normalizeWord(word)),
+            heardWords.map(info => this.normalizeWord(info.word))
+        );
+
+        const results = pairs.map(({ expectedIndex, heardIndex }) => {
+            const word = expectedWords[expectedIndex].replace(/[^\p{L}\p{N}']/gu, '');
+
+            if (heardIndex === null) {
+                return { word, status: 'missing', confidence: 0 };
+            }
+
+            const heard = heardWords[heardIndex];
+            if (this.normalizeWord(heard.word) !== this.normalizeWord(word)) {
+                return { word, status: 'mispronounced', heard: heard.word, confidence: 0 };
+            }
+
+            return {
+                word,
+                status: heard.confidence >= threshold ? 'good' : 'weak',
+                confidence: heard.confidence,
+                startTime: heard.startTime,
+                endTime: heard.endTime,
+            };
+        });
+
+        const total = results.reduce((sum, result) => sum + result.confidence, 0);
+        const score = results.length > 0 ? Math.round((total / results.length) * 100) : 0;
+
+        return { sentence, score, words: results };
+    }
+
+    /**
+     * Construir el mensaje de retroalimentación para WhatsApp
+     * @param {object} assessment - Resultado de assess()
+     * @param {boolean} canRetry - Si el estudiante puede intentarlo otra vez
+     * @returns {string} Mensaje con las palabras a practicar resaltadas
+     */
+    formatFeedback(assessment, canRetry = false) {
+        const { score, words } = assessment;
+        const weak = words.filter(word => word.status === 'weak');
+        const mispronounced = words.filter(word => word.status === 'mispronounced');
+        const missing = words.filter(word => word.status === 'missing');
+
+        // Frase con las palabras problemáticas en negrita
+        const highlighted = words
+            .map(word => (word.status === 'good' ? word.word : `*${word.word}*`))
+            .join(' ');
+
+        let message = `🗣️ Pronunciación / Pronunciation: ${score}/100\n\n${highlighted}\n`;
+
+        if (weak.length === 0 && mispronounced.length === 0 && missing.length === 0) {
+            return `${message}\n🌟 ¡Excelente! Todas las palabras se entendieron claramente.`;
+        }
+
+        if (weak.length > 0) {
+            message += `\n⚠️ Practica / Practice: ${weak
+                .map(word => `${word.word} (${Math.round(word.confidence * 100)}%)`)
+                .join(', ')}`;
+        }
+        if (mispronounced.length > 0) {
+            message += `\n❌ Sonó como / Sounded like: ${mispronounced
+                .map(word => `${word.word} → "${word.heard}"`)
+                .join(', ')}`;
+        }
+        if (missing.length > 0) {
+            message += `\n🔇 No se escuchó / Not heard: ${missing.map(word => word.word).join(', ')}`;
+        }
+
+        return canRetry
+            ? `${message}\n\n🔁 Envía otra nota de voz para intentarlo de nuevo.`
+            : `${message}\n\n👍 ¡Buen trabajo! Escribe /read para otra frase.`;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new PronunciationService();
@@ -0,0 +1,215 @@
+// Importar dependencias
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Limitador de Uso por Remitente y Global
+ *
+ * Cada mensaje cuesta llamadas a Speech-to-Text, al motor conversacional y a
+ * Text-to-Speech, así que se limita:
+ * - Mensajes por minuto de cada remitente y del total del servicio (en el webhook)
+ * - Segundos de audio por día de cada remitente y del total (antes de transcribir)
+ *
+ * Cuando se supera un límite el remitente recibe un aviso bilingüe, como máximo
+ * una vez por ventana, y el resto de mensajes se descartan en silencio
+ *
+ * Los contadores por minuto viven en memoria; el consumo diario de audio se
+ * guarda en disco para que un reinicio no lo ponga a cero
+ */
+class RateLimiter {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guarda el consumo diario de audio
+     */
+    constructor(filepath = path.join(config.storage.dataDir, 'audio-usage.json')) {
+        // Clave: número de WhatsApp, Valor: marcas de tiempo de sus mensajes recientes
+        this.senders = new Map();
+        // Marcas de tiempo de los mensajes aceptados (límite global)
+        this.accepted = [];
+        // Clave: número de WhatsApp, Valor: momento del último aviso de "más despacio"
+        this.notified = new Map();
+        // { date, total, users: { número: { seconds, notified } } } (fecha UTC)
+        this.audioUsage = new JsonFileStore(filepath, { date: null, total: 0, users: {} });
+        // Mensajes rechazados desde el arranque, por motivo
+        this.rejected = { user: 0, global: 0, audio: 0 };
+        // Última limpieza de remitentes inactivos
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Comprobar si se acepta un mensaje entrante y registrarlo
+     * @param {string} userId - Número de WhatsApp del remitente
+     * @param {number} now - Marca de tiempo actual
+     * @returns {object} { allowed, reason, notify }
+     *
+     * notify es true solo en el primer rechazo de la ventana, para avisar al
+     * remitente una sola vez
+     */
+    checkMessage(userId, now = Date.now()) {
+        const { rateLimitWindow, maxMessagesPerMinute, maxGlobalMessagesPerMinute } = config.app;
+        const since = now - rateLimitWindow;
+
+        if (now - this.lastPrune > rateLimitWindow) {
+            this.prune(now);
+        }
+
+        // Se cuentan también los mensajes rechazados: quien sigue insistiendo sigue limitado
+        const recent = (this.senders.get(userId) || []).filter(at => at >= since);
+        recent.push(now);
+        this.senders.set(userId, recent);
+        this.accepted = this.accepted.filter(at => at >= since);
+
+        let reason = null;
+        if (maxMessagesPerMinute > 0 && recent.length > maxMessagesPerMinute) {
+            reason = 'user';
+        } else if (maxGlobalMessagesPerMinute > 0 && this.accepted.length >= maxGlobalMessagesPerMinute) {
+            reason = 'global';
+        }
+
+        if (!reason) {
+            this.accepted.push(now);
+            return { allowed: true, reason: null, notify: false };
+        }
+
+        this.rejected[reason]++;
+        const notify = (this.notified.get(userId) || 0) < since;
+        if (notify) {
+            this.notified.set(userId, now);
+        }
+
+        logger.warn('Mensaje rechazado por límite de uso', { userId, reason, notify });
+        return { allowed: false, reason, notify };
+    }
+
+    /**
+     * Reservar segundos de audio del cupo diario
+     * @param {string} userId - Número de WhatsApp del remitente
+     * @param {number} seconds - Duración de la nota de voz
+     * @param {Date} now - Fecha actual
+     * @returns {Promise<object>} { allowed, reason, notify }
+     *
+     * Si la nota cabe en el cupo se descuenta; si no, no se descuenta nada y
+     * notify indica si es el primer rechazo del día para ese remitente
+     */
+    async consumeAudio(userId, seconds, now = new Date()) {
+        const { maxAudioSecondsPerDay, maxGlobalAudioSecondsPerDay } = config.app;
+        const today = now.toISOString().slice(0, 10);
+
+        const result = await this.audioUsage.update(usage => {
+            // Al cambiar de día se empieza de cero
+            if (usage.date !== today) {
+                usage.date = today;
+                usage.total = 0;
+                usage.users = {};
+            }
+
+            const user = usage.users[userId] || { seconds: 0, notified: false };
+            usage.users[userId] = user;
+
+            let reason = null;
+            if (maxAudioSecondsPerDay > 0 && user.seconds + seconds > maxAudioSecondsPerDay) {
+                reason = 'user';
+            } else if (maxGlobalAudioSecondsPerDay > 0 && usage.total + seconds > maxGlobalAudioSecondsPerDay) {
+                reason = 'global';
+            }
+
+            if (!reason) {
+                user.seconds += seconds;
+                usage.total += seconds;
+                return { allowed: true, reason: null, notify: false };
+            }
+
+            const notify = !user.notified;
+            user.notified = true;
+            return { allowed: false, reason, notify };
+        });
+
+        if (!result.allowed) {
+            this.rejected.audio++;
+            logger.warn('Nota de voz rechazada por cupo diario de audio', { userId, seconds, ...result });
+        }
+        return result;
+    }
+
+    /**
+     * Texto del aviso que recibe el remitente al superar un límite
+     * @param {string} limit - 'messages' (por minuto) o 'audio' (por día)
+     * @returns {string} Aviso bilingüe
+     */
+    formatNotice(limit) {
+        if (limit === 'audio') {
+            return '🎙️ Has alcanzado el límite diario de notas de voz. Puedes seguir practicando por texto y mañana volvemos con audio.\n' +
+                "🎙️ You've reached today's voice note limit. You can keep practicing by text, and voice will be back tomorrow.";
+        }
+
+        return '🐢 ¡Más despacio! Estás enviando muchos mensajes. Espera un minuto y seguimos.\n' +
+            "🐢 Slow down! You're sending a lot of messages. Wait a minute and we'll continue.";
+    }
+
+    /**
+     * Descartar los contadores de remitentes inactivos
+     * @param {number} now - Marca de tiempo actual
+     */
+    prune(now = Date.now()) {
+        const since = now - config.app.rateLimitWindow;
+        this.lastPrune = now;
+
+        for (const [userId, timestamps] of this.senders) {
+            if (timestamps[timestamps.length - 1] < since) {
+                this.senders.delete(userId);
+            }
+        }
+        for (const [userId, at] of this.notified) {
+            if (at < since) {
+                this.notified.delete(userId);
+            }
+        }
+    }
+
+    /**
+     * Olvidar los contadores de un usuario (mensajes recientes y audio de hoy)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si tenía consumo de audio guardado
+     *
+     * El total global del día se mantiene: no identifica a nadie
+     */
+    async deleteUser(userId) {
+        this.senders.delete(userId);
+        this.notified.delete(userId);
+
+        return this.audioUsage.update(usage => {
+            const existed = Boolean(usage.users[userId]);
+            delete usage.users[userId];
+            return existed;
+        });
+    }
+
+    /**
+     * Obtener los contadores para monitoreo
+     * @returns {Promise<object>} Uso actual, límites y rechazos desde el arranque
+     */
+    async getStats() {
+        this.prune();
+        const since = Date.now() - config.app.rateLimitWindow;
+        const usage = await this.audioUsage.read();
+        const today = new Date().toISOString().slice(0, 10);
+
+        return {
+            messagesLastMinute: this.accepted.filter(at => at >= since).length,
+            activeSenders: this.senders.size,
+            audioSecondsToday: usage.date === today ? Math.round(usage.total) : 0,
+            rejected: { ...this.rejected },
+            limits: {
+                maxMessagesPerMinute: config.app.maxMessagesPerMinute,
+                maxGlobalMessagesPerMinute: config.app.maxGlobalMessagesPerMinute,
+                maxAudioSecondsPerDay: config.app.maxAudioSecondsPerDay,
+                maxGlobalAudioSecondsPerDay: config.app.maxGlobalAudioSecondsPerDay,
+            },
+        };
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new RateLimiter();
@@ -0,0 +1,172 @@
+// Importar dependencias
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const whatsappClient = require('./whatsappClient');
+const speechToText = require('./speechToText');
+const textToSpeech = require('./textToSpeech');
+const { getConversationEngine } = require('./conversationEngine');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Verificación de Disponibilidad (/ready)
+ *
+ * A diferencia de /health (el proceso está vivo), /ready indica si el
+ * servicio puede atender mensajes de verdad. Comprueba cada componente:
+ *
+ * | Componente   | Comprobación                                   | Crítico |
+ * |--------------|------------------------------------------------|---------|
+ * | config       | Variables de entorno requeridas                | Sí      |
+ * | temp         | temp/ existe y se puede escribir               | Sí      |
+ * | data         | Directorio de datos (cola, perfiles) escribible| Sí      |
+ * | logs         | logs/ existe y se puede escribir               | No      |
+ * | sessions     | Almacén de sesiones (memoria, archivo o Redis) | Sí      |
+ * | twilio       | Consulta de la cuenta con las credenciales     | Sí      |
+ * | speechToText | Token de acceso de Google                      | Sí      |
+ * | textToSpeech | Token de acceso de Google                      | No      |
+ * | conversation | Motor conversacional (Dialogflow, OpenAI...)   | Sí      |
+ *
+ * Si falla un componente crítico, /ready responde 503. Cada comprobación
+ * tiene un tiempo máximo y el resultado se reutiliza durante
+ * config.readiness.cacheTtl para no consultar las APIs en cada sondeo
+ */
+class ReadinessChecker {
+    constructor() {
+        // Último resultado { ready, checkedAt, components }
+        this.lastResult = null;
+        // Comprobación en curso (las peticiones simultáneas la comparten)
+        this.running = null;
+    }
+
+    /**
+     * Listar los componentes a comprobar
+     * @returns {Array<object>} { name, critical, probe }
+     */
+    getComponents() {
+        const engine = getConversationEngine();
+
+        return [
+            { name: 'config', critical: true, probe: () => this.checkConfig() },
+            { name: 'temp', critical: true, probe: () => this.checkWritable(path.join(__dirname, '../../temp')) },
+            // El directorio de datos lo crean los almacenes al escribir por primera vez
+            { name: 'data', critical: true, probe: () => this.checkWritable(config.storage.dataDir, { create: true }) },
+            // Winston escribe en logs/ relativo al directorio de trabajo
+            { name: 'logs', critical: false, probe: () => this.checkWritable(path.resolve('logs')) },
+            { name: 'sessions', critical: true, probe: () => engine.sessions.count() },
+            { name: 'twilio', critical: true, probe: () => whatsappClient.ping() },
+            { name: 'speechToText', critical: true, probe: () => speechToText.ping() },
+            // Las respuestas de voz son un complemento: sin TTS el tutor sigue respondiendo por texto
+            { name: 'textToSpeech', critical: false, probe: () => textToSpeech.ping() },
+            { name: 'conversation', critical: true, probe: () => engine.ping(), detail: engine.name },
+        ];
+    }
+
+    /**
+     * Obtener el estado de disponibilidad
+     * @param {object} options - { force } para ignorar el resultado guardado
+     * @returns {Promise<object>} { ready, checkedAt, cached, components: { nombre: { status, critical, latencyMs, error } } }
+     */
+    async check({ force = false } = {}) {
+        if (!force && this.lastResult && Date.now() - this.lastResult.checkedAt < config.readiness.cacheTtl) {
+            return { ...this.lastResult, cached: true };
+        }
+
+        if (!this.running) {
+            this.running = this.runChecks().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return { ...(await this.running), cached: false };
+    }
+
+    /**
+     * Comprobar todos los componentes en paralelo
+     * @returns {Promise<object>} Resultado (se guarda para las siguientes consultas)
+     */
+    async runChecks() {
+        const components = this.getComponents();
+        const results = await Promise.all(components.map(component => this.runProbe(component)));
+
+        const byName = {};
+        components.forEach((component, index) => {
+            byName[component.name] = results[index];
+        });
+
+        const ready = results.every(result => result.status === 'up' || !result.critical);
+        if (!ready) {
+            const down = components.filter((component, index) => results[index].status === 'down').map(c => c.name);
+            logger.warn('Servicio no disponible: componentes críticos caídos', { down });
+        }
+
+        this.lastResult = { ready, checkedAt: Date.now(), components: byName };
+        return this.lastResult;
+    }
+
+    /**
+     * Ejecutar una comprobación con tiempo máximo
+     * @param {object} component - { name, critical, probe, detail }
+     * @returns {Promise<object>} { status: 'up' | 'down', critical, latencyMs, error, detail }
+     */
+    async runProbe({ critical, probe, detail }) {
+        const start = Date.now();
+        let timer;
+
+        try {
+            await Promise.race([
+                probe(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(
+                        () => reject(new Error(`Sin respuesta en ${config.readiness.probeTimeout} ms`)),
+                        config.readiness.probeTimeout
+                    );
+                }),
+            ]);
+            return { status: 'up', critical, latencyMs: Date.now() - start, ...(detail && { detail }) };
+        } catch (error) {
+            return {
+                status: 'down',
+                critical,
+                latencyMs: Date.now() - start,
+                error: error.message,
+                ...(detail && { detail }),
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Verificar que la configuración requerida está completa
+     * @throws {Error} Con las variables que faltan
+     */
+    async checkConfig() {
+        const missing = config.getMissingVariables();
+        if (missing.length > 0) {
+            throw new Error(`Variables faltantes: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Verificar que un directorio existe y se puede escribir
+     * @param {string} directory - Ruta del directorio
+     * @param {object} options - { create } para crearlo si no existe
+     * @throws {Error} Si no existe o no se puede escribir en él
+     *
+     * temp/ y logs/ no se crean: si faltan, es un problema de despliegue que debe verse
+     */
+    async checkWritable(directory, { create = false } = {}) {
+        if (create) {
+            await fs.mkdir(directory, { recursive: true });
+        }
+        await fs.access(directory, constants.W_OK);
+
+        const probeFile = path.join(directory, `.ready-${process.pid}`);
+        await fs.writeFile(probeFile, '');
+        await fs.unlink(probeFile);
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new ReadinessChecker();
@@ -0,0 +1,295 @@
+// Importar dependencias
+const whatsappClient = require('./whatsappClient');
+const userProfile = require('./userProfile');
+const vocabulary = require('./vocabulary');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Un día en milisegundos
+ */
+const DAY = 86400000;
+
+/**
+ * Temas de práctica diaria (se elige uno distinto cada día)
+ */
+const DAILY_PROMPTS = [
+    'What did you have for breakfast today? Describe it in detail.',
+    'Tell me about your best friend. How did you meet?',
+    'What is your favorite place in your city? Why?',
+    'Describe your perfect weekend.',
+    'What was the last movie or series you watched? Did you like it?',
+    'If you could travel anywhere tomorrow, where would you go?',
+    'What do you usually do after work or school?',
+    'Tell me about a skill you would like to learn.',
+    'What is the best gift you have ever received?',
+    'Describe the weather today and how it makes you feel.',
+];
+
+/**
+ * Programador de Recordatorios
+ *
+ * Revisa periódicamente los perfiles suscritos (/remind on) y, a la hora local
+ * preferida de cada estudiante, envía como máximo un recordatorio al día:
+ * - review: tiene palabras de vocabulario pendientes de repaso
+ * - streak: tiene una racha activa y aún no ha practicado hoy
+ * - practice: tema de conversación del día
+ *
+ * Dentro de la ventana de 24 horas de WhatsApp se envía texto libre; fuera de
+ * ella solo se puede escribir con plantillas aprobadas (config.reminders.templates)
+ *
+ * Nota: pensado para una sola instancia del servidor; con varias, cada una
+ * enviaría sus propios recordatorios
+ */
+class ReminderScheduler {
+    constructor() {
+        // Temporizador de revisión periódica
+        this.timer = null;
+        // Evita que dos revisiones se solapen si una tarda más que el intervalo
+        this.running = false;
+    }
+
+    /**
+     * Iniciar la revisión periódica de recordatorios
+     * @param {number} interval - Intervalo entre revisiones en milisegundos
+     */
+    start(interval = config.reminders.checkInterval) {
+        this.stop();
+        this.timer = setInterval(() => this.tick(), interval);
+        // No mantener vivo el proceso solo por este temporizador
+        this.timer.unref();
+
+        logger.info('Programador de recordatorios iniciado', { interval });
+    }
+
+    /**
+     * Detener la revisión periódica
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Revisar todos los perfiles suscritos y enviar los recordatorios pendientes
+     * @param {Date} now - Fecha actual
+     * @returns {Promise<number>} Número de recordatorios enviados
+     */
+    async tick(now = new Date()) {
+        if (this.running) {
+            return 0;
+        }
+
+        this.running = true;
+        let sent = 0;
+
+        try {
+            const profiles = await userProfile.listProfiles();
+
+            for (const profile of profiles) {
+                if (!profile.reminders?.enabled) {
+                    continue;
+                }
+
+                try {
+                    if (await this.processProfile(profile, now)) {
+                        sent++;
+                    }
+                } catch (error) {
+                    // Un fallo con un estudiante no debe impedir los recordatorios del resto
+                    logger.error('Error al enviar recordatorio', {
+                        error: error.message,
+                        userId: profile.userId,
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Revisión de recordatorios falló', { error: error.message });
+        } finally {
+            this.running = false;
+        }
+
+        if (sent > 0) {
+            logger.info('Recordatorios enviados', { sent });
+        }
+        return sent;
+    }
+
+    /**
+     * Enviar el recordatorio de un estudiante si le corresponde
+     * @param {object} profile - Perfil del estudiante
+     * @param {Date} now - Fecha actual
+     * @returns {Promise<boolean>} true si se envió un recordatorio
+     */
+    async processProfile(profile, now) {
+        if (!this.isPending(profile, now)) {
+            return false;
+        }
+
+        const reminder = await this.buildReminder(profile, now);
+        if (!reminder) {
+            return false;
+        }
+
+        // Mientras se preparaba el recordatorio, el estudiante pudo usar /remind
+        // (off, pause, nueva hora): se relee el perfil y solo se cambia lastSentDate
+        const current = await userProfile.getProfile(profile.userId);
+        if (!current.reminders.enabled || !this.isPending(current, now)) {
+            return false;
+        }
+
+        // Se marca el día como atendido aunque el envío falle, para no reintentar cada minuto
+        await userProfile.updateProfile(profile.userId, {
+            reminders: { ...current.reminders, lastSentDate: userProfile.getLocalDate(now, current.timezone) },
+        });
+
+        return this.send(profile, reminder, now);
+    }
+
+    /**
+     * Verificar si a un estudiante le toca recordatorio
+     * @param {object} profile - Perfil del estudiante
+     * @param {Date} now - Fecha actual
+     * @returns {boolean} true si hoy no se envió, no está en pausa y ya es su hora
+     */
+    isPending(profile, now) {
+        const { reminders, timezone } = profile;
+        const today = userProfile.getLocalDate(now, timezone);
+
+        if (reminders.lastSentDate === today) {
+            return false;
+        }
+        if (reminders.pausedUntil && today <= reminders.pausedUntil) {
+            return false;
+        }
+        return this.isDue(now, timezone, reminders.time || config.reminders.defaultTime);
+    }
+
+    /**
+     * Obtener los minutos transcurridos del día en la zona horaria del usuario
+     * @param {Date} date - Fecha
+     * @param {string} timezone - Zona horaria IANA
+     * @returns {number} Minutos desde la medianoche local
+     */
+    getLocalMinutes(date, timezone = 'UTC') {
+        let time;
+        try {
+            time = date.toLocaleTimeString('en-GB', {
+                timeZone: timezone,
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23',
+            });
+        } catch (error) {
+            // Zona horaria inválida: usar UTC
+            time = date.toISOString().slice(11, 16);
+        }
+
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Verificar si es hora de enviar el recordatorio
+     * @param {Date} now - Fecha actual
+     * @param {string} timezone - Zona horaria del estudiante
+     * @param {string} time - Hora preferida (HH:MM)
+     * @returns {boolean} true si la hora local está dentro del margen de envío
+     */
+    isDue(now, timezone, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const elapsed = (this.getLocalMinutes(now, timezone) - (hours * 60 + minutes)) * 60000;
+
+        return elapsed >= 0 && elapsed < config.reminders.sendWindow;
+    }
+
+    /**
+     * Verificar si el estudiante escribió en las últimas 24 horas
+     * @param {object} profile - Perfil del estudiante
+     * @param {Date} now - Fecha actual
+     * @returns {boolean} true si se puede enviar texto libre
+     */
+    isWithinSessionWindow(profile, now) {
+        return Boolean(profile.lastSeen) &&
+            now.getTime() - Date.parse(profile.lastSeen) < config.reminders.sessionWindow;
+    }
+
+    /**
+     * Elegir el recordatorio del día
+     * @param {object} profile - Perfil del estudiante
+     * @param {Date} now - Fecha actual
+     * @returns {Promise<object|null>} { type, text, variables } o null si no hace falta recordarle nada
+     */
+    async buildReminder(profile, now) {
+        const today = userProfile.getLocalDate(now, profile.timezone);
+        const yesterday = userProfile.getLocalDate(new Date(now.getTime() - DAY), profile.timezone);
+        const footer = '\n\n(/remind pause 7 · /remind off)';
+        const dueWords = (await vocabulary.getDueCards(profile.userId, Infinity)).length;
+
+        if (dueWords > 0) {
+            return {
+                type: 'review',
+                variables: { 1: String(dueWords) },
+                text: `🧠 Tienes ${dueWords} palabras para repasar. Escribe /quiz cuando quieras.\n` +
+                    `🧠 You have ${dueWords} words to review. Type /quiz whenever you're ready.${footer}`,
+            };
+        }
+
+        // Si ya practicó hoy no hace falta insistir
+        if (profile.streak.lastPracticeDate === today) {
+            return null;
+        }
+
+        // La racha sigue viva si practicó ayer: hoy es el último día para mantenerla
+        if (profile.streak.current > 0 && profile.streak.lastPracticeDate === yesterday) {
+            const days = profile.streak.current;
+            return {
+                type: 'streak',
+                variables: { 1: String(days) },
+                text: `🔥 ¡Llevas ${days} días seguidos practicando! Envíame un mensaje hoy para no perder tu racha.\n` +
+                    `🔥 You're on a ${days}-day streak! Send me a message today to keep it going.${footer}`,
+            };
+        }
+
+        const prompt = DAILY_PROMPTS[Math.floor(Date.parse(today) / DAY) % DAILY_PROMPTS.length];
+        return {
+            type: 'practice',
+            variables: { 1: prompt },
+            text: `📅 Práctica del día / Daily practice:\n\n${prompt}\n\n` +
+                `Responde en inglés, por texto o nota de voz. 💬${footer}`,
+        };
+    }
+
+    /**
+     * Enviar el recordatorio por texto libre o plantilla
+     * @param {object} profile - Perfil del estudiante
+     * @param {object} reminder - Recordatorio de buildReminder()
+     * @param {Date} now - Fecha actual
+     * @returns {Promise<boolean>} true si se envió
+     */
+    async send(profile, reminder, now) {
+        const to = profile.userId;
+
+        if (this.isWithinSessionWindow(profile, now)) {
+            await whatsappClient.sendTextMessage(to, reminder.text);
+        } else {
+            const contentSid = config.reminders.templates[reminder.type];
+            if (!contentSid) {
+                logger.warn('Recordatorio omitido: fuera de la ventana de 24 horas y sin plantilla', {
+                    userId: to,
+                    type: reminder.type,
+                });
+                return false;
+            }
+            await whatsappClient.sendTemplateMessage(to, contentSid, reminder.variables);
+        }
+
+        logger.info('Recordatorio enviado', { userId: to, type: reminder.type });
+        return true;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new ReminderScheduler();
@@ -0,0 +1,149 @@
+// Importar dependencias
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { ConversationEngineError } = require('../utils/errorHandler');
+const { ConversationEngine } = require('./conversationEngine');
+
+/**
+ * Motor Conversacional de Reglas Locales
+ *
+ * Responde con guiones definidos en un archivo JSON (config.conversation.rulesFile),
+ * sin red ni servicios externos. Útil para desarrollo y pruebas sin conexión
+ *
+ * Formato de cada regla:
+ *   {
+ *     "intent": "introduce.name",
+ *     "context": "origin",            // Opcional: solo aplica si la sesión está en ese contexto
+ *     "patterns": { "en": ["my name is (?<name>\\p{L}+)"], "es": [...] },
+ *     "responses": { "en": ["Nice to meet you, {name}!"], "es": [...] },
+ *     "setContext": "origin"          // Opcional: contexto para el siguiente turno
+ *   }
+ *
+ * Los grupos con nombre de los patrones se convierten en parámetros, que se
+ * recuerdan durante la sesión y se pueden usar en las respuestas como {nombre}
+ */
+class RuleEngine extends ConversationEngine {
+    /**
+     * Constructor
+     * @param {string} rulesFile - Ruta del archivo de reglas
+     */
+    constructor(rulesFile = config.conversation.rulesFile) {
+        super('rules');
+
+        const { rules, fallback } = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+        this.fallback = fallback;
+        this.rules = rules.map(rule => this.compileRule(rule));
+
+        logger.info('Reglas conversacionales cargadas', { rules: this.rules.length, file: rulesFile });
+    }
+
+    /**
+     * Compilar los patrones de una regla
+     * @param {object} rule - Regla tal como aparece en el archivo
+     * @returns {object} Regla con los patrones convertidos en expresiones regulares
+     */
+    compileRule(rule) {
+        const patterns = {};
+
+        for (const [language, sources] of Object.entries(rule.patterns)) {
+            patterns[language] = sources.map(source => new RegExp(source, 'iu'));
+        }
+
+        return { ...rule, patterns };
+    }
+
+    /**
+     * Buscar la regla que coincide con el texto
+     * @param {string} text - Texto del usuario
+     * @param {string} language - Idioma corto ('en' o 'es')
+     * @param {string|null} context - Contexto actual de la sesión
+     * @returns {object|null} { rule, match, confidence } o null si ninguna coincide
+     *
+     * Las reglas del contexto actual tienen prioridad sobre las generales
+     */
+    findRule(text, language, context) {
+        const candidates = [
+            ...this.rules.filter(rule => rule.context && rule.context === context),
+            ...this.rules.filter(rule => !rule.context),
+        ];
+
+        for (const rule of candidates) {
+            for (const pattern of rule.patterns[language] || []) {
+                const match = text.match(pattern);
+                if (match) {
+                    return { rule, match, confidence: rule.context ? 1 : 0.8 };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Elegir una respuesta al azar y sustituir los parámetros
+     * @param {Array<string>} responses - Respuestas posibles
+     * @param {object} parameters - Parámetros de la sesión
+     * @returns {string} Respuesta final
+     *
+     * {name_suffix} se sustituye por ", <nombre>" si se conoce el nombre del estudiante
+     */
+    render(responses, parameters) {
+        const template = responses[Math.floor(Math.random() * responses.length)];
+        const values = {
+            ...parameters,
+            name_suffix: parameters.name ? `, ${parameters.name}` : '',
+        };
+
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+    }
+
+    /**
+     * Responder al texto del usuario con las reglas
+     * @param {string} text - Texto de entrada del usuario
+     * @param {string} userId - Identificador del usuario
+     * @param {string} languageCode - Código de idioma ('en' o 'es')
+     * @returns {Promise<object>} { text, intent, confidence, parameters }
+     */
+    async detectIntent(text, userId, languageCode = 'en') {
+        try {
+            const session = await this.getSession(userId);
+            const language = this.fallback[languageCode.split('-')[0]] ? languageCode.split('-')[0] : 'en';
+            const found = this.findRule(text, language, session.context || null);
+
+            const parameters = { ...(session.parameters || {}) };
+            let reply;
+            if (found) {
+                Object.assign(parameters, found.match.groups || {});
+                const responses = found.rule.responses[language] || found.rule.responses.en;
+                reply = this.render(responses, parameters);
+            } else {
+                reply = this.render(this.fallback[language], parameters);
+            }
+
+            // Sin setContext la conversación vuelve al contexto general
+            session.context = found?.rule.setContext || null;
+            session.parameters = parameters;
+            await this.saveSession(userId, session);
+
+            const intent = found ? found.rule.intent : 'fallback';
+            logger.info('Regla conversacional aplicada', { userId, intent, context: session.context });
+
+            return {
+                text: reply,
+                intent,
+                confidence: found ? found.confidence : 0,
+                parameters,
+            };
+        } catch (error) {
+            logger.error('Motor de reglas falló', {
+                error: error.message,
+                userId,
+            });
+            throw new ConversationEngineError(`Error al procesar con IA: ${error.message}`);
+        }
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new RuleEngine();
@@ -0,0 +1,240 @@
+// Importar dependencias para los distintos almacenes de sesión
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * ALMACENES DE SESIÓN DEL MOTOR CONVERSACIONAL
+ *
+ * Guardan la relación usuario → sesión del motor conversacional junto con la marca de
+ * última actividad, para que las conversaciones sobrevivan a reinicios y puedan
+ * compartirse entre varias instancias del servidor
+ *
+ * Todos los almacenes exponen la misma interfaz asíncrona:
+ * - get(userId)            → { sessionId, createdAt, lastActivity } o null
+ * - set(userId, record)    → guarda o reemplaza la sesión
+ * - delete(userId)         → elimina la sesión
+ * - count()                → número de sesiones guardadas
+ * - deleteIdle(maxAge)     → elimina sesiones inactivas y retorna los userIds eliminados
+ * - close()                → libera recursos (conexiones, etc.)
+ */
+
+// ========================================
+// ALMACÉN EN MEMORIA
+// ========================================
+
+/**
+ * Almacén en memoria
+ * Útil para desarrollo y pruebas; las sesiones se pierden al reiniciar
+ */
+class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(userId) {
+        return this.sessions.get(userId) || null;
+    }
+
+    async set(userId, record) {
+        this.sessions.set(userId, record);
+    }
+
+    async delete(userId) {
+        return this.sessions.delete(userId);
+    }
+
+    async count() {
+        return this.sessions.size;
+    }
+
+    async deleteIdle(maxAge, now = Date.now()) {
+        const removed = [];
+        for (const [userId, record] of this.sessions) {
+            if (now - record.lastActivity > maxAge) {
+                this.sessions.delete(userId);
+                removed.push(userId);
+            }
+        }
+        return removed;
+    }
+
+    async close() {}
+}
+
+// ========================================
+// ALMACÉN EN ARCHIVO
+// ========================================
+
+/**
+ * Almacén en archivo JSON
+ * Persiste las sesiones en disco; adecuado para una sola instancia
+ */
+class FileSessionStore {
+    /**
+     * @param {string} filepath - Ruta del archivo de sesiones
+     */
+    constructor(filepath) {
+        this.file = new JsonFileStore(filepath);
+    }
+
+    async get(userId) {
+        const sessions = await this.file.read();
+        return sessions[userId] || null;
+    }
+
+    async set(userId, record) {
+        await this.file.update(sessions => {
+            sessions[userId] = record;
+        });
+    }
+
+    async delete(userId) {
+        const sessions = await this.file.read();
+        if (!sessions[userId]) {
+            return false;
+        }
+        await this.file.update(data => {
+            delete data[userId];
+        });
+        return true;
+    }
+
+    async count() {
+        const sessions = await this.file.read();
+        return Object.keys(sessions).length;
+    }
+
+    async deleteIdle(maxAge, now = Date.now()) {
+        const sessions = await this.file.read();
+        const removed = Object.keys(sessions)
+            .filter(userId => now - sessions[userId].lastActivity > maxAge);
+
+        if (removed.length > 0) {
+            await this.file.update(data => {
+                removed.forEach(userId => delete data[userId]);
+            });
+        }
+
+        return removed;
+    }
+
+    async close() {}
+}
+
+// ========================================
+// ALMACÉN COMPATIBLE CON REDIS
+// ========================================
+
+/**
+ * Almacén sobre Redis (o cualquier servidor compatible: KeyDB, Valkey, etc.)
+ * Permite compartir sesiones entre varias instancias del servidor
+ *
+ * Cada sesión se guarda con un TTL igual al timeout de sesión, de modo que
+ * Redis también expira por su cuenta las sesiones inactivas
+ */
+class RedisSessionStore {
+    /**
+     * @param {object} client - Cliente de node-redis v4 (ya conectado o conectable)
+     * @param {object} options - Opciones
+     * @param {string} options.prefix - Prefijo de las claves
+     * @param {number} options.ttl - Tiempo de vida de cada sesión en milisegundos
+     */
+    constructor(client, { prefix = 'whatstutor:session:', ttl = config.app.sessionTimeout } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+        this.ttl = ttl;
+    }
+
+    /**
+     * Asegurar que el cliente esté conectado antes de usarlo
+     */
+    async connect() {
+        if (!this.client.isOpen) {
+            await this.client.connect();
+        }
+    }
+
+    async get(userId) {
+        await this.connect();
+        const value = await this.client.get(this.prefix + userId);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(userId, record) {
+        await this.connect();
+        await this.client.set(this.prefix + userId, JSON.stringify(record), { PX: this.ttl });
+    }
+
+    async delete(userId) {
+        await this.connect();
+        return (await this.client.del(this.prefix + userId)) > 0;
+    }
+
+    async count() {
+        await this.connect();
+        let total = 0;
+        for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+            total += Array.isArray(key) ? key.length : 1;
+        }
+        return total;
+    }
+
+    async deleteIdle(maxAge, now = Date.now()) {
+        await this.connect();
+        const removed = [];
+        for await (const entry of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+            for (const key of [].concat(entry)) {
+                const value = await this.client.get(key);
+                if (value && now - JSON.parse(value).lastActivity > maxAge) {
+                    await this.client.del(key);
+                    removed.push(key.slice(this.prefix.length));
+                }
+            }
+        }
+        return removed;
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+}
+
+// ========================================
+// FÁBRICA
+// ========================================
+
+/**
+ * Crear el almacén de sesiones según la configuración
+ * @param {string} type - Tipo de almacén ('memory', 'file' o 'redis')
+ * @returns {object} Instancia del almacén
+ */
+const createSessionStore = (type = config.storage.sessionStore) => {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file':
+            return new FileSessionStore(path.join(config.storage.dataDir, 'sessions.json'));
+        case 'redis': {
+            // Se carga solo cuando se usa, para no exigir Redis en instalaciones simples
+            const { createClient } = require('redis');
+            const client = createClient({ url: config.storage.redisUrl });
+            client.on('error', error => {
+                logger.error('Error del cliente Redis', { error: error.message });
+            });
+            return new RedisSessionStore(client);
+        }
+        default:
+            throw new Error(`Tipo de almacén de sesiones desconocido: ${type}`);
+    }
+};
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    RedisSessionStore,
+    createSessionStore,
+};
@@ -1,8 +1,10 @@
 // Importar cliente de Google Cloud Speech-to-Text
 const speech = require('@google-cloud/speech');
+const audioProcessor = require('./audioProcessor');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { AudioProcessingError } = require('../utils/errorHandler');
+const metrics = require('./metrics');
+const { AudioProcessingError, SpeechToTextError, isTransientError } = require('../utils/errorHandler');
 
 /**
  * Servicio de Speech-to-Text (Voz a Texto)
@@ -22,71 +24,64 @@ class SpeechToTextService {
         });
     }
 
+    /**
+     * Verificar que las credenciales de Google son válidas (para /ready)
+     * Obtener un token de acceso no consume cuota de Speech-to-Text
+     */
+    async ping() {
+        await this.client.auth.getAccessToken();
+    }
+
     /**
      * Transcribir archivo de audio a texto
      * @param {Buffer} audioBuffer - Buffer del archivo de audio
      * @param {string} languageCode - Código de idioma (ej: 'en-US', 'es-ES')
+     * @param {object} options - Opciones adicionales
+     * @param {boolean} options.wordDetails - Solicitar confianza y marcas de tiempo por palabra
      * @returns {Promise<object>} Objeto con texto transcrito, idioma y confianza
-     * 
-     * Proceso:
-     * 1. Convertir audio a base64
-     * 2. Configurar parámetros de reconocimiento
-     * 3. Enviar a Google Cloud
-     * 4. Retornar transcripción con metadatos
+     *                            (y lista de palabras si se pidió wordDetails)
+     *
+     * El reconocimiento síncrono de Google admite como máximo un minuto de audio:
+     * - Notas cortas: una sola petición
+     * - Notas largas en LINEAR16: se dividen en los silencios y se transcriben
+     *   por segmentos, en orden (el resultado incluye los segmentos con sus tiempos)
+     * - Notas largas en otro formato: reconocimiento de larga duración
      */
-    async transcribe(audioBuffer, languageCode = 'en-US') {
+    async transcribe(audioBuffer, languageCode = 'en-US', { wordDetails = false } = {}) {
         try {
+            const duration = audioProcessor.getDuration(audioBuffer);
+
             logger.info('Iniciando transcripción de audio', {
                 languageCode,
                 audioSize: audioBuffer.length,
+                duration,
             });
 
-            // Convertir buffer de audio a base64 (formato requerido por Google Cloud)
-            const audioBytes = audioBuffer.toString('base64');
-
-            // Configurar petición de reconocimiento
-            const request = {
-                audio: {
-                    content: audioBytes,  // Audio en base64
-                },
-                config: {
-                    encoding: 'OGG_OPUS',  // WhatsApp usa formato OGG OPUS
-                    sampleRateHertz: 16000,  // Frecuencia de muestreo estándar para voz
-                    languageCode,  // Idioma principal esperado
-                    alternativeLanguageCodes: ['es-ES', 'en-US'],  // Idiomas alternativos para detección
-                    enableAutomaticPunctuation: true,  // Agregar puntuación automáticamente
-                    model: 'default',  // Modelo de reconocimiento (default, phone_call, video, etc.)
-                },
-            };
-
-            // Enviar petición a Google Cloud y esperar respuesta
-            const [response] = await this.client.recognize(request);
+            let result;
+            if (duration <= config.speech.maxSyncDuration) {
+                result = await this.recognize(audioBuffer, languageCode, wordDetails);
+            } else if (audioProcessor.getRecognitionConfig(audioBuffer)?.encoding === 'LINEAR16') {
+                result = await this.transcribeSegments(audioBuffer, languageCode, wordDetails);
+            } else {
+                result = await this.recognize(audioBuffer, languageCode, wordDetails, { longRunning: true });
+            }
 
             // Verificar si hay resultados
-            if (!response.results || response.results.length === 0) {
+            if (!result.text) {
                 logger.warn('No se retornaron resultados de transcripción');
                 throw new AudioProcessingError('No se pudo transcribir el audio. Por favor habla claramente e intenta de nuevo.');
             }
 
-            // Extraer la transcripción de los resultados
-            const transcription = response.results
-                .map(result => result.alternatives[0].transcript)
-                .join('\n');
-
-            // Detectar idioma real de la respuesta
-            const detectedLanguage = response.results[0]?.languageCode || languageCode;
-
             logger.info('Transcripción completada', {
-                text: transcription,
-                detectedLanguage,
+                text: result.text,
+                detectedLanguage: result.language,
+                segments: result.segments?.length,
             });
 
-            // Retornar objeto con toda la información
-            return {
-                text: transcription,  // Texto transcrito
-                language: detectedLanguage,  // Idioma detectado
-                confidence: response.results[0]?.alternatives[0]?.confidence || 0,  // Nivel de confianza (0-1)
-            };
+            if (!wordDetails) {
+                delete result.words;
+            }
+            return result;
         } catch (error) {
             logger.error('Transcripción falló', { error: error.message });
 
@@ -95,11 +90,149 @@ class SpeechToTextService {
                 throw error;
             }
 
-            // En caso contrario, crear nuevo error de procesamiento
-            throw new AudioProcessingError(
-                `Error al transcribir audio: ${error.message}`
-            );
+            // Google no disponible, cuota o red: error 503 para que la cola reintente
+            if (isTransientError(error)) {
+                throw new SpeechToTextError(
+                    'El servicio de transcripción no está disponible en este momento. Por favor intenta de nuevo en unos minutos.'
+                );
+            }
+
+            // Google rechazó el audio (INVALID_ARGUMENT, OUT_OF_RANGE): problema de la nota, no se reintenta
+            if (error.code === 3 || error.code === 11) {
+                throw new AudioProcessingError(
+                    'No se pudo transcribir el audio. Por favor envía otra nota de voz.'
+                );
+            }
+
+            // Cualquier otro fallo (credenciales, bugs) se relanza tal cual
+            throw error;
+        }
+    }
+
+    /**
+     * Enviar una petición de reconocimiento a Google Cloud
+     * @param {Buffer} audioBuffer - Buffer del archivo de audio
+     * @param {string} languageCode - Código de idioma
+     * @param {boolean} wordDetails - Solicitar confianza y marcas de tiempo por palabra
+     * @param {object} options - { longRunning } para usar el reconocimiento de larga duración
+     * @returns {Promise<object>} { text, language, confidence, words } (text vacío si no se reconoció nada)
+     */
+    async recognize(audioBuffer, languageCode, wordDetails, { longRunning = false } = {}) {
+        // Codificación y frecuencia según el audio recibido (normalmente WAV/FLAC de AudioProcessor)
+        const { encoding, sampleRateHertz } = audioProcessor.getRecognitionConfig(audioBuffer) ||
+            { encoding: 'OGG_OPUS', sampleRateHertz: 48000 };
+
+        // Configurar petición de reconocimiento
+        const request = {
+            audio: {
+                content: audioBuffer.toString('base64'),  // Audio en base64 (formato requerido por Google Cloud)
+            },
+            config: {
+                encoding,  // LINEAR16, FLAC u OGG_OPUS
+                sampleRateHertz,  // Frecuencia de muestreo del audio
+                languageCode,  // Idioma principal esperado
+                alternativeLanguageCodes: ['es-ES', 'en-US'],  // Idiomas alternativos para detección
+                enableAutomaticPunctuation: true,  // Agregar puntuación automáticamente
+                model: 'default',  // Modelo de reconocimiento (default, phone_call, video, etc.)
+                enableWordTimeOffsets: wordDetails,  // Marcas de tiempo por palabra
+                enableWordConfidence: wordDetails,  // Confianza por palabra
+            },
+        };
+
+        // Enviar petición a Google Cloud y esperar respuesta
+        const response = await metrics.measure('stt', async () => {
+            if (longRunning) {
+                logger.info('Usando reconocimiento de larga duración');
+                const [operation] = await this.client.longRunningRecognize(request);
+                return (await operation.promise())[0];
+            }
+            return (await this.client.recognize(request))[0];
+        });
+
+        const results = (response.results || []).filter(result => result.alternatives?.length > 0);
+
+        return {
+            // Extraer la transcripción de los resultados
+            text: results.map(result => result.alternatives[0].transcript).join('\n').trim(),
+            // Detectar idioma real de la respuesta
+            language: results[0]?.languageCode || languageCode,
+            // Nivel de confianza (0-1)
+            confidence: results[0]?.alternatives[0]?.confidence || 0,
+            words: wordDetails ? this.extractWords(results) : [],
+        };
+    }
+
+    /**
+     * Transcribir una nota larga por segmentos
+     * @param {Buffer} audioBuffer - Audio WAV LINEAR16
+     * @param {string} languageCode - Código de idioma
+     * @param {boolean} wordDetails - Solicitar confianza y marcas de tiempo por palabra
+     * @returns {Promise<object>} Resultado unido: { text, language, confidence, words, segments }
+     *
+     * Los segmentos se transcriben en orden (no en paralelo) para no disparar
+     * la cuota de Google; las marcas de tiempo de las palabras se desplazan al
+     * inicio de su segmento y la confianza se pondera por la duración
+     */
+    async transcribeSegments(audioBuffer, languageCode, wordDetails) {
+        const segments = audioProcessor.splitOnSilence(audioBuffer, config.speech.maxSegmentDuration);
+        logger.info('Nota de voz larga dividida en segmentos', { segments: segments.length });
+
+        const transcribed = [];
+        const words = [];
+        const languages = {};
+        let weightedConfidence = 0;
+        let recognizedDuration = 0;
+
+        for (const segment of segments) {
+            // Los segmentos en silencio no devuelven texto: se omiten
+            const result = await this.recognize(segment.buffer, languageCode, wordDetails);
+            if (!result.text) {
+                continue;
+            }
+
+            const length = segment.end - segment.start;
+            transcribed.push({ start: segment.start, end: segment.end, text: result.text });
+            languages[result.language] = (languages[result.language] || 0) + length;
+            weightedConfidence += result.confidence * length;
+            recognizedDuration += length;
+
+            words.push(...result.words.map(word => ({
+                ...word,
+                startTime: word.startTime + segment.start,
+                endTime: word.endTime + segment.start,
+            })));
         }
+
+        // Idioma predominante: el que ocupa más tiempo de audio
+        const [language] = Object.entries(languages).sort((a, b) => b[1] - a[1])[0] || [languageCode];
+
+        return {
+            text: transcribed.map(segment => segment.text).join(' '),
+            language,
+            confidence: recognizedDuration > 0 ? weightedConfidence / recognizedDuration : 0,
+            words,
+            segments: transcribed,
+        };
+    }
+
+    /**
+     * Extraer la información por palabra de los resultados de reconocimiento
+     * @param {Array<object>} results - Resultados de Google Cloud
+     * @returns {Array<object>} Palabras con confianza e inicio/fin en segundos
+     */
+    extractWords(results) {
+        // Google devuelve las duraciones como { seconds, nanos }
+        const toSeconds = (offset) =>
+            offset ? Number(offset.seconds || 0) + (offset.nanos || 0) / 1e9 : 0;
+
+        return results.flatMap(result =>
+            (result.alternatives[0]?.words || []).map(wordInfo => ({
+                word: wordInfo.word,
+                confidence: wordInfo.confidence || 0,
+                startTime: toSeconds(wordInfo.startTime),
+                endTime: toSeconds(wordInfo.endTime),
+            }))
+        );
     }
 
     /**
@@ -111,25 +244,21 @@ class SpeechToTextService {
      * reintenta con idioma alternativo
      */
     async transcribeWithLanguageDetection(audioBuffer) {
-        try {
-            // Intentar primero con idioma configurado (normalmente inglés)
-            const result = await this.transcribe(audioBuffer, config.speech.sttLanguage);
-
-            // Si la confianza es baja, podría ser otro idioma
-            if (result.confidence < 0.7) {
-                logger.info('Confianza baja, intentando idioma alternativo');
-                const alternativeResult = await this.transcribe(audioBuffer, 'es-ES');
-
-                // Si el resultado alternativo tiene mejor confianza, usarlo
-                if (alternativeResult.confidence > result.confidence) {
-                    return alternativeResult;
-                }
-            }
+        // Intentar primero con idioma configurado (normalmente inglés)
+        const result = await this.transcribe(audioBuffer, config.speech.sttLanguage);
 
-            return result;
-        } catch (error) {
-            throw error;
+        // Si la confianza es baja, podría ser otro idioma
+        if (result.confidence < 0.7) {
+            logger.info('Confianza baja, intentando idioma alternativo');
+            const alternativeResult = await this.transcribe(audioBuffer, 'es-ES');
+
+            // Si el resultado alternativo tiene mejor confianza, usarlo
+            if (alternativeResult.confidence > result.confidence) {
+                return alternativeResult;
+            }
         }
+
+        return result;
     }
 }
 
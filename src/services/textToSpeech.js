@@ -2,6 +2,7 @@
 const textToSpeech = require('@google-cloud/text-to-speech');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('./metrics');
 const { AudioProcessingError } = require('../utils/errorHandler');
 const fs = require('fs').promises;
 const path = require('path');
@@ -24,6 +25,14 @@ class TextToSpeechService {
         });
     }
 
+    /**
+     * Verificar que las credenciales de Google son válidas (para /ready)
+     * Obtener un token de acceso no consume cuota de Text-to-Speech
+     */
+    async ping() {
+        await this.client.auth.getAccessToken();
+    }
+
     /**
      * Convertir texto a archivo de audio
      * @param {string} text - Texto a convertir
@@ -54,7 +63,7 @@ class TextToSpeechService {
             };
 
             // Enviar petición y esperar respuesta
-            const [response] = await this.client.synthesizeSpeech(request);
+            const [response] = await metrics.measure('tts', () => this.client.synthesizeSpeech(request));
 
             logger.info('Síntesis de voz completada', {
                 audioSize: response.audioContent.length,
@@ -0,0 +1,252 @@
+// Importar dependencias
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Formatos de exportación y su tipo de contenido
+ */
+const EXPORT_FORMATS = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    md: 'text/markdown; charset=utf-8',
+};
+
+/**
+ * Columnas de la exportación CSV
+ */
+const CSV_COLUMNS = [
+    'at', 'messageSid', 'type', 'mode', 'userText', 'language',
+    'transcriptionConfidence', 'intent', 'confidence', 'reply', 'media', 'replyAudio',
+];
+
+/**
+ * Historial de Conversaciones
+ *
+ * Guarda cada intercambio entre el estudiante y el tutor:
+ *
+ *   {
+ *     at, messageSid,
+ *     type: 'text' | 'voice' | 'attachment',
+ *     mode: 'conversation' | 'quiz' | 'lesson' | 'read',
+ *     userText,                  // Texto escrito, transcripción o texto leído del adjunto
+ *     language,                  // Idioma detectado
+ *     transcriptionConfidence,   // Solo notas de voz
+ *     intent, confidence,        // Respuesta del motor conversacional
+ *     reply,                     // Texto enviado al estudiante
+ *     media: [{ url, contentType }],  // Adjuntos recibidos
+ *     replyAudio,                // Archivo de la respuesta de voz (si se envió)
+ *   }
+ *
+ * Cada estudiante tiene su propio archivo JSON Lines en data/transcripts/:
+ * añadir un turno es una sola escritura al final del archivo, sin cargar en
+ * memoria el historial completo de todos los estudiantes
+ *
+ * Los comandos (/help, /history...) no se guardan: no son parte de la conversación
+ */
+class TranscriptHistory {
+    /**
+     * Constructor
+     * @param {string} directory - Directorio de los historiales
+     */
+    constructor(directory = path.join(config.storage.dataDir, 'transcripts')) {
+        this.directory = directory;
+        this.ready = null;
+    }
+
+    /**
+     * Ruta del historial de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {string} Ruta del archivo (el número sin prefijo ni símbolos)
+     */
+    getFilepath(userId) {
+        const digits = String(userId).replace(/^whatsapp:/, '').replace(/\D/g, '');
+        return path.join(this.directory, `${digits || 'unknown'}.jsonl`);
+    }
+
+    /**
+     * Guardar un intercambio
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} turn - Datos del intercambio (ver formato arriba)
+     *
+     * Un fallo al guardar se registra pero no interrumpe la respuesta al estudiante
+     */
+    async record(userId, turn) {
+        if (!config.transcripts.enabled) {
+            return;
+        }
+
+        const entry = { at: new Date().toISOString(), mode: 'conversation', ...turn };
+
+        try {
+            if (!this.ready) {
+                this.ready = fs.mkdir(this.directory, { recursive: true });
+            }
+            await this.ready;
+            await fs.appendFile(this.getFilepath(userId), `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            logger.error('No se pudo guardar el intercambio en el historial', { userId, error: error.message });
+        }
+    }
+
+    /**
+     * Leer el historial de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} options - { limit } para obtener solo los últimos intercambios
+     * @returns {Promise<Array<object>>} Intercambios del más antiguo al más reciente
+     */
+    async getTurns(userId, { limit = 0 } = {}) {
+        let content;
+        try {
+            content = await fs.readFile(this.getFilepath(userId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const turns = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                turns.push(JSON.parse(line));
+            } catch (error) {
+                // Una línea a medio escribir (reinicio durante la escritura) no invalida el resto
+                logger.warn('Línea inválida en el historial, se omite', { userId });
+            }
+        }
+
+        return limit > 0 ? turns.slice(-limit) : turns;
+    }
+
+    /**
+     * Eliminar el historial de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si existía
+     */
+    async deleteUser(userId) {
+        try {
+            await fs.unlink(this.getFilepath(userId));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // ========================================
+    // EXPORTACIÓN
+    // ========================================
+
+    /**
+     * Verificar si un formato de exportación es válido
+     * @param {string} format - Formato pedido
+     * @returns {boolean} true si es json, csv o md
+     */
+    isExportFormat(format) {
+        return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+    }
+
+    /**
+     * Exportar el historial de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} format - 'json', 'csv' o 'md'
+     * @returns {Promise<object>} { content, contentType, filename, count }
+     */
+    async export(userId, format) {
+        const turns = await this.getTurns(userId);
+        const basename = path.basename(this.getFilepath(userId), '.jsonl');
+
+        let content;
+        if (format === 'csv') {
+            content = this.toCsv(turns);
+        } else if (format === 'md') {
+            content = this.toMarkdown(userId, turns);
+        } else {
+            content = JSON.stringify({ userId, count: turns.length, turns }, null, 2);
+        }
+
+        return {
+            content,
+            contentType: EXPORT_FORMATS[format],
+            filename: `transcript-${basename}.${format}`,
+            count: turns.length,
+        };
+    }
+
+    /**
+     * Convertir el historial a CSV (una fila por intercambio)
+     * @param {Array<object>} turns - Intercambios
+     * @returns {string} CSV con cabecera
+     */
+    toCsv(turns) {
+        const escape = (value) => {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = turns.map(turn => CSV_COLUMNS.map(column => escape(turn[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Convertir el historial a Markdown (legible para profesores)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {Array<object>} turns - Intercambios
+     * @returns {string} Documento Markdown
+     */
+    toMarkdown(userId, turns) {
+        const quote = (text) => String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+        const lines = [`# Transcript ${userId}`, '', `${turns.length} exchanges`, ''];
+
+        for (const turn of turns) {
+            const details = [turn.type, turn.mode, turn.language, turn.intent].filter(Boolean).join(' · ');
+            lines.push(`## ${turn.at.replace('T', ' ').slice(0, 19)} UTC`, '', `_${details}_`, '');
+            lines.push('**Student:**', '', quote(turn.userText), '');
+            lines.push('**Tutor:**', '', quote(turn.reply), '');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formatear los últimos intercambios para el comando /history
+     * @param {Array<object>} turns - Intercambios (del más antiguo al más reciente)
+     * @param {string} language - Idioma del estudiante ('es' o 'en')
+     * @returns {string} Mensaje de WhatsApp
+     *
+     * Los textos largos se recortan y, si el mensaje pasa el límite de WhatsApp,
+     * se omiten los intercambios más antiguos
+     */
+    formatHistory(turns, language) {
+        const shorten = (text) => {
+            const flat = String(text || '').replace(/\s+/g, ' ').trim();
+            return flat.length > 150 ? `${flat.slice(0, 150)}…` : flat;
+        };
+
+        const blocks = turns.map(turn => {
+            const at = turn.at.slice(5, 16).replace('T', ' ');
+            const icon = turn.type === 'voice' ? '🎤' : turn.type === 'attachment' ? '📄' : '🧑';
+            return `🕒 ${at}\n${icon} ${shorten(turn.userText)}\n🤖 ${shorten(turn.reply)}`;
+        });
+
+        const title = language === 'en' ? '🗂️ Your last exchanges:' : '🗂️ Tus últimos intercambios:';
+        while (blocks.length > 1 && `${title}\n\n${blocks.join('\n\n')}`.length > 1500) {
+            blocks.shift();
+        }
+
+        return `${title}\n\n${blocks.join('\n\n')}`;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new TranscriptHistory();
@@ -0,0 +1,90 @@
+// Importar dependencias
+const userProfile = require('./userProfile');
+const transcriptHistory = require('./transcriptHistory');
+const vocabulary = require('./vocabulary');
+const lessonEngine = require('./lessonEngine');
+const pronunciation = require('./pronunciation');
+const rateLimiter = require('./rateLimiter');
+const errorMonitor = require('./errorMonitor');
+const { getConversationEngine } = require('./conversationEngine');
+const logger = require('../utils/logger');
+
+/**
+ * Borrado de Datos de un Estudiante (/forget)
+ *
+ * Atiende las solicitudes de borrado (derecho al olvido): elimina todo lo que
+ * el servicio guarda de un número de WhatsApp
+ *
+ * | Dato                                  | Dónde                          |
+ * |---------------------------------------|--------------------------------|
+ * | Perfil (nivel, idioma, racha...)      | profiles.json / whatstutor.db  |
+ * | Sesión del motor conversacional       | sessions.json / Redis / memoria|
+ * | Historial de conversaciones           | transcripts/<número>.jsonl     |
+ * | Vocabulario y repaso activo           | vocabulary.json                |
+ * | Lecciones y prueba de nivel           | lessons.json                   |
+ * | Ejercicio de pronunciación            | read-aloud.json                |
+ * | Consumo de audio del día              | audio-usage.json               |
+ * | Mensajes pendientes y fallidos        | message-queue.json             |
+ * | Errores recientes                     | memoria                        |
+ *
+ * Se conservan a propósito:
+ * - La lista de bloqueo: protege el servicio frente al abuso
+ * - Los logs: no contienen teléfonos completos (ver logRedactor.js) y se
+ *   borran al superar config.logging.maxAge
+ * - Las respuestas de voz en temp/: se borran minutos después de enviarse
+ */
+class UserDataEraser {
+    /**
+     * Eliminar todos los datos de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario (whatsapp:+...)
+     * @returns {Promise<object>} Qué se eliminó: { profile, session, transcripts, ... }
+     *
+     * Cada almacén se borra por separado; si alguno falla, el error se propaga
+     * después de intentar el resto, para que el borrado se pueda repetir
+     */
+    async forget(userId) {
+        // Requerido aquí: messageQueue depende de messageHandler, que usa los comandos
+        const messageQueue = require('./messageQueue');
+
+        const tasks = {
+            profile: () => userProfile.deleteProfile(userId),
+            session: () => getConversationEngine().clearSession(userId),
+            transcripts: () => transcriptHistory.deleteUser(userId),
+            vocabulary: () => vocabulary.deleteUser(userId),
+            lessons: () => lessonEngine.deleteUser(userId),
+            pronunciation: () => pronunciation.deleteUser(userId),
+            audioUsage: () => rateLimiter.deleteUser(userId),
+            pendingJobs: () => messageQueue.deleteUserPendingJobs(userId),
+            deadLetters: () => messageQueue.deleteUserDeadLetters(userId),
+            errors: async () => errorMonitor.deleteUser(userId),
+        };
+
+        const names = Object.keys(tasks);
+        const results = await Promise.allSettled(names.map(name => tasks[name]()));
+
+        const deleted = {};
+        const failed = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                deleted[names[index]] = result.value;
+            } else {
+                failed.push(names[index]);
+                logger.error('No se pudieron borrar datos del usuario', {
+                    userId,
+                    store: names[index],
+                    error: result.reason.message,
+                });
+            }
+        });
+
+        if (failed.length > 0) {
+            throw new Error(`Borrado incompleto: ${failed.join(', ')}`);
+        }
+
+        logger.info('Datos del usuario eliminados', { userId, deleted });
+        return deleted;
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new UserDataEraser();
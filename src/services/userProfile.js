@@ -0,0 +1,214 @@
+// Importar dependencias
+const logger = require('../utils/logger');
+const { createProfileRepository } = require('./profileRepository');
+
+/**
+ * Servicio de Perfiles de Estudiantes
+ *
+ * Recuerda a cada estudiante entre conversaciones: idioma nativo, nivel CEFR,
+ * objetivos, contadores de mensajes, racha de días de práctica y última conexión
+ * Los datos se guardan mediante un repositorio intercambiable (JSON o SQLite)
+ */
+class UserProfileService {
+    /**
+     * Constructor
+     * @param {object} repository - Repositorio de perfiles
+     */
+    constructor(repository = createProfileRepository()) {
+        this.repository = repository;
+    }
+
+    /**
+     * Crear un perfil vacío para un usuario nuevo
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {object} Perfil por defecto
+     */
+    createDefaultProfile(userId) {
+        const now = new Date().toISOString();
+
+        return {
+            userId,
+            nativeLanguage: null,   // Idioma nativo ('es', 'en', ...)
+            lastLanguage: null,     // Último idioma en que escribió el estudiante
+            preferredLanguage: null,  // Idioma elegido con /lang (null = automático)
+            voiceReplies: null,     // Respuestas en nota de voz (/voice); null = según configuración
+            corrections: null,      // Correcciones gramaticales (/correct); null = según configuración
+            cefrLevel: null,        // Nivel CEFR (A1, A2, B1, B2, C1, C2)
+            goals: [],              // Objetivos de aprendizaje
+            timezone: 'UTC',        // Zona horaria IANA para calcular las rachas y los recordatorios
+            stats: {
+                totalMessages: 0,
+                textMessages: 0,
+                voiceMessages: 0,
+            },
+            streak: {
+                current: 0,         // Días consecutivos de práctica
+                longest: 0,         // Mejor racha histórica
+                lastPracticeDate: null,  // Último día de práctica (YYYY-MM-DD)
+            },
+            reminders: {
+                enabled: false,     // Recordatorios diarios (opt-in con /remind on)
+                time: null,         // Hora local preferida (HH:MM); null = según configuración
+                pausedUntil: null,  // Pausa hasta esta fecha local (YYYY-MM-DD)
+                lastSentDate: null, // Último día en que se envió un recordatorio
+            },
+            createdAt: now,
+            lastSeen: null,
+        };
+    }
+
+    /**
+     * Obtener el perfil de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object>} Perfil guardado o uno por defecto (sin guardar)
+     *
+     * Los perfiles guardados se completan con los campos por defecto, para que
+     * los perfiles antiguos tengan también los campos añadidos después
+     * Se retorna una copia: modificarla no altera el repositorio (ni su caché)
+     * hasta que se guarda con updateProfile
+     */
+    async getProfile(userId) {
+        const defaults = this.createDefaultProfile(userId);
+        const stored = structuredClone(await this.repository.get(userId)) || {};
+
+        return {
+            ...defaults,
+            ...stored,
+            stats: { ...defaults.stats, ...stored.stats },
+            streak: { ...defaults.streak, ...stored.streak },
+            reminders: { ...defaults.reminders, ...stored.reminders },
+        };
+    }
+
+    /**
+     * Actualizar campos del perfil
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} changes - Campos a modificar (nativeLanguage, cefrLevel, goals, timezone...)
+     * @returns {Promise<object>} Perfil actualizado
+     */
+    async updateProfile(userId, changes) {
+        const profile = { ...(await this.getProfile(userId)), ...changes, userId };
+        await this.repository.save(profile);
+
+        logger.info('Perfil de usuario actualizado', {
+            userId,
+            fields: Object.keys(changes),
+        });
+
+        return profile;
+    }
+
+    /**
+     * Registrar un turno de conversación del estudiante
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} turn - Datos del turno
+     * @param {string} turn.type - Tipo de mensaje ('text' o 'voice')
+     * @param {string} turn.language - Idioma detectado del mensaje
+     * @returns {Promise<object|null>} Perfil actualizado, o null si no se pudo guardar
+     *
+     * Actualiza contadores, racha y última conexión. Un fallo al guardar
+     * el perfil no debe interrumpir la conversación, así que solo se registra
+     */
+    async recordTurn(userId, { type, language }) {
+        try {
+            const profile = await this.getProfile(userId);
+            const now = new Date();
+            const shortLanguage = language ? language.split('-')[0] : null;
+
+            profile.stats.totalMessages += 1;
+            if (type === 'voice') {
+                profile.stats.voiceMessages += 1;
+            } else {
+                profile.stats.textMessages += 1;
+            }
+
+            if (shortLanguage) {
+                profile.lastLanguage = shortLanguage;
+                // Un estudiante de inglés que escribe en otro idioma probablemente lo habla de forma nativa
+                if (!profile.nativeLanguage && shortLanguage !== 'en') {
+                    profile.nativeLanguage = shortLanguage;
+                }
+            }
+
+            this.updateStreak(profile, now);
+            profile.lastSeen = now.toISOString();
+
+            await this.repository.save(profile);
+            return profile;
+        } catch (error) {
+            logger.error('Error al registrar actividad del usuario', {
+                error: error.message,
+                userId,
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Actualizar la racha de práctica diaria
+     * @param {object} profile - Perfil del usuario (se modifica)
+     * @param {Date} now - Fecha actual
+     *
+     * La racha aumenta si el estudiante practicó ayer, se mantiene si ya
+     * practicó hoy y vuelve a 1 si dejó pasar algún día
+     */
+    updateStreak(profile, now) {
+        const today = this.getLocalDate(now, profile.timezone);
+        const { streak } = profile;
+
+        if (streak.lastPracticeDate === today) {
+            return;
+        }
+
+        const yesterday = this.getLocalDate(new Date(now.getTime() - 86400000), profile.timezone);
+        streak.current = streak.lastPracticeDate === yesterday ? streak.current + 1 : 1;
+        streak.longest = Math.max(streak.longest, streak.current);
+        streak.lastPracticeDate = today;
+    }
+
+    /**
+     * Obtener la fecha local (YYYY-MM-DD) en la zona horaria del usuario
+     * @param {Date} date - Fecha
+     * @param {string} timezone - Zona horaria IANA
+     * @returns {string} Fecha en formato YYYY-MM-DD
+     */
+    getLocalDate(date, timezone = 'UTC') {
+        try {
+            return date.toLocaleDateString('en-CA', { timeZone: timezone });
+        } catch (error) {
+            // Zona horaria inválida: usar UTC
+            return date.toISOString().slice(0, 10);
+        }
+    }
+
+    /**
+     * Listar todos los perfiles
+     * @returns {Promise<Array<object>>} Perfiles guardados
+     */
+    async listProfiles() {
+        return this.repository.list();
+    }
+
+    /**
+     * Eliminar el perfil de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si existía
+     */
+    async deleteProfile(userId) {
+        const deleted = await this.repository.delete(userId);
+        if (deleted) {
+            logger.info('Perfil de usuario eliminado', { userId });
+        }
+        return deleted;
+    }
+
+    /**
+     * Cerrar el repositorio (llamado durante el apagado)
+     */
+    async close() {
+        await this.repository.close();
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new UserProfileService();
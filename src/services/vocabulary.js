@@ -0,0 +1,451 @@
+// Importar dependencias
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+/**
+ * Un día en milisegundos (los intervalos de SM-2 se miden en días)
+ */
+const DAY = 86400000;
+
+/**
+ * Patrones de preguntas sobre palabras en inglés (captura automática)
+ */
+const WORD_QUESTION_PATTERNS = [
+    /what does ["'“]?([a-z][a-z'-]*)["'”]? mean/gi,
+    /what is the meaning of ["'“]?([a-z][a-z'-]*)/gi,
+    /what(?:'s| is) ["'“]?([a-z][a-z'-]*)["'”]? in spanish/gi,
+    /qu[eé] significa ["'“]?([a-z][a-z'-]*)/gi,
+    /qu[eé] quiere decir ["'“]?([a-z][a-z'-]*)/gi,
+];
+
+/**
+ * Respuestas que significan "no lo sé" (cuentan como fallo sin intentarlo)
+ */
+const SKIP_ANSWERS = /^\s*(\?+|skip|pass|i don'?t know|no s[eé]|ni idea|paso)\s*[.!]?\s*$/i;
+
+/**
+ * Servicio de Vocabulario con Repetición Espaciada
+ *
+ * Guarda las palabras de cada estudiante como tarjetas y las programa con el
+ * algoritmo SM-2: cada repaso se califica de 0 a 5 y, según la nota, la tarjeta
+ * vuelve a aparecer al día siguiente o tras un intervalo cada vez más largo
+ *
+ * Tipos de pregunta:
+ * - recall: la tarjeta tiene traducción → "¿Cómo se dice X en inglés?"
+ * - usage: sin traducción → "Escribe una frase con X"
+ */
+class VocabularyService {
+    /**
+     * Constructor
+     * @param {string} filepath - Archivo donde se guardan las tarjetas y los repasos activos
+     */
+    constructor(filepath = path.join(config.storage.dataDir, 'vocabulary.json')) {
+        // Clave: número de WhatsApp, Valor: { cards: { palabra: tarjeta }, quiz }
+        this.store = new JsonFileStore(filepath);
+    }
+
+    /**
+     * Normalizar una palabra o respuesta para compararla
+     * @param {string} text - Texto
+     * @returns {string} Texto en minúsculas, sin puntuación ni espacios extra
+     */
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Obtener (o crear) los datos de vocabulario de un usuario
+     * @param {object} data - Datos completos del almacén
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {object} { cards, quiz }
+     */
+    getUserData(data, userId) {
+        if (!data[userId]) {
+            data[userId] = { cards: {}, quiz: null };
+        }
+        return data[userId];
+    }
+
+    /**
+     * Añadir una palabra al vocabulario del estudiante
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} word - Palabra o expresión en inglés
+     * @param {string|null} translation - Traducción (opcional)
+     * @param {string} source - Origen: 'manual' (add word) o 'conversation'
+     * @returns {Promise<object>} { card, created }
+     *
+     * Si la palabra ya existe solo se completa la traducción, sin reiniciar su programación
+     */
+    async addWord(userId, word, translation = null, source = 'manual') {
+        const key = this.normalize(word);
+
+        const result = await this.store.update(data => {
+            const { cards } = this.getUserData(data, userId);
+
+            if (cards[key]) {
+                if (translation) {
+                    cards[key].translation = translation.trim();
+                }
+                return { card: cards[key], created: false };
+            }
+
+            cards[key] = {
+                word: key,
+                translation: translation ? translation.trim() : null,
+                source,
+                easiness: 2.5,      // Factor de facilidad de SM-2
+                interval: 0,        // Días hasta el siguiente repaso
+                repetitions: 0,     // Repasos correctos consecutivos
+                dueAt: Date.now(),  // Próximo repaso (las palabras nuevas se repasan ya)
+                addedAt: new Date().toISOString(),
+                reviews: 0,
+                lapses: 0,
+            };
+            return { card: cards[key], created: true };
+        });
+
+        if (result.created) {
+            logger.info('Palabra añadida al vocabulario', { userId, word: key, source });
+        }
+        return result;
+    }
+
+    /**
+     * Buscar preguntas sobre palabras en inglés en un mensaje
+     * @param {string} text - Mensaje del estudiante
+     * @returns {Array<string>} Palabras preguntadas (ej: "what does overwhelmed mean?")
+     */
+    extractWordQuestions(text) {
+        const words = new Set();
+
+        for (const pattern of WORD_QUESTION_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                words.add(this.normalize(match[1]));
+            }
+        }
+
+        return [...words];
+    }
+
+    /**
+     * Capturar palabras nuevas de la conversación
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} text - Mensaje del estudiante
+     * @returns {Promise<Array<string>>} Palabras añadidas (vacío si no había o ya existían)
+     *
+     * Capturar vocabulario es un extra: un fallo solo se registra
+     */
+    async captureFromText(userId, text) {
+        try {
+            const added = [];
+
+            for (const word of this.extractWordQuestions(text)) {
+                const { created } = await this.addWord(userId, word, null, 'conversation');
+                if (created) {
+                    added.push(word);
+                }
+            }
+
+            return added;
+        } catch (error) {
+            logger.warn('No se pudo capturar vocabulario', { error: error.message, userId });
+            return [];
+        }
+    }
+
+    /**
+     * Obtener las tarjetas de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<Array<object>>} Tarjetas
+     */
+    async getCards(userId) {
+        const data = await this.store.read();
+        return Object.values(data[userId]?.cards || {});
+    }
+
+    /**
+     * Obtener las tarjetas pendientes de repaso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {number} limit - Máximo de tarjetas
+     * @returns {Promise<Array<object>>} Tarjetas vencidas, las más atrasadas primero
+     */
+    async getDueCards(userId, limit = config.vocabulary.quizSize) {
+        const now = Date.now();
+        const cards = await this.getCards(userId);
+
+        return cards
+            .filter(card => card.dueAt <= now)
+            .sort((a, b) => a.dueAt - b.dueAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Iniciar un repaso con las tarjetas vencidas
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object|null>} Repaso creado, o null si no hay tarjetas pendientes
+     */
+    async startQuiz(userId) {
+        const due = await this.getDueCards(userId);
+        if (due.length === 0) {
+            return null;
+        }
+
+        const quiz = {
+            words: due.map(card => card.word),
+            index: 0,
+            correct: 0,
+            startedAt: Date.now(),
+        };
+
+        await this.store.update(data => {
+            this.getUserData(data, userId).quiz = quiz;
+        });
+
+        logger.info('Repaso de vocabulario iniciado', { userId, cards: quiz.words.length });
+        return quiz;
+    }
+
+    /**
+     * Obtener el repaso activo de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<object|null>} Repaso activo o null
+     *
+     * Un repaso abandonado caduca para que no capture mensajes posteriores
+     */
+    async getActiveQuiz(userId) {
+        const data = await this.store.read();
+        const quiz = data[userId]?.quiz;
+
+        if (quiz && Date.now() - quiz.startedAt > config.vocabulary.quizTtl) {
+            await this.endQuiz(userId);
+            return null;
+        }
+
+        return quiz || null;
+    }
+
+    /**
+     * Terminar el repaso activo de un usuario
+     * @param {string} userId - Número de WhatsApp del usuario
+     */
+    async endQuiz(userId) {
+        await this.store.update(data => {
+            if (data[userId]) {
+                data[userId].quiz = null;
+            }
+        });
+    }
+
+    /**
+     * Eliminar todo el vocabulario de un usuario (tarjetas y repaso activo)
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @returns {Promise<boolean>} true si tenía datos
+     */
+    async deleteUser(userId) {
+        return this.store.update(data => {
+            const existed = Boolean(data[userId]);
+            delete data[userId];
+            return existed;
+        });
+    }
+
+    /**
+     * Obtener la tarjeta de la pregunta actual del repaso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {object} quiz - Repaso activo
+     * @returns {Promise<object|null>} Tarjeta actual
+     */
+    async getCurrentCard(userId, quiz) {
+        const data = await this.store.read();
+        return data[userId]?.cards[quiz.words[quiz.index]] || null;
+    }
+
+    /**
+     * Distancia de edición entre dos textos (para tolerar errores de escritura)
+     * @param {string} a - Primer texto
+     * @param {string} b - Segundo texto
+     * @returns {number} Número mínimo de cambios de carácter
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Calificar una respuesta con la escala de SM-2 (0-5)
+     * @param {object} card - Tarjeta preguntada
+     * @param {string} answer - Respuesta escrita o transcrita
+     * @returns {number} Calificación: 5 exacta, 4 correcta en una frase,
+     *                   3 con un error de escritura, 1-2 incorrecta, 0 sin respuesta
+     */
+    grade(card, answer) {
+        if (!answer || SKIP_ANSWERS.test(answer)) {
+            return 0;
+        }
+
+        const normalized = this.normalize(answer);
+        const containsWord = ` ${normalized} `.includes(` ${card.word} `);
+
+        // Pregunta de uso: basta con usar la palabra en una frase
+        if (!card.translation) {
+            return containsWord ? 4 : 2;
+        }
+
+        if (normalized === card.word) {
+            return 5;
+        }
+        // Respuestas habladas como "the word is apple" o "an apple"
+        if (containsWord) {
+            return 4;
+        }
+        // Un error de escritura en palabras no muy cortas
+        if (card.word.length >= 4 && this.editDistance(normalized, card.word) <= 1) {
+            return 3;
+        }
+        return 1;
+    }
+
+    /**
+     * Reprogramar una tarjeta con el algoritmo SM-2
+     * @param {object} card - Tarjeta (se modifica)
+     * @param {number} quality - Calificación 0-5
+     * @param {number} now - Marca de tiempo actual
+     */
+    schedule(card, quality, now = Date.now()) {
+        if (quality >= 3) {
+            if (card.repetitions === 0) {
+                card.interval = 1;
+            } else if (card.repetitions === 1) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.easiness);
+            }
+            card.repetitions += 1;
+        } else {
+            // Respuesta incorrecta: la tarjeta vuelve a empezar
+            card.repetitions = 0;
+            card.interval = 1;
+            card.lapses += 1;
+        }
+
+        card.easiness = Math.max(
+            1.3,
+            card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+        card.reviews += 1;
+        card.lastReviewedAt = new Date(now).toISOString();
+        card.dueAt = now + card.interval * DAY;
+    }
+
+    /**
+     * Responder la pregunta actual del repaso
+     * @param {string} userId - Número de WhatsApp del usuario
+     * @param {string} answer - Respuesta escrita o transcrita
+     * @returns {Promise<object|null>} { card, quality, correct, quiz, finished } o null si no hay repaso
+     */
+    async answerQuiz(userId, answer) {
+        const result = await this.store.update(data => {
+            const userData = data[userId];
+            const quiz = userData?.quiz;
+            if (!quiz) {
+                return null;
+            }
+
+            const card = userData.cards[quiz.words[quiz.index]];
+            let quality = null;
+            if (card) {
+                quality = this.grade(card, answer);
+                this.schedule(card, quality);
+                if (quality >= 3) {
+                    quiz.correct += 1;
+                }
+            }
+
+            quiz.index += 1;
+            const finished = quiz.index >= quiz.words.length;
+            if (finished) {
+                userData.quiz = null;
+            }
+
+            return { card: card && { ...card }, quality, correct: quality >= 3, quiz: { ...quiz }, finished };
+        });
+
+        if (result?.card) {
+            logger.info('Respuesta de vocabulario calificada', {
+                userId,
+                word: result.card.word,
+                quality: result.quality,
+                interval: result.card.interval,
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Construir la pregunta de una tarjeta
+     * @param {object} card - Tarjeta
+     * @param {object} quiz - Repaso activo (para mostrar el progreso)
+     * @returns {string} Pregunta bilingüe
+     */
+    formatQuestion(card, quiz) {
+        const header = `🧠 Vocabulario / Vocabulary (${quiz.index + 1}/${quiz.words.length})`;
+
+        const question = card.translation
+            ? `¿Cómo se dice "${card.translation}" en inglés?\nHow do you say "${card.translation}" in English?`
+            : `Escribe o di una frase con "${card.word}".\nWrite or say a sentence using "${card.word}".`;
+
+        return `${header}\n\n${question}\n\n✍️ / 🎤 (o "skip" si no lo sabes)`;
+    }
+
+    /**
+     * Construir la retroalimentación de una respuesta
+     * @param {object} result - Resultado de answerQuiz()
+     * @returns {string} Mensaje bilingüe con la respuesta correcta y el próximo repaso
+     */
+    formatResult(result) {
+        const { card, correct } = result;
+        const next = card.interval === 1
+            ? 'mañana / tomorrow'
+            : `en ${card.interval} días / in ${card.interval} days`;
+
+        if (correct) {
+            return `✅ ¡Correcto! / Correct! *${card.word}*\n📅 Próximo repaso / Next review: ${next}`;
+        }
+
+        return card.translation
+            ? `❌ La respuesta era / The answer was: *${card.word}* (${card.translation})\n📅 Próximo repaso / Next review: ${next}`
+            : `❌ Intenta usar / Try to use *${card.word}* en tu frase.\n📅 Próximo repaso / Next review: ${next}`;
+    }
+
+    /**
+     * Construir el resumen del repaso
+     * @param {object} quiz - Repaso terminado
+     * @returns {string} Resumen bilingüe
+     */
+    formatSummary(quiz) {
+        return `🏁 Repaso terminado / Review finished: ${quiz.correct}/${quiz.words.length} ✅\n` +
+            'Escribe /quiz para repasar más tarde. / Type /quiz to review later.';
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new VocabularyService();
@@ -2,6 +2,8 @@
 const twilio = require('twilio');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const metrics = require('./metrics');
 const { WhatsAppError } = require('../utils/errorHandler');
 
 /**
@@ -29,6 +31,7 @@ class WhatsAppClient {
      * @returns {Promise<object>} Respuesta del mensaje de Twilio
      */
     async sendTextMessage(to, message) {
+        const end = metrics.startTimer('send');
         try {
             logger.info('Enviando mensaje de texto', { to, messageLength: message.length });
 
@@ -39,9 +42,13 @@ class WhatsAppClient {
                 body: message,               // Contenido del mensaje
             });
 
+            end();
+            // Las líneas de log siguientes del mensaje en curso llevan también este SID
+            requestContext.set('outboundSid', response.sid);
             logger.info('Mensaje enviado exitosamente', { sid: response.sid, to });
             return response;
         } catch (error) {
+            end(error);
             logger.error('Error al enviar mensaje de texto', { error: error.message, to });
             throw new WhatsAppError(`Error al enviar mensaje: ${error.message}`);
         }
@@ -56,6 +63,7 @@ class WhatsAppClient {
      * Nota: El archivo de audio debe estar alojado en una URL pública accesible
      */
     async sendAudioMessage(to, audioUrl) {
+        const end = metrics.startTimer('send');
         try {
             logger.info('Enviando mensaje de audio', { to, audioUrl });
 
@@ -66,14 +74,50 @@ class WhatsAppClient {
                 mediaUrl: [audioUrl],        // Array de URLs de medios
             });
 
+            end();
+            requestContext.set('outboundSid', response.sid);
             logger.info('Mensaje de audio enviado exitosamente', { sid: response.sid, to });
             return response;
         } catch (error) {
+            end(error);
             logger.error('Error al enviar mensaje de audio', { error: error.message, to });
             throw new WhatsAppError(`Error al enviar audio: ${error.message}`);
         }
     }
 
+    /**
+     * Enviar un mensaje de plantilla aprobada vía WhatsApp
+     * @param {string} to - Número de WhatsApp del destinatario
+     * @param {string} contentSid - SID de la plantilla en Twilio Content (HX...)
+     * @param {object} variables - Valores de las variables de la plantilla ({ "1": "..." })
+     * @returns {Promise<object>} Respuesta del mensaje de Twilio
+     *
+     * Fuera de la ventana de 24 horas desde el último mensaje del usuario,
+     * WhatsApp solo permite iniciar conversaciones con plantillas aprobadas
+     */
+    async sendTemplateMessage(to, contentSid, variables = {}) {
+        const end = metrics.startTimer('send');
+        try {
+            logger.info('Enviando mensaje de plantilla', { to, contentSid });
+
+            const response = await this.client.messages.create({
+                from: this.fromNumber,
+                to,
+                contentSid,                                   // Plantilla aprobada
+                contentVariables: JSON.stringify(variables),  // Variables de la plantilla
+            });
+
+            end();
+            requestContext.set('outboundSid', response.sid);
+            logger.info('Mensaje de plantilla enviado exitosamente', { sid: response.sid, to });
+            return response;
+        } catch (error) {
+            end(error);
+            logger.error('Error al enviar mensaje de plantilla', { error: error.message, to });
+            throw new WhatsAppError(`Error al enviar plantilla: ${error.message}`);
+        }
+    }
+
     /**
      * Enviar mensaje con lógica de reintento
      * @param {string} to - Número del destinatario
@@ -98,6 +142,14 @@ class WhatsAppClient {
         }
     }
 
+    /**
+     * Verificar que Twilio responde y acepta las credenciales (para /ready)
+     * Consulta los datos de la cuenta, una petición de solo lectura sin coste
+     */
+    async ping() {
+        await this.client.api.v2010.accounts(config.twilio.accountSid).fetch();
+    }
+
     /**
      * Formatear número de WhatsApp
      * @param {string} number - Número de teléfono
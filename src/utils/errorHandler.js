@@ -41,6 +41,26 @@ class ValidationError extends AppError {
     }
 }
 
+/**
+ * Error de acceso prohibido (403 Forbidden)
+ * Usado cuando una petición no está autorizada (ej: firma de Twilio inválida)
+ */
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message, 403);
+    }
+}
+
+/**
+ * Error de recurso no encontrado (404 Not Found)
+ * Usado cuando el recurso solicitado no existe
+ */
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, 404);
+    }
+}
+
 /**
  * Error de procesamiento de audio (422 Unprocessable Entity)
  * Usado cuando hay problemas con archivos de audio
@@ -51,6 +71,16 @@ class AudioProcessingError extends AppError {
     }
 }
 
+/**
+ * Error de procesamiento de medios (422 Unprocessable Entity)
+ * Usado cuando no se puede leer una imagen o un documento
+ */
+class MediaProcessingError extends AppError {
+    constructor(message) {
+        super(message, 422);
+    }
+}
+
 /**
  * Error de WhatsApp (502 Bad Gateway)
  * Usado cuando falla la comunicación con Twilio/WhatsApp
@@ -71,6 +101,68 @@ class DialogflowError extends AppError {
     }
 }
 
+/**
+ * Error de Speech-to-Text (503 Service Unavailable)
+ * Usado cuando Google Speech-to-Text no responde o no está disponible
+ */
+class SpeechToTextError extends AppError {
+    constructor(message) {
+        super(message, 503);
+    }
+}
+
+/**
+ * Error del motor conversacional (503 Service Unavailable)
+ * Usado cuando falla el motor local o la API de chat compatible con OpenAI
+ */
+class ConversationEngineError extends AppError {
+    constructor(message) {
+        super(message, 503);
+    }
+}
+
+/**
+ * Verificar si un error es transitorio y vale la pena reintentar
+ * @param {Error} error - Error producido
+ * @returns {boolean} true para bugs y errores de servicios externos (5xx)
+ *
+ * Los errores del usuario (4xx: audio inválido, formato incorrecto...)
+ * volverían a fallar, así que no se reintentan
+ */
+const isRetryable = (error) => !error.isOperational || error.statusCode >= 500;
+
+/**
+ * Códigos gRPC de fallos pasajeros de Google Cloud
+ * CANCELLED, UNKNOWN, DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+ */
+const TRANSIENT_GRPC_CODES = [1, 2, 4, 8, 10, 13, 14];
+
+/**
+ * Códigos de error de red de Node y axios (conexión cortada, timeouts, DNS...)
+ */
+const TRANSIENT_NETWORK_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK',
+];
+
+/**
+ * Verificar si el error de un servicio externo es pasajero
+ * @param {Error} error - Error de axios, de un cliente gRPC de Google o de la red
+ * @returns {boolean} true para 5xx/429, códigos gRPC pasajeros y fallos de red
+ *
+ * Sirve para no confundir una caída del servicio con un problema del
+ * archivo del estudiante (que se informa como 422 y no se reintenta)
+ */
+const isTransientError = (error) => {
+    if (error.response) {
+        return error.response.status >= 500 || error.response.status === 429;
+    }
+    if (typeof error.code === 'number') {
+        return TRANSIENT_GRPC_CODES.includes(error.code);
+    }
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+};
+
 // ========================================
 // MANEJADOR DE ERRORES GLOBAL
 // ========================================
@@ -145,10 +237,17 @@ module.exports = {
     // Clases de error
     AppError,
     ValidationError,
+    ForbiddenError,
+    NotFoundError,
     AudioProcessingError,
+    MediaProcessingError,
     WhatsAppError,
     DialogflowError,
+    SpeechToTextError,
+    ConversationEngineError,
     // Utilidades
+    isRetryable,
+    isTransientError,
     errorHandler,
     asyncHandler,
 };
@@ -0,0 +1,105 @@
+// Importar módulos para manejo de archivos
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * ALMACENAMIENTO EN ARCHIVO JSON
+ *
+ * Pequeño helper para persistir un objeto JSON en disco
+ * Los datos se cargan una sola vez y se mantienen en memoria;
+ * cada escritura reemplaza el archivo de forma atómica (archivo temporal + rename)
+ * para que un reinicio a mitad de escritura no deje el archivo corrupto
+ */
+class JsonFileStore {
+    /**
+     * @param {string} filepath - Ruta del archivo JSON
+     * @param {object} defaultValue - Valor inicial si el archivo no existe
+     */
+    constructor(filepath, defaultValue = {}) {
+        this.filepath = filepath;
+        this.defaultValue = defaultValue;
+        this.data = null;           // Datos en memoria (se cargan de forma perezosa)
+        this.loading = null;        // Promesa de carga en curso
+        this.writing = Promise.resolve();  // Cadena de escrituras para serializarlas
+    }
+
+    /**
+     * Leer los datos (cargando desde disco la primera vez)
+     * @returns {Promise<object>} Datos actuales
+     */
+    async read() {
+        if (this.data) {
+            return this.data;
+        }
+
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Cargar el archivo desde disco
+     * @returns {Promise<object>} Datos cargados o valor por defecto
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.filepath, 'utf8');
+            this.data = JSON.parse(content);
+        } catch (error) {
+            // Un archivo inexistente es normal en el primer arranque
+            if (error.code !== 'ENOENT') {
+                logger.warn('No se pudo leer el archivo de datos, se usará el valor por defecto', {
+                    error: error.message,
+                    filepath: this.filepath,
+                });
+            }
+            this.data = structuredClone(this.defaultValue);
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Modificar los datos y persistirlos
+     * @param {function} mutator - Función que recibe los datos y los modifica (puede retornar un valor)
+     * @returns {Promise<*>} Valor retornado por el mutator
+     */
+    async update(mutator) {
+        const data = await this.read();
+        const result = mutator(data);
+        await this.persist();
+        return result;
+    }
+
+    /**
+     * Escribir los datos en memoria a disco
+     *
+     * Las escrituras se encadenan para que nunca haya dos renames concurrentes
+     * sobre el mismo archivo
+     */
+    async persist() {
+        this.writing = this.writing
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filepath}.tmp`;
+                await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify(this.data));
+                await fs.rename(tempPath, this.filepath);
+            });
+
+        try {
+            await this.writing;
+        } catch (error) {
+            logger.error('Error al persistir archivo de datos', {
+                error: error.message,
+                filepath: this.filepath,
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,119 @@
+// Importar biblioteca Winston para definir el formato
+const winston = require('winston');
+
+/**
+ * REDACCIÓN DE DATOS PERSONALES EN LOS LOGS
+ *
+ * Los logs se guardan en disco y se comparten al depurar, así que no deben
+ * contener datos personales de los estudiantes. Según config.logging.redaction:
+ *
+ * - 'none': sin cambios (solo para desarrollo local)
+ * - 'phones': los números de teléfono se enmascaran dejando los 4 últimos
+ *   dígitos (whatsapp:+34600111222 → whatsapp:+*******1222), suficiente para
+ *   distinguir conversaciones sin identificar a nadie
+ * - 'content': además, los textos de los estudiantes y del tutor (mensajes,
+ *   transcripciones, respuestas) se sustituyen por su longitud
+ *
+ * No requiere el logger: el logger depende de este módulo
+ */
+
+/**
+ * Números de teléfono en formato internacional, con o sin prefijo "whatsapp:"
+ */
+const PHONE_PATTERN = /(whatsapp:)?\+(\d{3,11})(\d{4})\b/g;
+
+/**
+ * Campos de los metadatos que contienen texto escrito o dictado por el
+ * estudiante o generado para él
+ */
+const CONTENT_FIELDS = new Set([
+    'text', 'body', 'Body', 'args', 'word', 'transcript', 'transcription', 'reply', 'userText', 'translation',
+]);
+
+/**
+ * Niveles de redacción válidos
+ */
+const REDACTION_LEVELS = ['none', 'phones', 'content'];
+
+// ========================================
+// FUNCIONES DE REDACCIÓN
+// ========================================
+
+/**
+ * Enmascarar los números de teléfono de un texto
+ * @param {string} text - Texto a revisar
+ * @returns {string} Texto con los números enmascarados
+ */
+function maskPhones(text) {
+    return text.replace(PHONE_PATTERN, (match, prefix = '', hidden, visible) =>
+        `${prefix}+${'*'.repeat(hidden.length)}${visible}`
+    );
+}
+
+/**
+ * Sustituir un contenido por una marca con su tamaño
+ * @param {*} value - Texto, lista u otro valor
+ * @returns {string} Marca '[redactado: N caracteres]'
+ */
+function maskContent(value) {
+    if (typeof value === 'string') {
+        return `[redactado: ${value.length} caracteres]`;
+    }
+    return Array.isArray(value) ? `[redactado: ${value.length} elementos]` : '[redactado]';
+}
+
+/**
+ * Redactar un valor de los metadatos (recorre objetos y listas sin modificar los originales)
+ * @param {*} value - Valor a redactar
+ * @param {string} level - 'phones' o 'content'
+ * @returns {*} Copia redactada
+ */
+function redactValue(value, level) {
+    if (typeof value === 'string') {
+        return maskPhones(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, level));
+    }
+    // Solo objetos planos: los errores, fechas, buffers... se dejan como están
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = level === 'content' && CONTENT_FIELDS.has(key) && item != null
+                ? maskContent(item)
+                : redactValue(item, level);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Crear el formato de Winston que redacta cada línea de log
+ * @param {string} level - 'none', 'phones' o 'content'
+ * @returns {object} Formato de Winston
+ *
+ * Un nivel desconocido se trata como 'content': ante la duda, se oculta más
+ */
+function createRedactionFormat(level) {
+    const effective = REDACTION_LEVELS.includes(level) ? level : 'content';
+
+    return winston.format((info) => {
+        if (effective === 'none') {
+            return info;
+        }
+        // Se reemplazan solo las propiedades de texto (las internas de Winston son símbolos)
+        return Object.assign(info, redactValue({ ...info }, effective));
+    })();
+}
+
+// ========================================
+// EXPORTAR MÓDULOS
+// ========================================
+
+module.exports = {
+    REDACTION_LEVELS,
+    maskPhones,
+    redactValue,
+    createRedactionFormat,
+};
@@ -1,6 +1,9 @@
 // Importar biblioteca Winston para logging avanzado
 const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
 const config = require('../config/config');
+const requestContext = require('./requestContext');
+const { createRedactionFormat } = require('./logRedactor');
 
 /**
  * SISTEMA DE LOGGING CON WINSTON
@@ -15,11 +18,30 @@ const config = require('../config/config');
  * - debug: Información de depuración detallada
  */
 
+/**
+ * Añadir el contexto de correlación (correlationId, outboundSid) a cada línea
+ * registrada durante el procesamiento de un mensaje (ver requestContext.js)
+ * Los campos que se pasan explícitamente en la llamada tienen prioridad
+ */
+const correlation = winston.format((info) => {
+    const context = requestContext.get();
+    if (context) {
+        for (const [key, value] of Object.entries(context)) {
+            if (info[key] === undefined) {
+                info[key] = value;
+            }
+        }
+    }
+    return info;
+});
+
 // Formato de log estructurado (JSON) para archivos
 const logFormat = winston.format.combine(
+    correlation(),  // Añadir ID de correlación del mensaje en curso
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),  // Añadir timestamp
     winston.format.errors({ stack: true }),  // Incluir stack traces de errores
     winston.format.splat(),  // Soportar interpolación de strings (%s, %d, etc.)
+    createRedactionFormat(config.logging.redaction),  // Ocultar teléfonos y contenido (ver logRedactor.js)
     winston.format.json()  // Formatear como JSON para fácil parsing
 );
 
@@ -37,12 +59,39 @@ const consoleFormat = winston.format.combine(
     })
 );
 
+/**
+ * Crear un archivo de log con rotación
+ * @param {string} name - Nombre base ('error' o 'combined')
+ * @param {object} options - Opciones adicionales del transport (level...)
+ * @returns {DailyRotateFile} Transport de Winston
+ *
+ * Genera logs/<name>-AAAA-MM-DD.log (con sufijo .1, .2... si un día supera el
+ * tamaño máximo) y un enlace logs/<name>.log al archivo actual
+ */
+function createFileTransport(name, options = {}) {
+    return new DailyRotateFile({
+        dirname: 'logs',
+        filename: `${name}-%DATE%.log`,
+        datePattern: 'YYYY-MM-DD',
+        maxSize: config.logging.maxSize,
+        maxFiles: config.logging.maxAge,
+        createSymlink: true,
+        symlinkName: `${name}.log`,
+        // Registro interno de los archivos creados (para borrar los antiguos)
+        auditFile: `logs/.${name}-audit.json`,
+        ...options,
+    });
+}
+
 /**
  * Crear instancia del logger
  * 
  * Configuración:
  * - Nivel de log desde configuración (por defecto 'info')
  * - Múltiples destinos (transports): consola y archivos
+ * - Los archivos rotan cada día o al llegar a config.logging.maxSize, y se
+ *   borran al superar config.logging.maxAge (logs/combined.log y
+ *   logs/error.log apuntan siempre al archivo actual)
  */
 const logger = winston.createLogger({
     level: config.app.logLevel,  // Nivel mínimo de logs a registrar
@@ -56,16 +105,11 @@ const logger = winston.createLogger({
 
         // Transport 2: Archivo de errores
         // Solo registra mensajes de nivel 'error'
-        new winston.transports.File({
-            filename: 'logs/error.log',
-            level: 'error',
-        }),
+        createFileTransport('error', { level: 'error' }),
 
         // Transport 3: Archivo combinado
         // Registra todos los niveles de log
-        new winston.transports.File({
-            filename: 'logs/combined.log',
-        }),
+        createFileTransport('combined'),
     ],
 });
 
@@ -0,0 +1,53 @@
+/**
+ * PROGRESO DEL PROCESAMIENTO DE UN MENSAJE
+ *
+ * Cuando un mensaje falla, la cola lo vuelve a procesar desde el principio.
+ * Los pasos con efectos (enviar una respuesta, corregir una lección, sumar un
+ * turno...) se ejecutan a través de step(): su resultado se guarda junto al
+ * trabajo de la cola y, en el reintento, el paso ya completado no se repite
+ * sino que devuelve el resultado guardado
+ *
+ * Los resultados se guardan como JSON, así que deben ser datos simples
+ */
+class MessageProgress {
+    /**
+     * @param {object} completed - Resultados de los pasos completados (clave: nombre del paso)
+     * @param {function} persist - Función que guarda los resultados tras cada paso
+     * @param {string} prefix - Prefijo de los nombres de paso (para cada adjunto de un mensaje)
+     */
+    constructor(completed = {}, persist = async () => {}, prefix = '') {
+        this.completed = completed;
+        this.persist = persist;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Ejecutar un paso una sola vez por mensaje
+     * @param {string} name - Nombre del paso (único dentro del mensaje)
+     * @param {function} fn - Función asíncrona que ejecuta el paso
+     * @returns {Promise<*>} Resultado del paso (el guardado si ya se completó)
+     */
+    async step(name, fn) {
+        const key = this.prefix + name;
+        if (Object.prototype.hasOwnProperty.call(this.completed, key)) {
+            return this.completed[key];
+        }
+
+        const result = await fn();
+        this.completed[key] = result === undefined ? null : result;
+        await this.persist();
+
+        return this.completed[key];
+    }
+
+    /**
+     * Crear un progreso con nombres de paso propios (ej: uno por nota de voz)
+     * @param {string} prefix - Prefijo que se añade a los nombres de paso
+     * @returns {MessageProgress} Progreso que comparte los resultados con este
+     */
+    scope(prefix) {
+        return new MessageProgress(this.completed, this.persist, `${this.prefix}${prefix}:`);
+    }
+}
+
+module.exports = MessageProgress;
@@ -0,0 +1,91 @@
+// Importar dependencias
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+/**
+ * Formato aceptado para la cabecera X-Request-Id (evita valores arbitrarios en los logs)
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Contexto de Correlación por Mensaje
+ *
+ * Cuando varios estudiantes escriben a la vez, las líneas de log de cada
+ * mensaje (webhook, cola, transcripción, Dialogflow, envío...) se mezclan.
+ * Este contexto acompaña a todo el procesamiento de un mensaje gracias a
+ * AsyncLocalStorage, sin pasarlo como parámetro, y el logger lo añade a
+ * cada línea:
+ *
+ *   {
+ *     correlationId,   // MessageSid de Twilio (o un ID generado si no lo hay)
+ *     outboundSid,     // SID del último mensaje enviado al estudiante
+ *   }
+ *
+ * Así, `grep SM1234... logs/combined.log` muestra el recorrido completo de
+ * un mensaje, incluidos sus reintentos en la cola
+ *
+ * No requiere el logger: el logger depende de este módulo
+ */
+class RequestContext {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Ejecutar una función dentro de un contexto de correlación
+     * @param {object} context - { correlationId } (se genera uno si falta)
+     * @param {Function} fn - Función a ejecutar (síncrona o asíncrona)
+     * @returns {*} Resultado de la función
+     */
+    run(context, fn) {
+        return this.storage.run({ ...context, correlationId: context.correlationId || randomUUID() }, fn);
+    }
+
+    /**
+     * Obtener el contexto actual
+     * @returns {object|undefined} Contexto, o undefined fuera del procesamiento de un mensaje
+     */
+    get() {
+        return this.storage.getStore();
+    }
+
+    /**
+     * Obtener el ID de correlación actual
+     * @returns {string|null} ID de correlación o null
+     */
+    getCorrelationId() {
+        return this.get()?.correlationId || null;
+    }
+
+    /**
+     * Añadir un dato al contexto actual (no hace nada fuera de un contexto)
+     * @param {string} key - Campo (ej: 'outboundSid')
+     * @param {*} value - Valor
+     */
+    set(key, value) {
+        const context = this.get();
+        if (context) {
+            context[key] = value;
+        }
+    }
+
+    /**
+     * Middleware de Express que abre un contexto por petición
+     * @returns {Function} Middleware (req, res, next)
+     *
+     * Usa el MessageSid de Twilio en el webhook, la cabecera X-Request-Id si
+     * la envía un proxy o un ID generado, y lo devuelve en X-Request-Id
+     */
+    middleware() {
+        return (req, res, next) => {
+            const header = req.get('X-Request-Id');
+            const correlationId = req.body?.MessageSid
+                || (header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID());
+            res.set('X-Request-Id', correlationId);
+            this.run({ correlationId }, next);
+        };
+    }
+}
+
+// Exportar una instancia única (singleton)
+module.exports = new RequestContext();
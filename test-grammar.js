@@ -0,0 +1,48 @@
+// Regression check of the grammar rules against a labeled corpus
+// Samples with a suggestion must get exactly that correction;
+// samples without one are correct English and must get none
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const grammarChecker = require('./src/services/grammarChecker');
+const corpus = require('./src/data/grammarTestCorpus.json');
+
+console.log('🔍 Whatstutor AI - Grammar Rules Test\n');
+
+const failures = [];
+const covered = new Set();
+
+for (const sample of corpus) {
+    const corrections = grammarChecker.check(sample.text);
+    const found = corrections.map(({ rule, suggestion }) => `${rule}: ${suggestion}`);
+
+    if (sample.suggestion) {
+        covered.add(sample.rule);
+        const expected = `${sample.rule}: ${sample.suggestion}`;
+        if (found.length !== 1 || found[0] !== expected) {
+            failures.push({ text: sample.text, problem: `got [${found.join(' | ')}] (expected ${expected})` });
+        }
+    } else if (found.length > 0) {
+        failures.push({ text: sample.text, problem: `got [${found.join(' | ')}] (expected no correction)` });
+    }
+}
+
+// Every rule needs at least one positive sample
+const uncovered = grammarChecker.rules
+    .map(rule => rule.id)
+    .filter(id => !covered.has(id));
+
+failures.forEach(({ text, problem }) => {
+    console.log(`✗ "${text}" → ${problem}`);
+});
+uncovered.forEach(id => {
+    console.log(`✗ Rule ${id} has no positive sample`);
+});
+
+console.log(`\n${corpus.length - failures.length}/${corpus.length} samples correct`);
+
+if (failures.length > 0 || uncovered.length > 0) {
+    console.log('❌ Grammar rules regressed');
+    process.exit(1);
+}
+
+console.log('✅ Grammar rules OK');
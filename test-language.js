@@ -0,0 +1,52 @@
+// Quick check of the offline language identifier against a labeled corpus
+const languageIdentifier = require('./src/services/languageIdentifier');
+const corpus = require('./src/data/languageTestCorpus.json');
+
+// Minimum share of corpus entries that must be classified as labeled
+// (code-switching samples are not covered by it: every one of them must pass)
+const MIN_ACCURACY = 0.9;
+
+console.log('🔍 Whatstutor AI - Language Identification Test\n');
+
+const failures = [];
+
+for (const sample of corpus) {
+    // An unknown fallback makes unreliable detections visible
+    const result = languageIdentifier.identify(sample.text, { fallback: 'unknown' });
+    const problems = [];
+
+    if (sample.language && result.language !== sample.language) {
+        problems.push(`language ${result.language} (expected ${sample.language})`);
+    }
+    if (sample.mixed !== undefined && result.mixed !== sample.mixed) {
+        problems.push(`mixed ${result.mixed} (expected ${sample.mixed})`);
+    }
+    if (sample.fallback && result.reliable) {
+        problems.push(`reliable detection of ${result.language} (expected fallback)`);
+    }
+
+    if (problems.length > 0) {
+        failures.push({ text: sample.text, problems, confidence: result.confidence, mixed: sample.mixed });
+    }
+}
+
+const accuracy = (corpus.length - failures.length) / corpus.length;
+const mixedFailures = failures.filter(({ mixed }) => mixed);
+
+failures.forEach(({ text, problems, confidence }) => {
+    console.log(`✗ "${text}" → ${problems.join(', ')} [confidence ${confidence.toFixed(2)}]`);
+});
+
+console.log(`\n${corpus.length - failures.length}/${corpus.length} samples correct (${(accuracy * 100).toFixed(1)}%)`);
+
+if (accuracy < MIN_ACCURACY) {
+    console.log(`❌ Accuracy below ${MIN_ACCURACY * 100}%`);
+    process.exit(1);
+}
+
+if (mixedFailures.length > 0) {
+    console.log(`❌ ${mixedFailures.length} code-switching sample(s) misclassified`);
+    process.exit(1);
+}
+
+console.log('✅ Language identification OK');
@@ -0,0 +1,224 @@
+// Scripted checks of the webhook and the message queue
+// Runs with the simulator (no Twilio, Google or network) on a temporary data directory:
+//   node test-queue.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration is read when the services load: set it before requiring them
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatstutor-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_STORE = 'file';
+process.env.PROFILE_STORE = 'file';
+process.env.TWILIO_VALIDATE_SIGNATURE = 'false';
+process.env.QUEUE_RETRY_BASE_DELAY = '50';
+process.env.QUEUE_POLL_INTERVAL = '50';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const simulator = require('./src/dev/simulator');
+const webhookRoutes = require('./src/routes/webhook');
+const messageQueue = require('./src/services/messageQueue');
+const messageHandler = require('./src/services/messageHandler');
+const lessonEngine = require('./src/services/lessonEngine');
+const userProfile = require('./src/services/userProfile');
+const transcriptHistory = require('./src/services/transcriptHistory');
+const whatsappClient = require('./src/services/whatsappClient');
+const speechToText = require('./src/services/speechToText');
+const { errorHandler, WhatsAppError, ValidationError } = require('./src/utils/errorHandler');
+
+console.log('🔍 Whatstutor AI - Queue and Webhook Test\n');
+
+const failures = [];
+const unhandled = [];
+process.on('unhandledRejection', reason => unhandled.push(reason));
+
+/**
+ * Record the result of one check
+ */
+function check(name, passed, detail = '') {
+    console.log(`${passed ? '✓' : '✗'} ${name}${passed || !detail ? '' : ` (${detail})`}`);
+    if (!passed) {
+        failures.push(name);
+    }
+}
+
+/**
+ * Wait until the queue has no pending or running jobs
+ */
+async function drain(timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const { pending, active } = await messageQueue.getStats();
+        if (pending === 0 && active === 0) {
+            return true;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return false;
+}
+
+/**
+ * Replies sent by the tutor to a student
+ */
+function repliesTo(from) {
+    return simulator.outbox.filter(message => message.to === from).map(message => message.body || message.mediaUrl);
+}
+
+/**
+ * Make the next `times` WhatsApp text sends fail with a transient error
+ */
+function failNextSends(times) {
+    const send = whatsappClient.sendTextMessage;
+    let remaining = times;
+    whatsappClient.sendTextMessage = async (...args) => {
+        if (remaining > 0) {
+            remaining--;
+            throw new WhatsAppError('Service Unavailable');
+        }
+        return send(...args);
+    };
+    return () => {
+        whatsappClient.sendTextMessage = send;
+    };
+}
+
+async function main() {
+    simulator.install();
+    await messageQueue.start();
+
+    // Webhook app as mounted by server.js (without the rest of the server)
+    const app = express();
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use('/webhook', webhookRoutes);
+    app.use(errorHandler);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+    const post = payload => fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(payload).toString(),
+    });
+
+    try {
+        // Twilio retries of the same MessageSid are processed once
+        const deduped = 'whatsapp:+15550001001';
+        const payload = simulator.buildPayload(deduped, { text: 'Hello!' });
+        const statuses = [];
+        for (let attempt = 0; attempt < 3; attempt++) {
+            statuses.push((await post(payload)).status);
+        }
+        await drain();
+        check('Duplicate deliveries are accepted', statuses.every(status => status === 200), statuses.join(', '));
+        check('Duplicate deliveries are answered once', repliesTo(deduped).length === 1, `${repliesTo(deduped).length} replies`);
+
+        // A failed enqueue releases the MessageSid so Twilio's retry is accepted
+        const released = 'whatsapp:+15550001002';
+        const retried = simulator.buildPayload(released, { text: 'Hello!' });
+        const enqueue = messageQueue.enqueue;
+        messageQueue.enqueue = async () => {
+            throw new Error('Disk full');
+        };
+        const failedStatus = (await post(retried)).status;
+        messageQueue.enqueue = enqueue;
+        const retryStatus = (await post(retried)).status;
+        await drain();
+        check('Failed enqueue returns an error to Twilio', failedStatus === 500, `status ${failedStatus}`);
+        check('Twilio retry after a failed enqueue is processed', retryStatus === 200 && repliesTo(released).length === 1,
+            `status ${retryStatus}, ${repliesTo(released).length} replies`);
+
+        // A failure while handling a failure does not leave unhandled rejections
+        const broken = 'whatsapp:+15550001004';
+        const processMessage = messageHandler.processMessage;
+        const sendErrorMessage = messageHandler.sendErrorMessage;
+        messageHandler.processMessage = async () => {
+            throw new ValidationError('Mensaje inválido');
+        };
+        messageHandler.sendErrorMessage = async () => {
+            throw new Error('Twilio down');
+        };
+        await messageQueue.enqueue(simulator.buildPayload(broken, { text: 'Hello!' }));
+        await new Promise(resolve => setTimeout(resolve, 200));
+        messageHandler.processMessage = processMessage;
+        messageHandler.sendErrorMessage = sendErrorMessage;
+        await drain();
+        check('Errors while reporting a failure are handled', unhandled.length === 0, `${unhandled.length} unhandled rejections`);
+
+        // A lesson answer whose reply fails is graded, counted and answered once
+        const learner = 'whatsapp:+15550001003';
+        await simulator.send({ from: learner, text: '/lesson greetings' });
+        const before = (await userProfile.getProfile(learner)).stats.totalMessages;
+        const restore = failNextSends(2);
+        await messageQueue.enqueue(simulator.buildPayload(learner, { text: 'good morning' }));
+        await drain();
+        restore();
+        const lesson = await lessonEngine.getActiveLesson(learner);
+        const graded = repliesTo(learner).filter(reply => /Great/.test(reply));
+        const stats = (await userProfile.getProfile(learner)).stats;
+        check('Retried lesson answer advances one step', lesson && lesson.stepId === 'introduce', lesson && lesson.stepId);
+        check('Retried lesson answer is answered once', graded.length === 1, `${graded.length} replies`);
+        check('Retried lesson answer counts one message', stats.totalMessages === before + 1,
+            `${stats.totalMessages - before} messages`);
+
+        // A transient Speech-to-Text failure is retried and the voice note answered once
+        const speaker = 'whatsapp:+15550001007';
+        const transcribe = speechToText.transcribe;
+        const client = speechToText.client;
+        let recognitions = 0;
+        // Real transcription code with a stubbed Google client that drops the first request
+        delete speechToText.transcribe;
+        speechToText.client = {
+            recognize: async () => {
+                recognitions++;
+                if (recognitions === 1) {
+                    throw Object.assign(new Error('14 UNAVAILABLE: Connection reset by peer'), { code: 14 });
+                }
+                return [{
+                    results: [{
+                        alternatives: [{ transcript: 'I like playing football', confidence: 0.95 }],
+                        languageCode: 'en-us',
+                    }],
+                }];
+            },
+        };
+        await messageQueue.enqueue(simulator.buildPayload(speaker, { voice: 'I like playing football' }));
+        await drain();
+        speechToText.transcribe = transcribe;
+        speechToText.client = client;
+        const spoken = repliesTo(speaker);
+        check('Transient Speech-to-Text failure is retried', recognitions === 2, `${recognitions} requests`);
+        check('Retried voice note is answered once',
+            spoken.filter(reply => /Escuché|I heard/.test(reply)).length === 1 && !spoken.some(reply => reply.startsWith('❌')),
+            spoken.join(' | '));
+
+        // /forget also drops the student's pending messages (not other students')
+        const forgetful = 'whatsapp:+15550001005';
+        const other = 'whatsapp:+15550001006';
+        await simulator.send({ from: forgetful, text: 'I like playing football' });
+        await messageQueue.enqueue(simulator.buildPayload(forgetful, { text: '/forget confirmar' }));
+        await messageQueue.enqueue(simulator.buildPayload(forgetful, { text: 'I have 20 years' }));
+        await messageQueue.enqueue(simulator.buildPayload(other, { text: 'Hello!' }));
+        await drain();
+        const forgotten = repliesTo(forgetful);
+        const history = await transcriptHistory.getTurns(forgetful);
+        check('/forget confirms the deletion', /Hemos borrado todos tus datos/.test(forgotten[forgotten.length - 1]));
+        check('/forget drops the pending messages', !forgotten.some(reply => /20 years old/.test(reply)) && history.length === 0,
+            `${history.length} turns kept`);
+        check('/forget keeps other students\' messages', repliesTo(other).length === 1);
+    } finally {
+        server.close();
+        await messageQueue.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${failures.length === 0 ? '✅ Queue and webhook OK' : `❌ ${failures.length} checks failed`}`);
+    process.exit(failures.length === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Test crashed:', error);
+    process.exit(1);
+});
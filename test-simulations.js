@@ -0,0 +1,60 @@
+// Runs every scripted conversation in src/data/simulations with the simulator
+// (no Twilio, Google or network) on a temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration is read when the services load: set it before requiring them
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatstutor-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_STORE = 'file';
+process.env.PROFILE_STORE = 'file';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const yaml = require('js-yaml');
+const simulator = require('./src/dev/simulator');
+
+const SIMULATIONS_DIR = path.join(__dirname, 'src', 'data', 'simulations');
+
+console.log('🔍 Whatstutor AI - Scripted Conversations Test\n');
+
+async function main() {
+    const files = fs.readdirSync(SIMULATIONS_DIR).filter(file => /\.ya?ml$/.test(file)).sort();
+    const failed = [];
+
+    try {
+        for (const file of files) {
+            const script = yaml.load(fs.readFileSync(path.join(SIMULATIONS_DIR, file), 'utf8'));
+            const result = await simulator.runScript(script);
+
+            console.log(`${result.passed ? '✓' : '✗'} ${file} (${result.steps.length} steps)`);
+            result.steps
+                .filter(step => step.failures.length > 0)
+                .forEach(step => {
+                    console.log(`    🧑 ${step.input}`);
+                    step.failures.forEach(pattern => console.log(`    ✗ no reply matches /${pattern}/`));
+                });
+
+            if (!result.passed) {
+                failed.push(file);
+            }
+        }
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${files.length - failed.length}/${files.length} conversations passed`);
+
+    if (failed.length > 0) {
+        console.log('❌ Scripted conversations failed');
+        process.exit(1);
+    }
+
+    console.log('✅ Scripted conversations OK');
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Test crashed:', error);
+    process.exit(1);
+});